@@ -1,136 +1,1088 @@
-import React, { useState, useEffect, useMemo, useRef, useLayoutEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef, useLayoutEffect, useCallback, createContext, useContext } from 'react';
+import { createPortal } from 'react-dom';
+import {
+    gradingSchemes, getGradeBand, getSchemeTargets, parseNumber, validateNumber, isGraded, getAttemptMark, getCountingAttempt,
+    listAssessments, mapAssessments, getAssessmentGrade, isBelowPassMark, getFailedComponents, calculateModuleAverage, calculateYearAverage,
+    calculateOverallDegreeAverage, calculateGpa, calculateTargetGrade, hasModeratedScore, getModuleScore, projectYear, projectDegree, solveGoal, getGradeTimeline,
+    getModuleDistribution, getDegreeContributions, getSensitivity, getYearModuleCounts, YEAR_RULES, buildReport, SCHEMA_VERSION, migrateDocument,
+} from './engine';
+import { STORAGE_KEY, readDocument, writeDocument, removeDocument, subscribeToDocument, resolveDocumentConflict } from './storage';
+import './print.css';
+import de from './locales/de';
 
 // --- THEME DATA ---
-const themes = {
+// Themes are plain data so they can be edited, saved and shared as JSON. `palette` colours the
+// grade tiers (0 = best, 3 = failing); `feedback` rules are ordered best first and the first one
+// whose `min` the overall average reaches supplies the message. `targetFormat` may use {label},
+// {grade} and {name}, where {name} is the matching `targetNames` entry or else the label.
+// `targets`, when present, replaces the grading scheme's target bands.
+const PRESET_THEMES = {
     default: {
+        id: 'default',
+        name: 'Default',
         title: "Grades Tracker",
         subtitle: "Track your academic progress.",
         overallTitle: "Overall Degree Classification",
         overallLabel: "Calculated Degree Average:",
         yearAvgLabel: "Year Average:",
         moduleScoreLabel: "Module Score:",
-        addTarget1: "For a 1st (70%):",
-        addTarget2: "For a 2:1 (60%):",
-        getFeedback: (grade) => "",
-        getGradeColor: (grade) => {
-            if (grade >= 70) return 'text-green-600';
-            if (grade >= 60) return 'text-yellow-600';
-            if (grade >= 50) return 'text-orange-500';
-            return 'text-red-600';
-        }
+        targetFormat: "For {label} ({grade}%):",
+        feedback: [],
+        palette: ['#16a34a', '#ca8a04', '#f97316', '#dc2626'],
     },
     joshMode: {
+        id: 'joshMode',
+        name: '💅 Josh Mode',
         title: "Slay Tracker ✨",
         subtitle: "Manifesting that main character energy.",
         overallTitle: "Final Glow Up",
         overallLabel: "Current Slay Factor:",
         yearAvgLabel: "Annual Slayage:",
         moduleScoreLabel: "Serving:",
-        addTarget1: "To Secure the Slay (70%):",
-        addTarget2: "Vibe Check (60%):",
-        getFeedback: (grade) => {
-            if (grade >= 70) return "You're literally slaying! ✨";
-            if (grade >= 60) return "You're doing amazing, sweetie! 💅";
-            if (grade >= 50) return "Pop off, queen!";
-            return "Main character energy loading... 💪";
-        },
-        getGradeColor: (grade) => {
-            if (grade >= 70) return 'text-pink-500';
-            if (grade >= 60) return 'text-purple-500';
-            if (grade >= 50) return 'text-indigo-500';
-            return 'text-gray-500';
-        }
+        targetFormat: "{name} ({grade}%):",
+        targetNames: ['To Secure the Slay', 'Vibe Check'],
+        feedback: [
+            { min: 70, message: "You're literally slaying! ✨" },
+            { min: 60, message: "You're doing amazing, sweetie! 💅" },
+            { min: 50, message: "Pop off, queen!" },
+            { min: 0, message: "Main character energy loading... 💪" },
+        ],
+        palette: ['#ec4899', '#a855f7', '#6366f1', '#6b7280'],
+        bodyClass: 'josh-mode-theme',
     },
     asianParent: {
+        id: 'asianParent',
+        name: '🩺 Asian Parent',
         title: "Family Honor Report Card",
         subtitle: "Are you a doctor yet?",
         overallTitle: "Current Disappointment Level",
         overallLabel: "Overall Family Status:",
         yearAvgLabel: "Annual Review:",
         moduleScoreLabel: "Performance:",
-        addTarget1: "For Doctor (95%):",
-        addTarget2: "To Avoid Disgrace (90%):",
-        getFeedback: (grade) => {
-            if (grade >= 95) return "Acceptable.";
-            if (grade >= 90) return "Why not 100? Did you forget how to study?";
-            if (grade >= 80) return "B stands for 'Beggar'.";
-            if (grade >= 70) return "See your cousin? They got 98.";
-            return "Don't talk to me.";
-        },
-        getGradeColor: (grade) => {
-            if (grade >= 95) return 'text-green-600';
-            if (grade >= 90) return 'text-yellow-600';
-            if (grade >= 80) return 'text-orange-500';
-            return 'text-red-600';
+        targetFormat: "{label} ({grade}%):",
+        // No grading scheme is good enough.
+        targets: [{ label: 'For Doctor', grade: 95 }, { label: 'To Avoid Disgrace', grade: 90 }],
+        feedback: [
+            { min: 95, message: "Acceptable." },
+            { min: 90, message: "Why not 100? Did you forget how to study?" },
+            { min: 80, message: "B stands for 'Beggar'." },
+            { min: 70, message: "See your cousin? They got 98." },
+            { min: 0, message: "Don't talk to me." },
+        ],
+        palette: ['#16a34a', '#ca8a04', '#f97316', '#dc2626'],
+        // Its own colour thresholds, whatever the grading scheme says is good.
+        colorBands: [95, 90, 80],
+        bodyClass: 'asian-parent-theme',
+    },
+};
+
+const THEME_TEXT_FIELDS = [
+    ['name', 'Theme name'], ['title', 'Title'], ['subtitle', 'Subtitle'], ['overallTitle', 'Overall card title'],
+    ['overallLabel', 'Degree average label'], ['yearAvgLabel', 'Year average label'], ['moduleScoreLabel', 'Module score label'],
+    ['targetFormat', 'Target label ({label}, {grade}, {name})'],
+];
+const TIER_NAMES = ['Best', 'Good', 'Borderline', 'Failing'];
+
+export const getFeedback = (theme, grade) => theme.feedback.find(rule => grade >= rule.min)?.message ?? '';
+
+export const formatTarget = (theme, target, index) => theme.targetFormat
+    .replaceAll('{label}', target.label)
+    .replaceAll('{grade}', target.grade)
+    .replaceAll('{name}', theme.targetNames?.[index] || target.label);
+
+const THEME_FILE_FORMAT = 'grades-tracker-theme';
+
+// What a theme file or backup stores: everything but the local id and preset-only styling.
+const getThemeData = ({ id, bodyClass, ...data }) => data;
+
+export const buildThemeFile = (theme) => JSON.stringify({ format: THEME_FILE_FORMAT, version: 1, theme: getThemeData(theme) }, null, 2);
+
+// Checks theme data from outside the app field by field so a hand-edited file fails with a useful message.
+const readThemeData = (theme) => {
+    THEME_TEXT_FIELDS.forEach(([field, label]) => {
+        if (typeof theme[field] !== 'string') throw new Error(`${label} is missing.`);
+    });
+    if (!Array.isArray(theme.palette) || theme.palette.length !== TIER_NAMES.length || !theme.palette.every(c => /^#[0-9a-f]{6}$/i.test(c))) {
+        throw new Error(`palette must list ${TIER_NAMES.length} colours like "#16a34a".`);
+    }
+    if (!Array.isArray(theme.feedback) || !theme.feedback.every(rule => typeof rule?.message === 'string' && validateNumber(rule.min, { required: true }) === null)) {
+        throw new Error('feedback must be a list of { min, message } rules with min between 0 and 100.');
+    }
+    if (theme.targets !== undefined && !(Array.isArray(theme.targets) && theme.targets.length > 0 && theme.targets.every(t => typeof t?.label === 'string' && validateNumber(t.grade, { required: true }) === null))) {
+        throw new Error('targets must be a non-empty list of { label, grade } with grade between 0 and 100.');
+    }
+    if (theme.colorBands !== undefined && !(Array.isArray(theme.colorBands) && theme.colorBands.length === TIER_NAMES.length - 1 && theme.colorBands.every(min => validateNumber(min, { required: true }) === null))) {
+        throw new Error(`colorBands must list ${TIER_NAMES.length - 1} minimum grades, best colour first.`);
+    }
+    if (theme.targetNames !== undefined && !(Array.isArray(theme.targetNames) && theme.targetNames.every(n => typeof n === 'string'))) {
+        throw new Error('targetNames must be a list of strings.');
+    }
+    return {
+        ...Object.fromEntries(THEME_TEXT_FIELDS.map(([field]) => [field, theme[field]])),
+        palette: theme.palette,
+        feedback: [...theme.feedback].map(rule => ({ min: Number(rule.min), message: rule.message })).sort((a, b) => b.min - a.min),
+        ...(theme.targets && { targets: theme.targets.map(t => ({ label: t.label, grade: Number(t.grade) })) }),
+        ...(theme.targetNames && { targetNames: theme.targetNames }),
+        ...(theme.colorBands && { colorBands: theme.colorBands.map(Number) }),
+    };
+};
+
+export const parseThemeFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (data?.format !== THEME_FILE_FORMAT || !data.theme || typeof data.theme !== 'object') throw new Error('This is not a Grades Tracker theme file.');
+    return readThemeData(data.theme);
+};
+
+// --- GRADING SCHEMES ---
+// Scheme data and every calculation live in ./engine; the app only layers the theme on top.
+// A theme's `colorBands` (minimum grades for each colour but the last) replace the scheme's tiers.
+const getGradeStyle = (theme, schemeKey, grade) => {
+    const { palette, colorBands } = theme;
+    const tier = colorBands ? colorBands.filter(min => grade < min).length : getGradeBand(schemeKey, grade).tier;
+    return { color: palette[Math.min(tier, palette.length - 1)] };
+};
+
+const getTargets = (theme, schemeKey) => {
+    return theme.targets ?? getSchemeTargets(schemeKey);
+};
+
+// --- HELPERS ---
+
+// Date.now() alone collides when many items are created in the same tick (e.g. on import).
+let lastId = 0;
+const createId = () => {
+    lastId = Math.max(lastId + 1, Date.now());
+    return lastId;
+};
+
+// Fields keep their own undo history, so app-wide shortcuts leave them alone.
+const isEditableTarget = (target) => target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// --- LOCALISATION ---
+// Translations are keyed by the English text, so anything not yet translated shows in English.
+// `tag` is the locale Intl uses for numbers, month and weekday names.
+const LANGUAGES = {
+    en: { name: 'English', tag: 'en-GB', messages: {} },
+    de: { name: 'Deutsch', tag: 'de-DE', messages: de },
+};
+const DATE_FORMATS = { iso: 'YYYY-MM-DD', dmy: 'DD/MM/YYYY', mdy: 'MM/DD/YYYY', locale: 'Language default' };
+const WEEK_STARTS = { 0: 'Sunday', 1: 'Monday', 6: 'Saturday' };
+
+export const createLocale = ({ language = 'en', weekStart = 0, dateFormat = 'iso' } = {}) => {
+    const { tag, messages } = LANGUAGES[language] ?? LANGUAGES.en;
+    const decimal = new Intl.NumberFormat(tag).formatToParts(1.5).find(part => part.type === 'decimal').value;
+    const formatDecimal = (value, digits = 2) => Number(value).toLocaleString(tag, { minimumFractionDigits: digits, maximumFractionDigits: digits, useGrouping: false });
+    const t = (text, values = {}) => (messages[text] ?? text).replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match));
+    const formatInput = (value) => value === null || value === undefined ? '' : String(value).replace('.', decimal);
+    const formatDate = (iso) => {
+        if (!iso) return '';
+        const [year, month, day] = iso.split('-');
+        if (dateFormat === 'iso') return iso;
+        if (dateFormat === 'dmy') return `${day}/${month}/${year}`;
+        if (dateFormat === 'mdy') return `${month}/${day}/${year}`;
+        return new Date(`${iso}T00:00`).toLocaleDateString(tag, { day: 'numeric', month: 'short', year: 'numeric' });
+    };
+    // Helpers that run outside React (the CSV parser, the data check) return { message, values } keyed by
+    // the English text; values that are such messages themselves, or { date }, are translated too.
+    const formatMessage = ({ message, values = {} }) => t(message, Object.fromEntries(Object.entries(values).map(([name, value]) => [
+        name,
+        value?.message ? formatMessage(value) : value?.date ? formatDate(value.date) : typeof value === 'number' ? formatInput(value) : value,
+    ])));
+    return {
+        language,
+        tag,
+        weekStart,
+        t,
+        formatDecimal,
+        // Typed text uses the locale's decimal separator; the engine parses and stores dot decimals.
+        toDecimalText: (text) => String(text ?? '').replace(decimal, '.'),
+        formatInput,
+        // calculateTargetGrade answers in English display text such as '45.00%' or 'Achieved'.
+        formatTargetGrade: (text) => /^\d+\.\d+%$/.test(text) ? `${formatDecimal(parseFloat(text))}%` : t(text),
+        formatDate,
+        formatMessage,
+        // Short weekday names starting from `weekStart`; 7 January 2024 was a Sunday.
+        weekdayNames: Array.from({ length: 7 }, (_, i) => new Date(2024, 0, 7 + ((i + weekStart) % 7)).toLocaleDateString(tag, { weekday: 'short' })),
+    };
+};
+
+const LocaleContext = createContext(createLocale());
+const useLocale = () => useContext(LocaleContext);
+
+// --- DEGREE TEMPLATES ---
+// Year names, weightings and counting rules for common degree structures. Each profile picks one
+// for the years it adds; custom templates are shared by every profile, like custom themes.
+const DEGREE_TEMPLATES = {
+    integrated: { id: 'integrated', name: 'Four-year integrated (7.5 / 20 / 36.5 / 36.5)', years: [
+        { name: 'Year 1', weighting: 7.5 }, { name: 'Year 2', weighting: 20 }, { name: 'Year 3', weighting: 36.5 }, { name: 'Year 4', weighting: 36.5 },
+    ] },
+    threeYear: { id: 'threeYear', name: "Three-year bachelor's (0 / 40 / 60)", years: [
+        { name: 'Year 1', weighting: 0 }, { name: 'Year 2', weighting: 40 }, { name: 'Year 3', weighting: 60 },
+    ] },
+    bestCredits: { id: 'bestCredits', name: 'Three-year, best 50 of 60 ECTS (0 / 33 / 67)', years: [
+        { name: 'Year 1', weighting: 0 },
+        { name: 'Year 2', weighting: 33, rule: { type: 'bestEcts', ects: 50 } },
+        { name: 'Year 3', weighting: 67, rule: { type: 'bestEcts', ects: 50 } },
+    ] },
+    placement: { id: 'placement', name: 'Sandwich with placement year (0 / 40 / 0 / 60)', years: [
+        { name: 'Year 1', weighting: 0 }, { name: 'Year 2', weighting: 40 }, { name: 'Placement Year', weighting: 0 }, { name: 'Final Year', weighting: 60 },
+    ] },
+    scottish: { id: 'scottish', name: 'Scottish honours (0 / 0 / 50 / 50)', years: [
+        { name: 'Year 1', weighting: 0 }, { name: 'Year 2', weighting: 0 }, { name: 'Junior Honours', weighting: 50 }, { name: 'Senior Honours', weighting: 50 },
+    ] },
+    masters: { id: 'masters', name: "One-year master's (100)", years: [{ name: 'Masters', weighting: 100 }] },
+};
+
+// CSV imports have no profile to ask, so new years there follow the original four-year split.
+const getDefaultYearWeighting = (yearNumber) => DEGREE_TEMPLATES.integrated.years[yearNumber - 1]?.weighting ?? 0;
+
+// An empty year laid out as the template's year at `index`, or an unweighted one past its end.
+const createTemplateYear = (template, index) => {
+    const layout = template.years[index] ?? { name: `Year ${index + 1}`, weighting: 0 };
+    return { id: createId(), name: layout.name, weighting: layout.weighting, rule: layout.rule ?? { type: 'all' }, modules: [], collapsed: false };
+};
+
+// Renames, re-weights and sets the rules of the years the template covers, by position, and adds
+// any it has that are missing. Modules, and years past the template's end, are left alone.
+export const applyDegreeTemplate = (years, template) => [
+    ...years.map((year, i) => {
+        const layout = template.years[i];
+        return layout ? { ...year, name: layout.name, weighting: layout.weighting, rule: layout.rule ?? { type: 'all' } } : year;
+    }),
+    ...template.years.slice(years.length).map((_, i) => createTemplateYear(template, years.length + i)),
+];
+
+const buildDegreeTemplate = (name, years) => ({
+    id: null,
+    name,
+    years: years.map(year => ({ name: year.name, weighting: year.weighting ?? 0, ...(year.rule && year.rule.type !== 'all' && { rule: year.rule }) })),
+});
+
+// --- STORAGE ---
+const PROFILES_KEY = 'gradeTrackerProfiles';
+const CUSTOM_THEMES_KEY = 'customThemes';
+const CUSTOM_TEMPLATES_KEY = 'degreeTemplates';
+
+const loadStoredDocument = (storageKey) => {
+    const raw = readDocument(storageKey);
+    if (!raw) return { document: { schemaVersion: SCHEMA_VERSION, years: [], scenarios: [] }, error: null, raw };
+    try {
+        return { document: migrateDocument(JSON.parse(raw)), error: null, raw };
+    } catch (error) {
+        return { document: null, error: error.message, raw };
+    }
+};
+
+// --- PROFILES ---
+// Each profile keeps its own document under `storageKey` plus its own settings. The record saved
+// before profiles existed stays under STORAGE_KEY and becomes the first profile, keeping the
+// settings it had in their old separate keys.
+const DEFAULT_SETTINGS = { theme: 'default', gradingScheme: 'ukHonours', upcomingDays: 14, resitCap: 40, degreeTemplate: 'integrated', language: 'en', weekStart: 0, dateFormat: 'iso' };
+
+const readLegacySettings = () => {
+    const savedTheme = localStorage.getItem('currentTheme');
+    const savedScheme = localStorage.getItem('gradingScheme');
+    const savedCap = parseNumber(localStorage.getItem('resitCap') ?? DEFAULT_SETTINGS.resitCap);
+    return {
+        theme: PRESET_THEMES[savedTheme] ? savedTheme : DEFAULT_SETTINGS.theme,
+        gradingScheme: gradingSchemes[savedScheme] ? savedScheme : DEFAULT_SETTINGS.gradingScheme,
+        upcomingDays: Number(localStorage.getItem('upcomingDays')) || DEFAULT_SETTINGS.upcomingDays,
+        resitCap: isNaN(savedCap) ? DEFAULT_SETTINGS.resitCap : savedCap,
+    };
+};
+
+const loadProfiles = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        if (Array.isArray(saved?.profiles) && saved.profiles.length > 0) return saved;
+    } catch {
+        // An unreadable list falls back to the original record below; profile documents are untouched.
+    }
+    const settings = readLegacySettings();
+    const profile = { id: createId(), name: createLocale(settings).t('My Grades'), storageKey: STORAGE_KEY, settings };
+    return { activeProfileId: profile.id, profiles: [profile] };
+};
+
+// Custom themes and degree templates are each saved as a plain list under their own key.
+const loadSavedList = (key) => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(key));
+        return Array.isArray(saved) ? saved : [];
+    } catch {
+        return [];
+    }
+};
+
+// Settings saved by an older version may lack newer keys or name a theme, scheme or template that no longer exists.
+const getProfileSettings = (profile, themes, templates) => {
+    const settings = { ...DEFAULT_SETTINGS, ...profile.settings };
+    if (!themes[settings.theme]) settings.theme = DEFAULT_SETTINGS.theme;
+    if (!gradingSchemes[settings.gradingScheme]) settings.gradingScheme = DEFAULT_SETTINGS.gradingScheme;
+    if (!templates[settings.degreeTemplate]) settings.degreeTemplate = DEFAULT_SETTINGS.degreeTemplate;
+    if (!LANGUAGES[settings.language]) settings.language = DEFAULT_SETTINGS.language;
+    if (!WEEK_STARTS[settings.weekStart]) settings.weekStart = DEFAULT_SETTINGS.weekStart;
+    if (!DATE_FORMATS[settings.dateFormat]) settings.dateFormat = DEFAULT_SETTINGS.dateFormat;
+    return settings;
+};
+
+const slugify = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const getBackupFileName = (profileName) => `grade_tracker_${slugify(profileName) || 'profile'}_backup.json`;
+
+const getThemeFileName = (themeName) => `${slugify(themeName) || 'custom'}.theme.json`;
+
+const downloadFile = (content, fileName, type) => {
+    const link = document.createElement("a");
+    link.setAttribute("href", `data:${type};charset=utf-8,` + encodeURIComponent(content));
+    link.setAttribute("download", fileName);
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+};
+
+// A custom theme only exists in this browser, so its data travels with the backup alongside its id.
+export const buildBackup = ({ years, scenarios, theme, customTheme, gradingScheme, resitCap }) => JSON.stringify({
+    schemaVersion: SCHEMA_VERSION, exportedAt: new Date().toISOString(), theme, customTheme: customTheme && getThemeData(customTheme), gradingScheme, resitCap, years, scenarios,
+}, null, 2);
+
+export const parseBackup = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+    const doc = migrateDocument(data);
+    let customTheme = null;
+    if (data.customTheme) {
+        try {
+            customTheme = readThemeData(data.customTheme);
+        } catch (error) {
+            throw new Error(`The custom theme is damaged: ${error.message}`);
+        }
+    }
+    return {
+        years: doc.years,
+        scenarios: doc.scenarios,
+        theme: typeof data.theme === 'string' ? data.theme : null,
+        customTheme,
+        gradingScheme: gradingSchemes[data.gradingScheme] ? data.gradingScheme : null,
+        // null is a saved "uncapped"; older backups have no cap at all and keep the current one.
+        resitCap: data.resitCap !== undefined && validateNumber(data.resitCap) === null ? parseNumber(data.resitCap) : undefined,
+    };
+};
+
+// --- SHARE LINKS ---
+// A read-only copy of the years travels in the URL fragment, which never reaches the server. It is
+// deflated ('z.') where the browser has CompressionStream and sent as plain JSON ('j.') otherwise.
+const SHARE_PREFIX = '#share=';
+const SHARE_FORMAT = 'grades-tracker-share';
+
+// UTF-8 as a binary string, since btoa only takes Latin-1.
+const toBinary = (text) => encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+const fromBinary = (binary) => decodeURIComponent(Array.from(binary, c => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join(''));
+const toBase64Url = (binary) => btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+
+const transformBinary = async (binary, stream) => {
+    const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+    const result = new Uint8Array(await new Response(new Response(bytes).body.pipeThrough(stream)).arrayBuffer());
+    return result.reduce((text, byte) => text + String.fromCharCode(byte), '');
+};
+
+const renameAssessments = (assessments) => assessments.map((a, i) => ({
+    ...a,
+    title: `Assessment ${i + 1}`,
+    ...(a.components && { components: renameAssessments(a.components) }),
+}));
+
+// `hideGrades` keeps each module's score but blanks every individual mark; `hideNames` numbers
+// the modules and assessments instead of naming them.
+export const buildSharePayload = (years, { gradingScheme, theme = null, hideGrades = false, hideNames = false }) => ({
+    format: SHARE_FORMAT,
+    schemaVersion: SCHEMA_VERSION,
+    gradingScheme,
+    ...(theme && { theme: (({ id, bodyClass, ...data }) => data)(theme) }),
+    years: years.map(year => ({
+        ...year,
+        collapsed: false,
+        modules: year.modules.map((module, m) => {
+            const shared = hideGrades ? {
+                ...module,
+                moderatedScore: getModuleScore(module) || null,
+                attempts: [],
+                assessments: mapAssessments(module.assessments, a => ({ ...a, grade: null, attempts: [] })),
+            } : module;
+            return hideNames ? { ...shared, name: `Module ${m + 1}`, assessments: renameAssessments(shared.assessments) } : shared;
+        }),
+    })),
+});
+
+export const encodeShare = async (payload) => {
+    const binary = toBinary(JSON.stringify(payload));
+    if (typeof CompressionStream === 'undefined') return `j.${toBase64Url(binary)}`;
+    return `z.${toBase64Url(await transformBinary(binary, new CompressionStream('deflate-raw')))}`;
+};
+
+export const decodeShare = async (encoded) => {
+    const kind = encoded.slice(0, 2);
+    if (kind !== 'z.' && kind !== 'j.') throw new Error('This is not a Grades Tracker share link.');
+    if (kind === 'z.' && typeof DecompressionStream === 'undefined') throw new Error('This browser cannot open compressed share links.');
+    let data;
+    try {
+        const binary = fromBase64Url(encoded.slice(2));
+        data = JSON.parse(fromBinary(kind === 'z.' ? await transformBinary(binary, new DecompressionStream('deflate-raw')) : binary));
+    } catch {
+        throw new Error('The link is incomplete or damaged.');
+    }
+    if (data?.format !== SHARE_FORMAT) throw new Error('This is not a Grades Tracker share link.');
+    const { years } = migrateDocument({ schemaVersion: data.schemaVersion, years: data.years, scenarios: [] });
+    return {
+        years,
+        gradingScheme: gradingSchemes[data.gradingScheme] ? data.gradingScheme : DEFAULT_SETTINGS.gradingScheme,
+        theme: data.theme ? { ...readThemeData(data.theme), id: 'shared' } : null,
+    };
+};
+
+// --- ICALENDAR (RFC 5545) ---
+const getAssessmentUid = (assessment) => assessment.icsUid ?? `assessment-${assessment.id}@grades-tracker`;
+
+const escapeICSText = (text) => String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+const unescapeICSText = (text) => text.replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+
+const utf8Length = (char) => {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    return codePoint < 0x10000 ? 3 : 4;
+};
+
+// Content lines are limited to 75 octets; continuation lines start with a single space.
+const foldICSLine = (line) => {
+    const chunks = [];
+    let current = '', octets = 0;
+    for (const char of line) {
+        if (octets + utf8Length(char) > 75) {
+            chunks.push(current);
+            current = ' ';
+            octets = 1;
         }
+        current += char;
+        octets += utf8Length(char);
     }
+    chunks.push(current);
+    return chunks.join('\r\n');
+};
+
+const toICSDate = (isoDate) => isoDate.replace(/-/g, '');
+
+const addDaysISO = (isoDate, days) => {
+    const [y, m, d] = isoDate.split('-').map(Number);
+    const date = new Date(Date.UTC(y, m - 1, d + days));
+    return date.toISOString().slice(0, 10);
+};
+
+// `filter` is 'all', 'year-<id>' or 'module-<id>'.
+export const buildICS = (years, filter = 'all', now = new Date()) => {
+    const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Grades Tracker//Assessment Deadlines//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+    years.forEach(year => {
+        if (filter.startsWith('year-') && filter !== `year-${year.id}`) return;
+        year.modules.forEach(module => {
+            if (filter.startsWith('module-') && filter !== `module-${module.id}`) return;
+            listAssessments(module.assessments).forEach(assessment => {
+                if (!assessment.dueDate) return;
+                const { grade } = getAssessmentGrade(assessment);
+                const description = [
+                    `Module: ${module.name}`,
+                    `Weight: ${assessment.weight}%`,
+                    `Grade: ${grade !== null ? `${grade}%` : 'Not graded'}`,
+                ].join('\n');
+                lines.push(
+                    'BEGIN:VEVENT',
+                    `UID:${getAssessmentUid(assessment)}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${toICSDate(assessment.dueDate)}`,
+                    `DTEND;VALUE=DATE:${toICSDate(addDaysISO(assessment.dueDate, 1))}`,
+                    `SUMMARY:${escapeICSText(`${module.name}: ${assessment.title}`)}`,
+                    `DESCRIPTION:${escapeICSText(description)}`,
+                    `CATEGORIES:${escapeICSText(year.name)}`,
+                    'END:VEVENT'
+                );
+            });
+        });
+    });
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+};
+
+const parseICSDate = (value) => {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?/);
+    if (!match) return null;
+    const [, y, m, d, hh, mm, ss, utc] = match;
+    if (!utc) return `${y}-${m}-${d}`;
+    // UTC times are shown on the local calendar day they fall on.
+    const local = new Date(Date.UTC(y, m - 1, d, hh, mm, ss));
+    return `${local.getFullYear()}-${String(local.getMonth() + 1).padStart(2, '0')}-${String(local.getDate()).padStart(2, '0')}`;
 };
 
-// --- HELPER & CALCULATION FUNCTIONS ---
-const calculateModuleAverage = (module) => {
-    let totalWeightedScore = 0, totalWeight = 0;
-    module.assessments.forEach(a => {
-        if (a.grade !== null && !isNaN(a.grade) && a.weight > 0) {
-            totalWeightedScore += a.grade * (a.weight / 100);
-            totalWeight += a.weight / 100;
+export const parseICS = (text) => {
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    const events = [];
+    let current = null;
+    lines.forEach(line => {
+        if (line === 'BEGIN:VEVENT') { current = {}; return; }
+        if (line === 'END:VEVENT') {
+            if (current) events.push(current);
+            current = null;
+            return;
         }
+        if (!current) return;
+        const separator = line.indexOf(':');
+        if (separator === -1) return;
+        const name = line.slice(0, separator).split(';')[0].toUpperCase();
+        const value = line.slice(separator + 1);
+        if (name === 'UID') current.uid = value;
+        else if (name === 'SUMMARY') current.summary = unescapeICSText(value);
+        else if (name === 'DESCRIPTION') current.description = unescapeICSText(value);
+        else if (name === 'DTSTART') current.dueDate = parseICSDate(value);
     });
-    return { average: totalWeight === 0 ? 0 : totalWeightedScore / totalWeight, totalWeight: totalWeight * 100 };
+    return events.filter(e => e.uid && e.dueDate);
 };
 
-const calculateYearAverage = (year) => {
-    let totalWeightedModuleScore = 0, totalEcts = 0;
-    year.modules.forEach(module => {
-        const moduleScore = module.moderatedScore ?? calculateModuleAverage(module).average;
-        if (moduleScore > 0 && module.ects > 0) {
-            totalWeightedModuleScore += moduleScore * module.ects;
-            totalEcts += module.ects;
+// Events are matched to assessments by UID. Unmatched events go to the module named at the start of
+// their summary ("Module: Title"), or to `fallbackModuleId`; without either they are skipped.
+export const applyICSImport = (years, events, fallbackModuleId = null) => {
+    const result = { created: 0, updated: 0, skipped: 0 };
+    const nextYears = years.map(year => ({ ...year, modules: year.modules.map(module => ({ ...module, assessments: [...module.assessments] })) }));
+    const modules = nextYears.flatMap(year => year.modules);
+    events.forEach(event => {
+        const matchedModule = modules.find(m => listAssessments(m.assessments).some(a => getAssessmentUid(a) === event.uid));
+        if (matchedModule) {
+            matchedModule.assessments = mapAssessments(matchedModule.assessments, a => getAssessmentUid(a) === event.uid ? { ...a, dueDate: event.dueDate } : a);
+            result.updated++;
+            return;
+        }
+        const summary = event.summary ?? 'Imported Event';
+        const namedModule = modules.find(m => m.name && summary.startsWith(`${m.name}: `));
+        const module = namedModule ?? modules.find(m => m.id === fallbackModuleId);
+        if (!module) {
+            result.skipped++;
+            return;
         }
+        const weightMatch = event.description?.match(/^Weight: ([\d.]+)%$/m);
+        module.assessments.push({
+            id: createId(),
+            icsUid: event.uid,
+            title: namedModule ? summary.slice(namedModule.name.length + 2) : summary,
+            weight: weightMatch ? Number(weightMatch[1]) : 0,
+            grade: null,
+            dueDate: event.dueDate,
+        });
+        result.created++;
+    });
+    return { years: nextYears, ...result };
+};
+
+// --- DEADLINES ---
+const MODULE_COLORS = ['bg-blue-100 text-blue-800', 'bg-green-100 text-green-800', 'bg-amber-100 text-amber-800', 'bg-pink-100 text-pink-800', 'bg-teal-100 text-teal-800', 'bg-indigo-100 text-indigo-800', 'bg-orange-100 text-orange-800', 'bg-lime-100 text-lime-800'];
+
+const toISODate = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// The same hues as MODULE_COLORS, as fills for the analytics charts.
+const MODULE_CHART_COLORS = ['#3b82f6', '#22c55e', '#f59e0b', '#ec4899', '#14b8a6', '#6366f1', '#f97316', '#84cc16'];
+
+const getModuleColors = (years, palette = MODULE_COLORS) => {
+    const colors = {};
+    years.flatMap(year => year.modules).forEach((module, i) => { colors[module.id] = palette[i % palette.length]; });
+    return colors;
+};
+
+// Every dated assessment, soonest first. Ungraded assessments whose date has passed are overdue.
+export const collectDeadlines = (years, today = toISODate(new Date())) => years
+    .flatMap(year => year.modules.flatMap(module => listAssessments(module.assessments)
+        .filter(assessment => assessment.dueDate)
+        .map(assessment => ({ yearId: year.id, moduleId: module.id, moduleName: module.name, assessment, overdue: assessment.dueDate < today && !getAssessmentGrade(assessment).complete }))))
+    .sort((a, b) => a.assessment.dueDate.localeCompare(b.assessment.dueDate));
+
+// --- DATA INTEGRITY ---
+const STALE_DEADLINE_DAYS = 30;
+
+const sumWeights = (items, field) => items.reduce((sum, item) => sum + (Number(item[field]) || 0), 0);
+const isNot100 = (total) => Math.abs(total - 100) > 0.01;
+
+// Problems across the whole tree that would otherwise quietly skew the averages.
+// Each issue carries the yearId (and assessmentId, when there is one) it should jump to, and a
+// { message, values } pair for locale.formatMessage.
+export const getIntegrityIssues = (years, today = toISODate(new Date())) => {
+    const issues = [];
+    const report = (severity, message, values, location) => issues.push({ severity, message, values, ...location });
+    const [y, m, d] = today.split('-').map(Number);
+    const staleBefore = toISODate(new Date(y, m - 1, d - STALE_DEADLINE_DAYS));
+    const seenIds = new Map();
+
+    const checkId = (item, label, location) => {
+        const key = String(item.id);
+        if (seenIds.has(key)) report('error', '{label} has the same ID ({id}) as {other}.', { label, id: String(item.id), other: seenIds.get(key) }, location);
+        else seenIds.set(key, label);
+    };
+    const checkNumber = (value, rules, label, field, location) => {
+        const error = validateNumber(value, rules);
+        if (error) report('error', '{label} {field}: {error}', { label, field: { message: field }, error: { message: error } }, location);
+    };
+    const checkAttempts = (attempts = [], label, location) => attempts.forEach((attempt, i) => {
+        const attemptLabel = { message: '{label} attempt {number}', values: { label, number: i + 1 } };
+        checkId(attempt, attemptLabel, location);
+        checkNumber(attempt.grade, {}, attemptLabel, 'grade', location);
+        checkNumber(attempt.cap, {}, attemptLabel, 'cap', location);
+    });
+
+    const totalWeighting = sumWeights(years, 'weighting');
+    if (years.length > 0 && isNot100(totalWeighting)) report('warning', 'Year weightings sum to {total}%, not 100%.', { total: +totalWeighting.toFixed(2) }, {});
+
+    years.forEach(year => {
+        const yearLocation = { yearId: year.id };
+        checkId(year, year.name, yearLocation);
+        checkNumber(year.weighting, { required: true }, year.name, 'weighting', yearLocation);
+
+        year.modules.forEach(module => {
+            const moduleLabel = `${year.name} › ${module.name}`;
+            checkId(module, moduleLabel, yearLocation);
+            checkNumber(module.ects, { range: 'positive', required: true }, moduleLabel, 'ECTS', yearLocation);
+            checkNumber(module.moderatedScore, {}, moduleLabel, 'final score', yearLocation);
+            checkAttempts(module.attempts, moduleLabel, yearLocation);
+
+            const checkAssessments = (assessments, parentLabel) => {
+                const total = sumWeights(assessments, 'weight');
+                if (assessments.length > 0 && isNot100(total)) report('warning', '{label}: weights sum to {total}%, not 100%.', { label: parentLabel, total: +total.toFixed(2) }, yearLocation);
+                assessments.forEach(assessment => {
+                    const label = `${parentLabel} › ${assessment.title}`;
+                    const location = { yearId: year.id, assessmentId: assessment.id };
+                    checkId(assessment, label, location);
+                    checkNumber(assessment.weight, { required: true }, label, 'weight', location);
+                    checkNumber(assessment.grade, {}, label, 'grade', location);
+                    checkNumber(assessment.passMark, {}, label, 'pass mark', location);
+                    checkAttempts(assessment.attempts, label, location);
+                    if (assessment.components?.length) checkAssessments(assessment.components, label);
+                    else if (assessment.dueDate && assessment.dueDate < staleBefore && !getAssessmentGrade(assessment).complete) {
+                        report('warning', '{label} was due on {date} but still has no grade.', { label, date: { date: assessment.dueDate } }, location);
+                    }
+                });
+            };
+            checkAssessments(module.assessments, moduleLabel);
+        });
     });
-    return totalEcts === 0 ? 0 : totalWeightedModuleScore / totalEcts;
+    return issues;
+};
+
+// --- UNDO / REDO ---
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 1000;
+
+// Successive commits with the same coalesceKey inside COALESCE_MS merge into one undo step,
+// so typing a word in a field is undone in one go. `record: false` updates without an undo step.
+const useHistory = (initialPresent) => {
+    const [history, setHistory] = useState(() => ({ past: [], present: initialPresent, future: [] }));
+    const lastEdit = useRef({ key: null, time: 0 });
+
+    const commit = useCallback((update, { coalesceKey = null, record = true } = {}) => {
+        if (!record) {
+            setHistory(({ past, present, future }) => ({ past, present: update(present), future }));
+            return;
+        }
+        const now = Date.now();
+        const coalesce = coalesceKey !== null && lastEdit.current.key === coalesceKey && now - lastEdit.current.time < COALESCE_MS;
+        lastEdit.current = { key: coalesceKey, time: now };
+        setHistory(({ past, present }) => ({
+            past: coalesce ? past : [...past, present].slice(-HISTORY_LIMIT),
+            present: update(present),
+            future: [],
+        }));
+    }, []);
+
+    const undo = useCallback(() => {
+        lastEdit.current = { key: null, time: 0 };
+        setHistory(({ past, present, future }) => past.length === 0 ? { past, present, future } : {
+            past: past.slice(0, -1),
+            present: past[past.length - 1],
+            future: [present, ...future],
+        });
+    }, []);
+
+    const redo = useCallback(() => {
+        lastEdit.current = { key: null, time: 0 };
+        setHistory(({ past, present, future }) => future.length === 0 ? { past, present, future } : {
+            past: [...past, present],
+            present: future[0],
+            future: future.slice(1),
+        });
+    }, []);
+
+    // Replaces the tree outright, e.g. with another tab's save; its undo steps no longer apply.
+    const reset = useCallback((present) => {
+        lastEdit.current = { key: null, time: 0 };
+        setHistory({ past: [], present, future: [] });
+    }, []);
+
+    return { present: history.present, commit, undo, redo, reset, canUndo: history.past.length > 0, canRedo: history.future.length > 0 };
+};
+
+// --- CSV IMPORT / EXPORT ---
+// Every assessment has a row, parents before their components. A component's `Parent` is the path
+// of titles above it and its weight is within that parent, so imports rebuild the tree. Attempts
+// are written as "type|date|grade|cap", separated by semicolons, and counting rules as "all",
+// "drop lowest 1" or "best 50 ECTS". Files with only some of the columns (such as the original
+// eight) still import, provided they have those eight.
+const LEGACY_CSV_HEADER = ['Year', 'Module', 'ECTS', 'Moderated Score', 'Assessment', 'Due Date', 'Weight (%)', 'Grade (%)'];
+const CSV_HEADER = ['Year', 'Counting Rule', 'Module', 'ECTS', 'Pass/Fail', 'Moderated Score', 'Module Attempts', 'Parent', 'Assessment', 'Due Date', 'Weight (%)', 'Grade (%)', 'Pass Mark (%)', 'Attempts'];
+const CSV_PATH_SEPARATOR = ' › ';
+const ATTEMPT_TYPES = ['resit', 'deferral'];
+
+const quoteCSV = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+const formatRule = ({ type, count, ects } = { type: 'all' }) => type === 'dropLowest' ? `drop lowest ${count}` : type === 'bestEcts' ? `best ${ects} ECTS` : 'all';
+
+// Returns null for anything that is not one of the forms formatRule() writes.
+const parseRule = (text) => {
+    const rule = text.trim().toLowerCase();
+    if (rule === '' || rule === 'all') return { type: 'all' };
+    const drop = rule.match(/^drop lowest (\d+)$/);
+    if (drop && Number(drop[1]) > 0) return { type: 'dropLowest', count: Number(drop[1]) };
+    const best = rule.match(/^best (\d+(?:\.\d+)?) ects$/);
+    if (best && Number(best[1]) > 0) return { type: 'bestEcts', ects: Number(best[1]) };
+    return null;
+};
+
+const formatAttempts = (attempts = []) => attempts.map(a => [a.type, a.date, a.grade ?? '', a.cap ?? ''].join('|')).join('; ');
+
+// Returns null when any entry is malformed.
+const parseAttempts = (text) => {
+    const attempts = [];
+    for (const entry of text.split(';').map(e => e.trim()).filter(Boolean)) {
+        const [type, date = '', gradeRaw = '', capRaw = ''] = entry.split('|').map(part => part.trim());
+        const grade = parseNumber(gradeRaw);
+        const cap = parseNumber(capRaw);
+        if (!ATTEMPT_TYPES.includes(type) || (date && !/^\d{4}-\d{2}-\d{2}$/.test(date))) return null;
+        if ([grade, cap].some(n => isNaN(n) || n < 0 || n > 100)) return null;
+        attempts.push({ id: createId(), type, date, grade, cap });
+    }
+    return attempts;
 };
 
-const calculateOverallDegreeAverage = (years) => {
-    let totalWeightedYearScore = 0, totalWeighting = 0;
+export const buildCSV = (years) => {
+    let csvContent = CSV_HEADER.join(',') + "\n";
     years.forEach(year => {
-        if(year.weighting > 0) {
-            totalWeightedYearScore += calculateYearAverage(year) * year.weighting;
-            totalWeighting += year.weighting;
+        year.modules.forEach(module => {
+            const moduleFields = [quoteCSV(year.name), quoteCSV(formatRule(year.rule)), quoteCSV(module.name), module.ects, module.passFail ? 'yes' : '', module.moderatedScore ?? '', quoteCSV(formatAttempts(module.attempts))];
+            if (module.assessments.length === 0) {
+                csvContent += [...moduleFields, '', '', '', '', '', '', ''].join(',') + "\n";
+            }
+            const addRows = (assessments, parents) => assessments.forEach(assessment => {
+                const hasComponents = assessment.components?.length > 0;
+                const row = [...moduleFields, quoteCSV(parents.join(CSV_PATH_SEPARATOR)), quoteCSV(assessment.title), assessment.dueDate ?? '', assessment.weight, hasComponents ? '' : assessment.grade ?? '', assessment.passMark ?? '', quoteCSV(formatAttempts(assessment.attempts))];
+                csvContent += row.join(',') + "\n";
+                if (hasComponents) addRows(assessment.components, [...parents, assessment.title]);
+            });
+            addRows(module.assessments, []);
+        });
+    });
+    return csvContent;
+};
+
+// RFC 4180 tokenizer: quoted fields may contain commas, doubled quotes and line breaks.
+const tokenizeCSV = (text) => {
+    const rows = [];
+    let row = [], field = '', inQuotes = false, line = 1, rowLine = 1;
+    const endRow = () => {
+        row.push(field);
+        rows.push({ line: rowLine, fields: row });
+        row = [];
+        field = '';
+        rowLine = line;
+    };
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (c === '\n') line++;
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') inQuotes = false;
+            else field += c;
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\r' || c === '\n') {
+            if (c === '\r' && text[i + 1] === '\n') { i++; line++; }
+            else if (c === '\r') line++;
+            endRow();
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length > 0) endRow();
+    return rows.filter(r => !(r.fields.length === 1 && r.fields[0].trim() === ''));
+};
+
+// Errors and warnings are { line, message, values } for locale.formatMessage.
+export const parseGradesCSV = (text) => {
+    const rows = tokenizeCSV(text.replace(/^\uFEFF/, ''));
+    const errors = [];
+    const warnings = [];
+    const years = [];
+    if (rows.length === 0) return { years, errors: [{ line: 1, message: 'The file is empty.', values: {} }], warnings, rowCount: 0 };
+
+    const [header, ...dataRows] = rows;
+    const columns = header.fields.map(f => f.trim());
+    const knownColumns = columns.every(column => CSV_HEADER.includes(column)) && new Set(columns).size === columns.length;
+    if (!knownColumns || !LEGACY_CSV_HEADER.every(column => columns.includes(column))) {
+        return { years, errors: [{ line: header.line, message: 'Unexpected header. Expected: {columns}', values: { columns: CSV_HEADER.join(', ') } }], warnings, rowCount: 0 };
+    }
+
+    // Columns added after the first CSV format are only recorded when present, so a merge of an
+    // older file leaves the existing values alone.
+    const hasColumn = (name) => columns.includes(name);
+
+    // Assessments by their path of titles, per module, so components can find their parent row.
+    const assessmentPaths = new Map();
+    let rowCount = 0;
+    dataRows.forEach(({ line, fields }) => {
+        if (fields.length !== columns.length) {
+            errors.push({ line, message: 'Expected {expected} columns but found {found}.', values: { expected: columns.length, found: fields.length } });
+            return;
+        }
+        const field = (name) => fields[columns.indexOf(name)] ?? '';
+        const [yearName, moduleName, ectsRaw, moderatedRaw, title, dueDateRaw, weightRaw, gradeRaw] = LEGACY_CSV_HEADER.map(field);
+        const [ruleRaw, passFailRaw, moduleAttemptsRaw, parentRaw, passMarkRaw, attemptsRaw] = ['Counting Rule', 'Pass/Fail', 'Module Attempts', 'Parent', 'Pass Mark (%)', 'Attempts'].map(field);
+        const rowErrors = [];
+        const rowError = (message, values = {}) => rowErrors.push({ line, message, values });
+        const rule = parseRule(ruleRaw);
+        const passFail = passFailRaw.trim().toLowerCase();
+        const ects = parseNumber(ectsRaw);
+        const moderatedScore = parseNumber(moderatedRaw);
+        const moduleAttempts = parseAttempts(moduleAttemptsRaw);
+        const weight = parseNumber(weightRaw);
+        const grade = parseNumber(gradeRaw);
+        const passMark = parseNumber(passMarkRaw);
+        const attempts = parseAttempts(attemptsRaw);
+        const dueDate = dueDateRaw.trim();
+        const parentPath = parentRaw.trim();
+        const hasAssessment = [title, dueDate, weightRaw, gradeRaw, parentRaw, passMarkRaw, attemptsRaw].some(v => v.trim() !== '');
+        const existingModule = years.find(y => y.name === yearName)?.modules.find(m => m.name === moduleName);
+        const parent = parentPath ? assessmentPaths.get(existingModule)?.get(parentPath) : null;
+
+        if (!yearName.trim()) rowError('Year is missing.');
+        if (!moduleName.trim()) rowError('Module is missing.');
+        if (ects === null || isNaN(ects) || ects < 0) rowError('ECTS "{value}" is not a valid number.', { value: ectsRaw });
+        if (rule === null) rowError('Counting rule "{value}" must be "all", "drop lowest N" or "best N ECTS".', { value: ruleRaw });
+        if (!['', 'yes', 'no'].includes(passFail)) rowError('Pass/fail "{value}" must be "yes", "no" or blank.', { value: passFailRaw });
+        if (isNaN(moderatedScore) || moderatedScore < 0 || moderatedScore > 100) rowError('Moderated score "{value}" must be a number between 0 and 100.', { value: moderatedRaw });
+        if (moduleAttempts === null) rowError('Module attempts "{value}" must be entries like resit|2025-08-10|55|40, separated by semicolons.', { value: moduleAttemptsRaw });
+        if (hasAssessment) {
+            if (weight === null || isNaN(weight) || weight < 0 || weight > 100) rowError('Weight "{value}" must be a number between 0 and 100.', { value: weightRaw });
+            if (isNaN(grade) || grade < 0 || grade > 100) rowError('Grade "{value}" must be a number between 0 and 100.', { value: gradeRaw });
+            if (isNaN(passMark) || passMark < 0 || passMark > 100) rowError('Pass mark "{value}" must be a number between 0 and 100.', { value: passMarkRaw });
+            if (attempts === null) rowError('Attempts "{value}" must be entries like resit|2025-08-10|55|40, separated by semicolons.', { value: attemptsRaw });
+            if (dueDate && !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) rowError('Due date "{value}" must be in YYYY-MM-DD format.', { value: dueDate });
+            if (parent === undefined) rowError('Parent "{value}" has no row above it in this module.', { value: parentPath });
+        }
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+            return;
+        }
+
+        // Year and module details come from their first row; later rows that disagree are flagged.
+        const existingYear = years.find(y => y.name === yearName);
+        if (existingYear && formatRule(existingYear.rule) !== formatRule(rule)) {
+            warnings.push({ line, message: 'Counting rule "{value}" differs from "{earlier}" on an earlier row for {name}; the earlier value is used.', values: { value: ruleRaw, earlier: formatRule(existingYear.rule), name: yearName } });
+        }
+        if (existingModule) {
+            const differences = [
+                ['ECTS', existingModule.ects, ects],
+                ['Moderated score', existingModule.moderatedScore, moderatedScore],
+                ['Pass/fail', existingModule.passFail ? 'yes' : 'no', passFail === 'yes' ? 'yes' : 'no'],
+            ].filter(([, earlier, value]) => earlier !== value);
+            differences.forEach(([label, earlier, value]) => warnings.push({
+                line,
+                message: '{label} "{value}" differs from "{earlier}" on an earlier row for {name}; the earlier value is used.',
+                values: { label: { message: label }, value: value ?? '', earlier: earlier ?? '', name: moduleName },
+            }));
+        }
+
+        rowCount++;
+        let year = existingYear;
+        if (!year) {
+            year = { id: createId(), name: yearName, weighting: getDefaultYearWeighting(years.length + 1), ...(hasColumn('Counting Rule') && { rule }), modules: [], collapsed: false };
+            years.push(year);
+        }
+        let module = existingModule;
+        if (!module) {
+            module = {
+                id: createId(), name: moduleName, ects, moderatedScore, assessments: [],
+                ...(hasColumn('Pass/Fail') && { passFail: passFail === 'yes' }),
+                ...(hasColumn('Module Attempts') && { attempts: moduleAttempts }),
+            };
+            year.modules.push(module);
+            assessmentPaths.set(module, new Map());
+        }
+        if (hasAssessment) {
+            const assessment = { id: createId(), title, weight, grade, dueDate, passMark, ...(attempts.length > 0 && { attempts }) };
+            if (parent) parent.components = [...(parent.components ?? []), assessment];
+            else module.assessments.push(assessment);
+            assessmentPaths.get(module).set(parentPath ? `${parentPath}${CSV_PATH_SEPARATOR}${title}` : title, assessment);
         }
     });
-    return totalWeighting === 0 ? 0 : totalWeightedYearScore / totalWeighting;
+    return { years, errors, warnings, rowCount };
 };
 
-const calculateTargetGrade = (module, target) => {
-    if (!module || module.moderatedScore !== null) return 'N/A';
-    let gradedWeight = 0, achievedScore = 0;
-    module.assessments.forEach(a => {
-        if (a.grade !== null && !isNaN(a.grade)) {
-            gradedWeight += a.weight;
-            achievedScore += a.grade * a.weight;
+// Years and modules are matched by name; assessments by title within a matched module. A matched
+// year or module takes the incoming rule, pass/fail flag and module attempts when the file has them.
+export const mergeYears = (current, incoming) => {
+    const merged = current.map(year => ({ ...year, modules: [...year.modules] }));
+    incoming.forEach(incomingYear => {
+        const year = merged.find(y => y.name === incomingYear.name);
+        if (!year) {
+            merged.push({ ...incomingYear, weighting: getDefaultYearWeighting(merged.length + 1) });
+            return;
         }
+        if (incomingYear.rule) year.rule = incomingYear.rule;
+        incomingYear.modules.forEach(incomingModule => {
+            const moduleIndex = year.modules.findIndex(m => m.name === incomingModule.name);
+            if (moduleIndex === -1) {
+                year.modules.push(incomingModule);
+                return;
+            }
+            const module = year.modules[moduleIndex];
+            const assessments = [...module.assessments];
+            incomingModule.assessments.forEach(incomingAssessment => {
+                const assessmentIndex = assessments.findIndex(a => a.title === incomingAssessment.title);
+                if (assessmentIndex === -1) assessments.push(incomingAssessment);
+                else assessments[assessmentIndex] = { ...incomingAssessment, id: assessments[assessmentIndex].id };
+            });
+            year.modules[moduleIndex] = {
+                ...module,
+                ects: incomingModule.ects,
+                moderatedScore: incomingModule.moderatedScore,
+                ...(incomingModule.passFail !== undefined && { passFail: incomingModule.passFail }),
+                ...(incomingModule.attempts && { attempts: incomingModule.attempts }),
+                assessments,
+            };
+        });
     });
-    const remainingWeight = 100 - gradedWeight;
-    if (remainingWeight <= 0) return 'Done';
-    const neededScore = (target * 100) - achievedScore;
-    if (neededScore <= 0) return 'Achieved';
-    const requiredAverage = neededScore / remainingWeight;
-    return requiredAverage > 100 ? '>100%' : `${requiredAverage.toFixed(2)}%`;
+    return merged;
 };
 
 // --- COMPONENTS ---
 
-const ConfirmationModal = ({ message, onConfirm, onCancel }) => (
-    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
-        <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm">
-            <p className="text-lg text-gray-800 mb-4">{message}</p>
-            <div className="flex justify-end gap-4">
-                <button onClick={onCancel} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">Cancel</button>
-                <button onClick={onConfirm} className="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700">Delete</button>
+const ConfirmationModal = ({ message, onConfirm, onCancel, confirmLabel = 'Delete' }) => {
+    const { t } = useLocale();
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-sm">
+                <p className="text-lg text-gray-800 mb-4">{message}</p>
+                <div className="flex justify-end gap-4">
+                    <button onClick={onCancel} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Cancel')}</button>
+                    <button onClick={onConfirm} className="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700">{t(confirmLabel)}</button>
+                </div>
             </div>
         </div>
-    </div>
-);
+    );
+};
+
+const RecoveryScreen = ({ error, raw, onRestoreFile, onReset, profileBar }) => {
+    const { t } = useLocale();
+    const fileInputRef = useRef(null);
+    return (
+        <div className="container mx-auto p-4 md:p-8 max-w-2xl">
+            {profileBar}
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-red-200 fade-in">
+                <h1 className="text-2xl font-bold text-red-700 mb-2">{t('Your saved data could not be loaded')}</h1>
+                <p className="text-gray-600 mb-2">{t('The data stored in this browser is damaged or in a format this version does not understand. Nothing has been deleted yet.')}</p>
+                <p className="text-sm bg-red-50 border border-red-200 text-red-700 rounded-md p-2 mb-6 font-mono">{error}</p>
+                <div className="flex flex-wrap gap-4">
+                    <button onClick={() => downloadFile(raw, 'grade_tracker_corrupted_data.json', 'application/json')} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Download Damaged Data')}</button>
+                    <button onClick={() => fileInputRef.current.click()} className="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700">{t('Restore from Backup')}</button>
+                    <button onClick={onReset} className="bg-red-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-red-700">{t('Start Fresh')}</button>
+                    <input ref={fileInputRef} type="file" accept=".json,application/json" onChange={onRestoreFile} className="hidden" />
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const CsvImportModal = ({ preview, onReplace, onMerge, onCancel }) => {
+    const { t, formatMessage } = useLocale();
+    const { years, errors, warnings, rowCount, fileName } = preview;
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[90vh] flex flex-col">
+                <h2 className="text-xl font-bold text-gray-800 mb-1">{t('Import CSV')}</h2>
+                <p className="text-sm text-gray-500 mb-4">{t('{file}: {rows} valid, {errors} with errors', { file: fileName, rows: rowCount, errors: errors.length })}</p>
+                <div className="overflow-y-auto flex-grow space-y-4">
+                    {years.length > 0 && (
+                        <div>
+                            <h3 className="text-md font-semibold text-gray-700 mb-2">{t('Preview')}</h3>
+                            {years.map(year => (
+                                <div key={year.id} className="mb-2">
+                                    <div className="font-semibold">{year.name}</div>
+                                    {year.modules.map(module => (
+                                        <div key={module.id} className="flex justify-between text-sm pl-4">
+                                            <span className="truncate pr-2">{module.name}</span>
+                                            <span className="text-gray-500">{t('{ects} ECTS, assessments: {count}', { ects: module.ects, count: module.assessments.length })}</span>
+                                        </div>
+                                    ))}
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                    {warnings.length > 0 && (
+                        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3">
+                            <h3 className="text-md font-semibold text-amber-800 mb-2">{t('Rows that disagree with earlier rows')}</h3>
+                            <ul className="text-sm text-amber-800 space-y-1">
+                                {warnings.map((warning, i) => <li key={i}><strong>{t('Row {line}:', { line: warning.line })}</strong> {formatMessage(warning)}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                    {errors.length > 0 && (
+                        <div className="bg-red-50 border border-red-200 rounded-lg p-3">
+                            <h3 className="text-md font-semibold text-red-800 mb-2">{t('Rows that will be skipped')}</h3>
+                            <ul className="text-sm text-red-700 space-y-1">
+                                {errors.map((error, i) => <li key={i}><strong>{t('Row {line}:', { line: error.line })}</strong> {formatMessage(error)}</li>)}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+                <div className="flex justify-end gap-4 mt-4">
+                    <button onClick={onCancel} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Cancel')}</button>
+                    <button onClick={onMerge} disabled={years.length === 0} className="bg-blue-100 text-blue-700 font-semibold py-2 px-4 rounded-lg hover:bg-blue-200 disabled:opacity-50">{t('Merge')}</button>
+                    <button onClick={onReplace} disabled={years.length === 0} className="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">{t('Replace')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const UndoToast = ({ message, onUndo, onDismiss }) => {
+    const { t } = useLocale();
+    useEffect(() => {
+        const timer = setTimeout(onDismiss, 6000);
+        return () => clearTimeout(timer);
+    }, [message, onDismiss]);
+
+    return (
+        <div className="fixed bottom-6 left-1/2 -translate-x-1/2 bg-gray-800 text-white rounded-lg shadow-xl py-3 px-4 flex items-center gap-4 z-50 fade-in">
+            <span className="text-sm">{message}</span>
+            <button onClick={onUndo} className="text-sm font-semibold text-blue-300 hover:text-blue-200">{t('Undo')}</button>
+            <button onClick={onDismiss} className="text-gray-400 hover:text-white">&times;</button>
+        </div>
+    );
+};
 
 const Tooltip = ({ text, children }) => (
     <div className="relative inline-block group">
@@ -141,91 +1093,228 @@ const Tooltip = ({ text, children }) => (
     </div>
 );
 
-const Assessment = ({ assessment, onUpdate, onDelete }) => (
-    <div className="grid grid-cols-12 gap-2 items-center py-2 border-t">
-        <input type="text" value={assessment.title} onChange={(e) => onUpdate('title', e.target.value)} className="col-span-4 bg-transparent focus:outline-none focus:ring-1 focus:ring-blue-300 rounded p-1 -m-1" placeholder="Assessment Title" />
-        <input type="date" value={assessment.dueDate} onChange={(e) => onUpdate('dueDate', e.target.value)} className="col-span-3 p-1 border rounded-md text-sm bg-gray-50" />
-        <div className="col-span-2 flex items-center">
-            <label className="text-sm mr-2">W:</label>
-            <input type="text" inputMode="decimal" value={assessment.weight} onChange={(e) => onUpdate('weight', e.target.value)} className="w-full p-1 border rounded-md bg-gray-50" placeholder="%" />
-        </div>
-        <div className="col-span-2 flex items-center">
-            <label className="text-sm mr-2">G:</label>
-            <input type="text" inputMode="decimal" value={assessment.grade ?? ''} onChange={(e) => onUpdate('grade', e.target.value)} className="w-full p-1 border rounded-md bg-gray-50" placeholder="%" />
+// Keeps what is being typed locally and only passes on values that parse and are in range,
+// so the stored tree holds numbers (or null), never '', '4.' or 'abc'.
+const NumberInput = ({ value, onChange, rules, className = '', wrapperClassName = '', ...props }) => {
+    const { t, toDecimalText, formatInput } = useLocale();
+    const [text, setText] = useState(() => formatInput(value));
+    const error = validateNumber(toDecimalText(text), rules);
+
+    useEffect(() => {
+        // Follow outside changes (undo, import, language) unless the text already means the same number.
+        setText(current => Object.is(parseNumber(toDecimalText(current)), parseNumber(value)) ? current : formatInput(value));
+    }, [value, toDecimalText, formatInput]);
+
+    const handleChange = (e) => {
+        setText(e.target.value);
+        const decimalText = toDecimalText(e.target.value);
+        if (!validateNumber(decimalText, rules)) onChange(parseNumber(decimalText));
+    };
+
+    return (
+        <span className={`flex flex-col ${wrapperClassName}`}>
+            <input type="text" inputMode="decimal" value={text} onChange={handleChange} aria-invalid={error !== null} className={`${className} ${error ? 'ring-2 ring-red-400' : ''}`} {...props} />
+            {error && <span className="text-xs text-red-600">{t(error)}</span>}
+        </span>
+    );
+};
+
+const AttemptList = ({ attempts, onChange, requestDelete, indent = 0 }) => {
+    const { t, formatDecimal } = useLocale();
+    const countingAttempt = getCountingAttempt({ attempts });
+    return (
+        <div style={{ paddingLeft: `${indent}rem` }}>
+            {attempts.map((attempt, index) => {
+                const update = (prop, value) => onChange([...attempts.slice(0, index), { ...attempt, [prop]: value }, ...attempts.slice(index + 1)]);
+                const mark = getAttemptMark(attempt);
+                return (
+                    <div key={attempt.id} className={`grid grid-cols-12 gap-2 items-center py-1 text-sm ${attempt === countingAttempt ? '' : 'text-gray-400'}`}>
+                        <select value={attempt.type} onChange={(e) => update('type', e.target.value)} className="col-span-3 p-1 border rounded-md bg-amber-50">
+                            <option value="resit">{t('Resit')}</option>
+                            <option value="deferral">{t('Deferral (uncapped)')}</option>
+                        </select>
+                        <input type="date" value={attempt.date} onChange={(e) => update('date', e.target.value)} className="col-span-2 p-1 border rounded-md bg-gray-50" />
+                        <div className="col-span-2 flex items-center">
+                            <label className="mr-2">{t('G:')}</label>
+                            <NumberInput value={attempt.grade} onChange={(value) => update('grade', value)} wrapperClassName="flex-1 min-w-0" className="w-full p-1 border rounded-md bg-gray-50" placeholder="%" />
+                        </div>
+                        <div className="col-span-2 flex items-center">
+                            {attempt.type === 'resit' && <>
+                                <label className="mr-2">{t('Cap:')}</label>
+                                <NumberInput value={attempt.cap} onChange={(value) => update('cap', value)} wrapperClassName="flex-1 min-w-0" className="w-full p-1 border rounded-md bg-gray-50" placeholder={t('none')} />
+                            </>}
+                        </div>
+                        <div className="col-span-2 text-xs">
+                            {mark !== null && <>{t('Raw {grade}%', { grade: formatDecimal(attempt.grade) })} → <strong>{t('counts {mark}%', { mark: formatDecimal(mark) })}</strong></>}
+                        </div>
+                        <div className="col-span-1 text-right">
+                            <button onClick={() => requestDelete('attempt', () => onChange(attempts.filter(a => a.id !== attempt.id)), { confirm: false })} aria-label={t('Delete attempt')} className="text-gray-400 hover:text-red-500">&times;</button>
+                        </div>
+                    </div>
+                );
+            })}
         </div>
-        <div className="col-span-1 text-right">
-            <button onClick={onDelete} className="text-gray-400 hover:text-red-500">&times;</button>
+    );
+};
+
+const createAttempt = (resitCap) => ({ id: createId(), type: 'resit', date: '', grade: null, cap: resitCap });
+
+const Assessment = ({ assessment, onUpdate, onDelete, requestDelete, resitCap, depth = 0 }) => {
+    const { t, formatDecimal } = useLocale();
+    const components = assessment.components ?? [];
+    const hasComponents = components.length > 0;
+    const derivedGrade = hasComponents ? getAssessmentGrade(assessment).grade : null;
+    const failed = isBelowPassMark(assessment);
+    const attempts = assessment.attempts ?? [];
+    const superseded = getCountingAttempt(assessment) !== null;
+
+    const addComponent = () => onUpdate('components', [...components, { id: createId(), title: t('New Part'), weight: 25, grade: null, dueDate: '', passMark: null }]);
+
+    return (
+        <div>
+            <div className={`grid grid-cols-12 gap-2 items-center py-2 border-t ${failed ? 'bg-red-50' : ''}`} style={{ paddingLeft: `${depth * 1.5}rem` }}>
+                <input id={`assessment-${assessment.id}`} type="text" value={assessment.title} onChange={(e) => onUpdate('title', e.target.value)} className={`col-span-3 bg-transparent focus:outline-none focus:ring-1 focus:ring-blue-300 rounded p-1 -m-1 ${hasComponents ? 'font-semibold' : ''}`} placeholder={t('Assessment Title')} />
+                <input type="date" value={assessment.dueDate} onChange={(e) => onUpdate('dueDate', e.target.value)} className="col-span-2 p-1 border rounded-md text-sm bg-gray-50" />
+                <div className="col-span-2 flex items-center">
+                    <label className="text-sm mr-2">{t('W:')}</label>
+                    <NumberInput value={assessment.weight} onChange={(value) => onUpdate('weight', value)} rules={{ required: true }} wrapperClassName="flex-1 min-w-0" className="w-full p-1 border rounded-md bg-gray-50" placeholder="%" />
+                </div>
+                <div className="col-span-2 flex items-center">
+                    <label className="text-sm mr-2">{t('G:')}</label>
+                    {hasComponents
+                        ? <span className={`w-full p-1 text-sm ${failed ? 'text-red-600 font-semibold' : 'text-gray-600'}`} title={t('Calculated from its components')}>{derivedGrade === null ? '–' : `${formatDecimal(derivedGrade)}%`}</span>
+                        : <NumberInput value={assessment.grade} onChange={(value) => onUpdate('grade', value)} wrapperClassName="flex-1 min-w-0" title={superseded ? t('First sitting, superseded by a later attempt') : undefined} className={`w-full p-1 border rounded-md bg-gray-50 ${superseded ? 'line-through text-gray-400' : ''} ${failed ? 'text-red-600 font-semibold' : ''}`} placeholder="%" />
+                    }
+                </div>
+                <div className="col-span-2 flex items-center" title={t('Minimum mark needed on this component to pass the module, whatever the average.')}>
+                    <label className="text-sm mr-2">{t('Pass:')}</label>
+                    <NumberInput value={assessment.passMark} onChange={(value) => onUpdate('passMark', value)} wrapperClassName="flex-1 min-w-0" className="w-full p-1 border rounded-md bg-gray-50" placeholder="–" />
+                </div>
+                <div className="col-span-1 flex justify-end gap-2">
+                    {!hasComponents && <button onClick={() => onUpdate('attempts', [...attempts, createAttempt(resitCap)])} aria-label={t('Add resit')} title={t('Record a resit or deferred attempt')} className="text-gray-400 hover:text-amber-600">&#8635;</button>}
+                    <button onClick={addComponent} aria-label={t('Add component')} title={t('Split into weighted sub-assessments')} className="text-gray-400 hover:text-blue-500">+</button>
+                    <button onClick={onDelete} aria-label={t('Delete assessment')} className="text-gray-400 hover:text-red-500">&times;</button>
+                </div>
+            </div>
+            {!hasComponents && attempts.length > 0 && <AttemptList attempts={attempts} onChange={(next) => onUpdate('attempts', next)} requestDelete={requestDelete} indent={depth * 1.5 + 1.5} />}
+            {components.map((component, index) => (
+                <Assessment
+                    key={component.id}
+                    assessment={component}
+                    depth={depth + 1}
+                    resitCap={resitCap}
+                    requestDelete={requestDelete}
+                    onUpdate={(prop, value) => onUpdate('components', [...components.slice(0, index), { ...component, [prop]: value }, ...components.slice(index + 1)])}
+                    onDelete={() => requestDelete('assessment', () => onUpdate('components', components.filter(c => c.id !== component.id)), { confirm: false })}
+                />
+            ))}
         </div>
-    </div>
-);
+    );
+};
 
-const Module = ({ module, onUpdate, onDelete, onAddAssessment, theme }) => {
+const Module = ({ module, onUpdate, onDelete, onAddAssessment, theme, gradingScheme, requestDelete, resitCap }) => {
+    const { t, formatDecimal, formatTargetGrade } = useLocale();
     const { average, totalWeight } = useMemo(() => calculateModuleAverage(module), [module]);
-    const effectiveAverage = module.moderatedScore ?? average;
-    const sourceText = module.moderatedScore !== null ? '(Moderated)' : `(${totalWeight.toFixed(0)}% weighted)`;
-    const t = themes[theme];
-    const target1 = theme === 'asianParent' ? 95 : 70;
-    const target2 = theme === 'asianParent' ? 90 : 60;
+    const effectiveAverage = getModuleScore(module);
+    const moduleAttempts = module.attempts ?? [];
+    const countingAttempt = getCountingAttempt(module);
+    const sourceText = module.passFail
+        ? t('(Pass/fail: credits only)')
+        : hasModeratedScore(module)
+            ? t('(Moderated)')
+            : countingAttempt
+                ? t('(Reassessed: raw {grade}%, first sit {average}%)', { grade: formatDecimal(countingAttempt.grade), average: formatDecimal(average) })
+                : t('({weight}% weighted)', { weight: formatDecimal(totalWeight, 0) });
+    const targets = getTargets(theme, gradingScheme);
+    const failedComponents = getFailedComponents(module);
 
     return (
-        <div className="bg-gray-50 p-4 rounded-lg border border-gray-200">
+        <div className={`bg-gray-50 p-4 rounded-lg border ${failedComponents.length > 0 ? 'border-red-300' : 'border-gray-200'}`}>
             <div className="grid grid-cols-1 md:grid-cols-3 gap-4 items-center mb-3">
-                <input type="text" value={module.name} onChange={(e) => onUpdate('name', e.target.value)} className="md:col-span-1 text-lg font-semibold bg-gray-100 hover:bg-gray-200 focus:bg-white rounded-md p-1 -m-1 border border-transparent focus:border-blue-500" placeholder="Module Name" />
+                <input type="text" value={module.name} onChange={(e) => onUpdate('name', e.target.value)} className="md:col-span-1 text-lg font-semibold bg-gray-100 hover:bg-gray-200 focus:bg-white rounded-md p-1 -m-1 border border-transparent focus:border-blue-500" placeholder={t('Module Name')} />
                 <div className="flex items-center space-x-2">
-                    <label className="text-sm font-medium">ECTS:</label>
-                    <input type="text" inputMode="decimal" value={module.ects} onChange={(e) => onUpdate('ects', e.target.value)} className="w-20 p-1 border rounded-md bg-gray-50" />
+                    <label className="text-sm font-medium">{t('ECTS:')}</label>
+                    <NumberInput value={module.ects} onChange={(value) => onUpdate('ects', value)} rules={{ range: 'positive', required: true }} className="w-20 p-1 border rounded-md bg-gray-50" />
+                    <label className="flex items-center gap-1 text-sm font-medium" title={t('Pass/fail modules carry credits but their mark never counts towards the year average')}>
+                        <input type="checkbox" checked={Boolean(module.passFail)} onChange={(e) => onUpdate('passFail', e.target.checked)} />
+                        {t('Pass/fail')}
+                    </label>
                 </div>
                 <div className="text-right flex items-center justify-end space-x-4">
                     <div>
-                        <span className="text-sm font-medium">{t.moduleScoreLabel}</span>
-                        <span className={`text-lg font-bold ${t.getGradeColor(effectiveAverage)}`}>{effectiveAverage.toFixed(2)}%</span>
+                        <span className="text-sm font-medium">{theme.moduleScoreLabel}</span>
+                        <span className="text-lg font-bold" style={getGradeStyle(theme, gradingScheme, effectiveAverage)}>{formatDecimal(effectiveAverage)}%</span>
                         <div className="text-xs text-gray-500">{sourceText}</div>
+                        {failedComponents.length > 0 && <div className="text-xs font-semibold text-red-600">{t('Failed on {components}', { components: failedComponents.map(c => c.title).join(', ') })}</div>}
                     </div>
                     <button onClick={onDelete} className="text-gray-400 hover:text-red-500 text-2xl">&times;</button>
                 </div>
             </div>
             <div className="flex items-center space-x-2 mb-3">
-                <label className="text-sm font-medium text-blue-600">Final Score:</label>
-                <Tooltip text="Enter your official moderated score here to override the calculated average for this module.">
+                <label className="text-sm font-medium text-blue-600">{t('Final Score:')}</label>
+                <Tooltip text={t('Enter your official moderated score here to override the calculated average for this module.')}>
                     <span className="text-gray-400 cursor-pointer">(ⓘ)</span>
                 </Tooltip>
-                <input type="text" inputMode="decimal" value={module.moderatedScore ?? ''} onChange={(e) => onUpdate('moderatedScore', e.target.value)} className="w-24 p-1 border rounded-md bg-gray-50" placeholder="Final %" />
+                <NumberInput value={module.moderatedScore} onChange={(value) => onUpdate('moderatedScore', value)} className="w-24 p-1 border rounded-md bg-gray-50" placeholder={t('Final %')} />
+                <button onClick={() => onUpdate('attempts', [...moduleAttempts, createAttempt(resitCap)])} className="text-sm bg-amber-100 text-amber-800 font-semibold py-1 px-3 rounded-md hover:bg-amber-200">{t('Add Module Resit')}</button>
             </div>
+            {moduleAttempts.length > 0 && (
+                <div className="bg-amber-50 border border-amber-200 rounded-lg p-2 mb-3">
+                    <h4 className="text-sm font-semibold text-amber-800">{t('Module Reassessments')}</h4>
+                    <AttemptList attempts={moduleAttempts} onChange={(next) => onUpdate('attempts', next)} requestDelete={requestDelete} />
+                </div>
+            )}
             <div>
                 {module.assessments.map((assessment, index) => (
                     <Assessment 
                         key={assessment.id} 
                         assessment={assessment} 
+                        resitCap={resitCap}
+                        requestDelete={requestDelete}
                         onUpdate={(prop, value) => onUpdate('assessments', [...module.assessments.slice(0, index), { ...assessment, [prop]: value }, ...module.assessments.slice(index + 1)])}
-                        onDelete={() => onUpdate('assessments', module.assessments.filter(a => a.id !== assessment.id))}
+                        onDelete={() => requestDelete('assessment', () => onUpdate('assessments', module.assessments.filter(a => a.id !== assessment.id)), { confirm: false })}
                     />
                 ))}
             </div>
-            <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mt-3 text-sm">
-                <h4 className="font-semibold mb-2 text-blue-800">Target Grade Calculator</h4>
-                <div className="flex justify-around">
-                    <div><strong>{t.addTarget1}</strong> Need <span className="font-bold text-blue-700">{calculateTargetGrade(module, target1)}</span></div>
-                    <div><strong>{t.addTarget2}</strong> Need <span className="font-bold text-blue-700">{calculateTargetGrade(module, target2)}</span></div>
+            {targets.length > 0 && (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 mt-3 text-sm">
+                    <h4 className="font-semibold mb-2 text-blue-800">{t('Target Grade Calculator')}</h4>
+                    <div className="flex justify-around">
+                        {targets.map((target, i) => (
+                            <div key={target.label}><strong>{formatTarget(theme, target, i)}</strong> {t('Need')} <span className="font-bold text-blue-700">{formatTargetGrade(calculateTargetGrade(module, target.grade))}</span></div>
+                        ))}
+                    </div>
                 </div>
-            </div>
-            <button onClick={onAddAssessment} className="mt-3 text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">Add Assessment</button>
+            )}
+            <button onClick={onAddAssessment} className="mt-3 text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">{t('Add Assessment')}</button>
         </div>
     );
 };
 
-const Year = ({ year, onUpdate, onDelete, onAddModule, theme, requestDelete }) => {
-    const [isCollapsed, setIsCollapsed] = useState(year.collapsed);
+const Year = ({ year, onUpdate, onDelete, onAddModule, theme, gradingScheme, requestDelete, resitCap }) => {
+    const { t, formatDecimal } = useLocale();
+    const isCollapsed = year.collapsed;
     const contentRef = useRef(null);
     const yearAvg = useMemo(() => calculateYearAverage(year), [year]);
-    const t = themes[theme];
+    const rule = year.rule ?? { type: 'all' };
+    const countedEcts = useMemo(() => new Map(getYearModuleCounts(year).map(entry => [entry.module.id, entry.countedEcts])), [year]);
+    const yearEcts = year.modules.reduce((sum, module) => sum + (module.passFail ? 0 : Number(module.ects) || 0), 0);
+    const changeRule = (type) => onUpdate('rule', type === 'dropLowest' ? { type, count: 1 } : type === 'bestEcts' ? { type, ects: yearEcts } : { type });
+
+    // How a scored module fares under the year's rule, when that is not simply "counts in full".
+    const getCountNote = (module) => {
+        if (module.passFail) return t('Pass/fail');
+        const counted = countedEcts.get(module.id);
+        if (counted === undefined || counted === module.ects) return null;
+        return counted === 0 ? t('Dropped') : t('{counted} of {ects} ECTS count', { counted: +counted.toFixed(2), ects: module.ects });
+    };
 
     const toggleCollapse = () => {
-        setIsCollapsed(!isCollapsed);
         onUpdate('collapsed', !isCollapsed);
     };
     
     const totalAssessments = useMemo(() => {
-        return year.modules.reduce((acc, module) => acc + module.assessments.length, 0);
+        return year.modules.reduce((acc, module) => acc + listAssessments(module.assessments).length, 0);
     }, [year.modules]);
 
     useLayoutEffect(() => {
@@ -242,20 +1331,30 @@ const Year = ({ year, onUpdate, onDelete, onAddModule, theme, requestDelete }) =
                     <input type="text" value={year.name} onClick={(e) => e.stopPropagation()} onChange={(e) => onUpdate('name', e.target.value)} className="text-2xl font-bold text-gray-800 bg-gray-100 hover:bg-gray-200 focus:bg-white rounded-md p-1 -m-1 w-1/2 border border-transparent focus:border-blue-500" />
                 </div>
                 <div className="text-right">
-                    <span className="text-lg font-semibold text-gray-600">{t.yearAvgLabel}</span>
-                    <span className={`text-2xl font-bold ${t.getGradeColor(yearAvg)}`}>{yearAvg.toFixed(2)}%</span>
+                    <span className="text-lg font-semibold text-gray-600">{theme.yearAvgLabel}</span>
+                    <span className="text-2xl font-bold" style={getGradeStyle(theme, gradingScheme, yearAvg)}>{formatDecimal(yearAvg)}%</span>
                 </div>
                 <button onClick={(e) => { e.stopPropagation(); requestDelete('year', onDelete); }} className="ml-4 text-gray-400 hover:text-red-500 transition-colors">&times;</button>
             </div>
             <div ref={contentRef} style={{ transition: 'max-height 0.5s ease-in-out', overflow: 'hidden' }}>
+                <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                    <label className="font-medium text-gray-600">{t('Counting Rule:')}</label>
+                    <select value={rule.type} onChange={(e) => changeRule(e.target.value)} aria-label={t('{year} counting rule', { year: year.name })} className="p-1 border rounded-md bg-gray-50">
+                        {Object.entries(YEAR_RULES).map(([type, label]) => <option key={type} value={type}>{t(label)}</option>)}
+                    </select>
+                    {rule.type === 'dropLowest' && <NumberInput value={rule.count} onChange={(value) => onUpdate('rule', { ...rule, count: value })} rules={{ range: 'positive', required: true }} aria-label={t('Modules to drop')} className="w-16 p-1 border rounded-md bg-gray-50" />}
+                    {rule.type === 'bestEcts' && <><NumberInput value={rule.ects} onChange={(value) => onUpdate('rule', { ...rule, ects: value })} rules={{ range: 'positive', required: true }} aria-label={t('Credits to count')} className="w-16 p-1 border rounded-md bg-gray-50" /><span className="text-gray-600">{t('of {ects} ECTS', { ects: yearEcts })}</span></>}
+                </div>
                 <div className="bg-gray-50 border rounded-lg p-3 mb-4">
-                    <h3 className="text-md font-semibold text-gray-700 mb-2">Module Performance Summary</h3>
+                    <h3 className="text-md font-semibold text-gray-700 mb-2">{t('Module Performance Summary')}</h3>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1 text-sm">
                         {year.modules.length === 0 
-                            ? <p className="text-gray-500 col-span-full">No modules added yet.</p>
+                            ? <p className="text-gray-500 col-span-full">{t('No modules added yet.')}</p>
                             : year.modules.map(module => {
-                                const effectiveAverage = module.moderatedScore ?? calculateModuleAverage(module).average;
-                                return <div key={module.id} className="flex justify-between items-baseline"><span className="truncate pr-2">{module.name}</span><span className={`font-semibold ${t.getGradeColor(effectiveAverage)}`}>{effectiveAverage.toFixed(2)}%</span></div>;
+                                const effectiveAverage = getModuleScore(module);
+                                const failed = getFailedComponents(module).length > 0;
+                                const countNote = getCountNote(module);
+                                return <div key={module.id} className="flex justify-between items-baseline"><span className="truncate pr-2">{module.name}{failed && <span className="ml-1 text-xs font-semibold text-red-600">{t('(Failed component)')}</span>}{countNote && <span className="ml-1 text-xs text-gray-500">({countNote})</span>}</span><span className="font-semibold" style={getGradeStyle(theme, gradingScheme, effectiveAverage)}>{formatDecimal(effectiveAverage)}% <span className="text-xs text-gray-500">({getGradeBand(gradingScheme, effectiveAverage).short})</span></span></div>;
                             })
                         }
                     </div>
@@ -266,130 +1365,1424 @@ const Year = ({ year, onUpdate, onDelete, onAddModule, theme, requestDelete }) =
                             key={module.id}
                             module={module}
                             theme={theme}
+                            gradingScheme={gradingScheme}
+                            resitCap={resitCap}
+                            requestDelete={requestDelete}
                             onUpdate={(prop, value) => onUpdate('modules', [...year.modules.slice(0, index), { ...module, [prop]: value }, ...year.modules.slice(index + 1)])}
                             onDelete={() => requestDelete('module', () => onUpdate('modules', year.modules.filter(m => m.id !== module.id)))}
-                            onAddAssessment={() => onUpdate('modules', [...year.modules.slice(0, index), { ...module, assessments: [...module.assessments, { id: Date.now(), title: 'New Assessment', weight: 25, grade: null, dueDate: '' }] }, ...year.modules.slice(index + 1)])}
+                            onAddAssessment={() => onUpdate('modules', [...year.modules.slice(0, index), { ...module, assessments: [...module.assessments, { id: createId(), title: t('New Assessment'), weight: 25, grade: null, dueDate: '' }] }, ...year.modules.slice(index + 1)])}
                         />
                     ))}
                 </div>
-                <button onClick={onAddModule} className="mt-4 bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">Add Module</button>
+                <button onClick={onAddModule} className="mt-4 bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Add Module')}</button>
             </div>
         </div>
     );
 };
 
-const Calendar = ({ years, onClose }) => {
-    const [date, setDate] = useState(new Date());
+const GoalSolver = ({ years, theme, gradingScheme }) => {
+    const { t, formatDecimal, formatInput, toDecimalText } = useLocale();
+    const [scope, setScope] = useState('degree');
+    const targets = getTargets(theme, gradingScheme);
+    // A theme saved before empty target lists were rejected has none to start from.
+    const [goal, setGoal] = useState(() => formatInput(targets[0]?.grade));
+    const selectedYear = years.find(y => String(y.id) === scope);
+    const projection = useMemo(() => selectedYear ? projectYear(selectedYear) : projectDegree(years), [selectedYear, years]);
+    const goalValue = parseFloat(toDecimalText(goal));
+    const result = isNaN(goalValue) ? null : solveGoal(projection, goalValue);
+    const ruled = (selectedYear ? [selectedYear] : years.filter(y => y.weighting > 0)).some(y => (y.rule?.type ?? 'all') !== 'all');
+    const values = {
+        scope: selectedYear ? t('{year} average', { year: selectedYear.name }) : t('degree average'),
+        goal: formatInput(goalValue),
+        required: result?.required === null || result?.required === undefined || result.required === Infinity ? '' : formatDecimal(result.required),
+    };
 
-    const events = useMemo(() => {
-        const allEvents = {};
-        years.forEach(year => {
-            year.modules.forEach(module => {
-                module.assessments.forEach(assessment => {
-                    if (assessment.dueDate) {
-                        if (!allEvents[assessment.dueDate]) allEvents[assessment.dueDate] = [];
-                        allEvents[assessment.dueDate].push({ moduleName: module.name, assessment });
-                    }
-                });
-            });
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mb-8 fade-in">
+            <h2 className="text-2xl font-bold text-gray-800 mb-4">{t('What Do I Need?')}</h2>
+            <div className="flex flex-wrap items-center gap-4 mb-4">
+                <div className="flex items-center space-x-2">
+                    <label className="text-sm font-medium text-gray-600">{t('Goal for:')}</label>
+                    <select value={selectedYear ? scope : 'degree'} onChange={(e) => setScope(e.target.value)} className="p-1 border rounded-md bg-gray-50">
+                        <option value="degree">{t('Overall degree')}</option>
+                        {years.map(year => <option key={year.id} value={String(year.id)}>{year.name}</option>)}
+                    </select>
+                </div>
+                <div className="flex items-center space-x-2">
+                    <label className="text-sm font-medium text-gray-600">{t('Target (%):')}</label>
+                    <input type="text" inputMode="decimal" value={goal} onChange={(e) => setGoal(e.target.value)} className="w-20 p-1 border rounded-md bg-gray-50" />
+                </div>
+                <div className="flex gap-2">
+                    {targets.map(target => (
+                        <button key={target.label} onClick={() => setGoal(formatInput(target.grade))} className="text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">{target.label}</button>
+                    ))}
+                </div>
+            </div>
+            {result && (
+                <div className="bg-blue-50 border border-blue-200 rounded-lg p-3 text-sm">
+                    {result.status === 'needed' && <p className="font-semibold text-blue-700">{t('To reach a {scope} of {goal}%, you need an average of {required}% on everything still open.', values)}</p>}
+                    {result.status === 'secured' && <p className="text-green-700">{t('A {scope} of {goal}% is already secured, even if you score 0 on everything still open.', values)}</p>}
+                    {result.status === 'impossible' && <p className="text-red-600">{result.required !== null
+                        ? t('A {scope} of {goal}% is no longer achievable: it would need more than 100% on everything still open.', values)
+                        : t('A {scope} of {goal}% is no longer achievable.', values)}</p>}
+                    {ruled && <p className="text-gray-600 mt-1">{t('Counting rules are applied as if everything still open scored that same mark, so the modules that count may change as real marks come in.')}</p>}
+                    <p className="text-gray-500 mt-1">{t('Still open: ungraded assessments {assessments}, modules {modules}. Achievable range: {worst}% – {best}%.', {
+                        assessments: projection.openAssessments, modules: projection.openModules, worst: formatDecimal(result.worst), best: formatDecimal(result.best),
+                    })}</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ScenarioBar = ({ scenarios, activeScenario, onSelect, onCreate, onRename, onDelete, onCompare }) => {
+    const { t } = useLocale();
+    return (
+        <div className="bg-white p-4 rounded-xl shadow-lg border border-gray-200 mb-8 fade-in">
+            <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm font-semibold text-gray-700 mr-2">{t('What-If Scenarios:')}</span>
+                <button onClick={() => onSelect(null)} className={`text-sm font-semibold py-1 px-3 rounded-md ${activeScenario ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-blue-600 text-white'}`}>{t('Real Record')}</button>
+                {scenarios.map(scenario => (
+                    <button key={scenario.id} onClick={() => onSelect(scenario.id)} className={`text-sm font-semibold py-1 px-3 rounded-md ${activeScenario?.id === scenario.id ? 'bg-amber-500 text-white' : 'bg-amber-50 text-amber-800 hover:bg-amber-100'}`}>{scenario.name}</button>
+                ))}
+                <button onClick={onCreate} className="text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">{t('+ New Scenario')}</button>
+                {scenarios.length > 0 && <button onClick={onCompare} className="text-sm bg-purple-100 text-purple-700 font-semibold py-1 px-3 rounded-md hover:bg-purple-200 ml-auto">{t('Compare Scenarios')}</button>}
+            </div>
+            {activeScenario && (
+                <div className="flex flex-wrap items-center gap-2 mt-3 bg-amber-50 border border-amber-200 rounded-lg p-2 text-sm text-amber-800">
+                    <span>{t('Editing scenario')}</span>
+                    <input type="text" value={activeScenario.name} onChange={(e) => onRename(e.target.value)} className="font-semibold bg-white border border-amber-200 rounded-md px-1" />
+                    <span>{t("— changes here don't affect your real grades.")}</span>
+                    <button onClick={onDelete} className="ml-auto text-amber-700 hover:text-red-600 font-semibold">{t('Delete Scenario')}</button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+const ScenarioComparison = ({ years, scenarios, theme, gradingScheme, onClose }) => {
+    const { t, formatDecimal } = useLocale();
+    const columns = [{ id: 'real', name: t('Real Record'), years }, ...scenarios];
+    // Every year and module found in any column, real record first, so ones added only in a scenario get rows too.
+    const allYears = [];
+    columns.forEach(column => column.years.forEach(year => {
+        let entry = allYears.find(y => y.id === year.id);
+        if (!entry) allYears.push(entry = { id: year.id, name: year.name, modules: [] });
+        year.modules.forEach(module => {
+            if (!entry.modules.some(m => m.id === module.id)) entry.modules.push({ id: module.id, name: module.name });
+        });
+    }));
+    const rows = [
+        { key: 'degree', label: t('Degree Average'), level: 0, getValue: (ys) => calculateOverallDegreeAverage(ys) },
+        ...allYears.flatMap(year => [
+            { key: `y-${year.id}`, label: year.name, level: 1, getValue: (ys) => {
+                const match = ys.find(y => y.id === year.id);
+                return match ? calculateYearAverage(match) : null;
+            } },
+            ...year.modules.map(module => ({ key: `m-${module.id}`, label: module.name, level: 2, getValue: (ys) => {
+                const match = ys.find(y => y.id === year.id)?.modules.find(m => m.id === module.id);
+                return match ? getModuleScore(match) : null;
+            } })),
+        ]),
+    ];
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col p-4">
+                <h2 className="text-xl font-bold mb-4 pb-2 border-b">{t('Scenario Comparison')}</h2>
+                <div className="overflow-auto flex-grow">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-600">
+                                <th className="p-2"></th>
+                                {columns.map(column => <th key={column.id} className="p-2 text-right">{column.name}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.map(row => {
+                                const realValue = row.getValue(years);
+                                return (
+                                    <tr key={row.key} className={`border-t ${row.level < 2 ? 'font-semibold' : ''}`}>
+                                        <td className="p-2" style={{ paddingLeft: `${0.5 + row.level}rem` }}>{row.label}</td>
+                                        {columns.map(column => {
+                                            const value = column.id === 'real' ? realValue : row.getValue(column.years);
+                                            const diff = value !== null && realValue !== null ? value - realValue : 0;
+                                            return (
+                                                <td key={column.id} className="p-2 text-right whitespace-nowrap">
+                                                    {value === null ? <span className="text-gray-400">—</span> : <span style={getGradeStyle(theme, gradingScheme, value)}>{formatDecimal(value)}%</span>}
+                                                    {column.id !== 'real' && Math.abs(diff) >= 0.005 && <span className={`ml-1 text-xs ${diff > 0 ? 'text-green-600' : 'text-red-600'}`}>({diff > 0 ? '+' : ''}{formatDecimal(diff)})</span>}
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="mt-4 text-right">
+                    <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Close')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const IcsImportModal = ({ fileName, events, years, onApply, onCancel }) => {
+    const { t } = useLocale();
+    const modules = years.flatMap(year => year.modules.map(module => ({ ...module, yearName: year.name })));
+    const [fallbackModuleId, setFallbackModuleId] = useState('');
+    const plan = applyICSImport(years, events, fallbackModuleId === '' ? null : Number(fallbackModuleId));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md">
+                <h2 className="text-xl font-bold text-gray-800 mb-1">{t('Import Calendar')}</h2>
+                <p className="text-sm text-gray-500 mb-4">{t('{file}: dated events {count}', { file: fileName, count: events.length })}</p>
+                <div className="flex items-center space-x-2 mb-4">
+                    <label className="text-sm font-medium text-gray-600">{t('Add new events to:')}</label>
+                    <select value={fallbackModuleId} onChange={(e) => setFallbackModuleId(e.target.value)} className="flex-grow p-1 border rounded-md bg-gray-50 text-sm">
+                        <option value="">{t('Only modules named in the event')}</option>
+                        {modules.map(module => <option key={module.id} value={module.id}>{module.yearName} – {module.name}</option>)}
+                    </select>
+                </div>
+                <ul className="text-sm text-gray-700 space-y-1 mb-4">
+                    <li>{t('Existing assessments to reschedule:')} <strong>{plan.updated}</strong></li>
+                    <li>{t('New assessments to create:')} <strong>{plan.created}</strong></li>
+                    <li>{t('Events to skip:')} <strong>{plan.skipped}</strong></li>
+                </ul>
+                <div className="flex justify-end gap-4">
+                    <button onClick={onCancel} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Cancel')}</button>
+                    <button onClick={() => onApply(plan.years)} disabled={plan.created + plan.updated === 0} className="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">{t('Import')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+const UpcomingDeadlines = ({ years, days, onDaysChange, onSelect }) => {
+    const { t, formatDate } = useLocale();
+    const today = new Date();
+    const todayStr = toISODate(today);
+    const horizonStr = toISODate(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days));
+    const deadlines = collectDeadlines(years, todayStr);
+    const moduleColors = getModuleColors(years);
+    const overdue = deadlines.filter(d => d.overdue);
+    const upcoming = deadlines.filter(d => d.assessment.dueDate >= todayStr && d.assessment.dueDate <= horizonStr);
+
+    const renderDeadline = (deadline) => (
+        <li key={deadline.assessment.id}>
+            <button onClick={() => onSelect(deadline.yearId, deadline.assessment.id)} className={`w-full flex justify-between items-center gap-2 text-left text-sm rounded-md px-2 py-1 hover:bg-gray-100 ${deadline.overdue ? 'bg-red-50' : ''}`}>
+                <span className="truncate"><span className={`text-xs font-semibold rounded px-1 mr-2 ${moduleColors[deadline.moduleId]}`}>{deadline.moduleName}</span>{deadline.assessment.title}</span>
+                <span className={`whitespace-nowrap ${deadline.overdue ? 'text-red-600 font-semibold' : 'text-gray-500'}`}>{deadline.overdue ? `${t('Overdue')} · ` : ''}{formatDate(deadline.assessment.dueDate)}</span>
+            </button>
+        </li>
+    );
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mb-8 fade-in">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <h2 className="text-2xl font-bold text-gray-800">{t('Upcoming Deadlines')}</h2>
+                <div className="flex items-center space-x-2">
+                    <label className="text-sm font-medium text-gray-600">{t('Next')}</label>
+                    <select value={days} onChange={(e) => onDaysChange(Number(e.target.value))} className="p-1 border rounded-md bg-gray-50 text-sm">
+                        {[7, 14, 30, 60].map(n => <option key={n} value={n}>{t('{days} days', { days: n })}</option>)}
+                    </select>
+                </div>
+            </div>
+            {overdue.length === 0 && upcoming.length === 0
+                ? <p className="text-sm text-gray-500">{t('Nothing due in the next {days} days.', { days })}</p>
+                : <ul className="space-y-1">{overdue.map(renderDeadline)}{upcoming.map(renderDeadline)}</ul>
+            }
+        </div>
+    );
+};
+
+const IntegrityPanel = ({ years, onSelect }) => {
+    const { t, formatMessage } = useLocale();
+    const issues = getIntegrityIssues(years);
+    const errorCount = issues.filter(i => i.severity === 'error').length;
+
+    return (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mb-8 fade-in">
+            <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                <h2 className="text-2xl font-bold text-gray-800">{t('Data Check')}</h2>
+                {issues.length > 0 && <span className={`text-sm font-semibold rounded-full px-3 py-1 ${errorCount > 0 ? 'bg-red-100 text-red-700' : 'bg-amber-100 text-amber-800'}`}>{issues.length === 1 ? t('1 problem') : t('{count} problems', { count: issues.length })}</span>}
+            </div>
+            {issues.length === 0
+                ? <p className="text-sm text-gray-500">{t('No problems found.')}</p>
+                : <ul className="space-y-1">
+                    {issues.map((issue, index) => (
+                        <li key={index}>
+                            <button onClick={() => issue.yearId !== undefined && onSelect(issue.yearId, issue.assessmentId ?? null)} className={`w-full text-left text-sm rounded-md px-2 py-1 hover:bg-gray-100 ${issue.severity === 'error' ? 'text-red-700' : 'text-amber-800'}`}>
+                                <span className="font-semibold mr-2">{issue.severity === 'error' ? t('Error') : t('Warning')}</span>{formatMessage(issue)}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            }
+        </div>
+    );
+};
+
+const Calendar = ({ years, onClose, onImport, onSelectAssessment, onReschedule }) => {
+    const { t, tag, weekStart: firstWeekday, weekdayNames, formatDecimal, formatDate } = useLocale();
+    const [date, setDate] = useState(new Date());
+    const [view, setView] = useState('month');
+    const [dropTarget, setDropTarget] = useState(null);
+    const [exportFilter, setExportFilter] = useState('all');
+    const [icsImport, setIcsImport] = useState(null);
+    const [icsError, setIcsError] = useState(null);
+    const icsInputRef = useRef(null);
+
+    const handleIcsFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setIcsImport({ fileName: file.name, events: parseICS(await file.text()) });
+            setIcsError(null);
+        } catch (error) {
+            setIcsError(t('Could not read {file}: {error}', { file: file.name, error: error.message }));
+        }
+    };
+
+    const deadlines = useMemo(() => collectDeadlines(years), [years]);
+    const moduleColors = useMemo(() => getModuleColors(years), [years]);
+
+    const events = useMemo(() => {
+        const allEvents = {};
+        deadlines.forEach(deadline => {
+            const { dueDate } = deadline.assessment;
+            if (!allEvents[dueDate]) allEvents[dueDate] = [];
+            allEvents[dueDate].push(deadline);
         });
         return allEvents;
-    }, [years]);
+    }, [deadlines]);
 
     const month = date.getMonth();
     const year = date.getFullYear();
-    const firstDayOfMonth = new Date(year, month, 1).getDay();
+    // Days between the first day of the week and the given weekday, so the grid can start on any day.
+    const weekOffset = (weekday) => (weekday - firstWeekday + 7) % 7;
+    const firstDayOfMonth = weekOffset(new Date(year, month, 1).getDay());
     const daysInMonth = new Date(year, month + 1, 0).getDate();
-    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const weekStart = new Date(year, month, date.getDate() - weekOffset(date.getDay()));
+    const todayStr = toISODate(new Date());
+
+    const navigate = (step) => {
+        if (view === 'week') setDate(new Date(year, month, date.getDate() + step * 7));
+        else setDate(new Date(year, month + step));
+    };
+
+    const renderEvent = (event, showModule = false) => (
+        <div
+            key={event.assessment.id}
+            draggable
+            onDragStart={(e) => e.dataTransfer.setData('text/plain', String(event.assessment.id))}
+            onClick={() => onSelectAssessment(event.yearId, event.assessment.id)}
+            className={`calendar-event cursor-pointer truncate rounded px-1 mt-1 text-xs ${moduleColors[event.moduleId]} ${event.overdue ? 'ring-2 ring-red-500' : ''}`}
+            title={`${event.moduleName}: ${event.assessment.title}${event.overdue ? ` ${t('(overdue, not graded)')}` : ''}`}
+        >
+            {showModule && <span className="font-semibold">{event.moduleName}: </span>}{event.assessment.title}
+        </div>
+    );
+
+    // Dropping an event on a day moves its due date there.
+    const renderDay = (dateStr, label, showModule = false) => (
+        <div
+            key={dateStr}
+            onDragOver={(e) => { e.preventDefault(); setDropTarget(dateStr); }}
+            onDragLeave={() => setDropTarget(null)}
+            onDrop={(e) => {
+                e.preventDefault();
+                setDropTarget(null);
+                onReschedule(e.dataTransfer.getData('text/plain'), dateStr);
+            }}
+            className={`border rounded-md p-1 overflow-y-auto ${dropTarget === dateStr ? 'bg-blue-50 border-blue-400' : ''}`}
+        >
+            <div className={`mx-auto ${dateStr === todayStr ? 'bg-blue-600 text-white rounded-full w-6 h-6 flex items-center justify-center' : ''}`}>{label}</div>
+            {events[dateStr]?.map(event => renderEvent(event, showModule))}
+        </div>
+    );
+
+    const title = view === 'agenda'
+        ? t('Agenda')
+        : view === 'week'
+            ? t('Week of {date}', { date: formatDate(toISODate(weekStart)) })
+            : date.toLocaleDateString(tag, { month: 'long', year: 'numeric' });
 
     return (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
             <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl h-full max-h-[90vh] flex flex-col p-4">
-                <div className="flex justify-between items-center mb-4 pb-2 border-b">
-                    <button onClick={() => setDate(new Date(year, month - 1))} className="p-2 rounded-full hover:bg-gray-200">&lt;</button>
-                    <h2 className="text-xl font-bold">{date.toLocaleString('default', { month: 'long' })} {year}</h2>
-                    <button onClick={() => setDate(new Date(year, month + 1))} className="p-2 rounded-full hover:bg-gray-200">&gt;</button>
-                </div>
-                <div className="grid grid-cols-7 gap-1 flex-grow text-sm">
-                    {dayNames.map(day => <div key={day} className="text-center font-semibold text-gray-600 p-1">{day}</div>)}
-                    {Array.from({ length: firstDayOfMonth }).map((_, i) => <div key={`empty-${i}`}></div>)}
-                    {Array.from({ length: daysInMonth }).map((_, day) => {
-                        const dayNumber = day + 1;
-                        const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(dayNumber).padStart(2, '0')}`;
-                        const isToday = new Date().toDateString() === new Date(year, month, dayNumber).toDateString();
-                        return (
-                            <div key={dayNumber} className="border rounded-md p-1 overflow-y-auto">
-                                <div className={`mx-auto ${isToday ? 'bg-blue-600 text-white rounded-full w-6 h-6 flex items-center justify-center' : ''}`}>{dayNumber}</div>
-                                {events[dateStr]?.map((event, i) => (
-                                    <div key={i} className="calendar-event" title={`${event.moduleName}: ${event.assessment.title}`}>{event.assessment.title}</div>
+                <div className="flex justify-between items-center mb-2 pb-2 border-b">
+                    <button onClick={() => navigate(-1)} className={`p-2 rounded-full hover:bg-gray-200 ${view === 'agenda' ? 'invisible' : ''}`}>&lt;</button>
+                    <h2 className="text-xl font-bold">{title}</h2>
+                    <button onClick={() => navigate(1)} className={`p-2 rounded-full hover:bg-gray-200 ${view === 'agenda' ? 'invisible' : ''}`}>&gt;</button>
+                </div>
+                <div className="flex justify-center gap-2 mb-4">
+                    {[['month', 'Month'], ['week', 'Week'], ['agenda', 'Agenda']].map(([key, label]) => (
+                        <button key={key} onClick={() => setView(key)} className={`text-sm font-semibold py-1 px-3 rounded-md ${view === key ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}>{t(label)}</button>
+                    ))}
+                    <button onClick={() => setDate(new Date())} className="text-sm font-semibold py-1 px-3 rounded-md bg-gray-100 text-gray-700 hover:bg-gray-200">{t('Today')}</button>
+                </div>
+                {view === 'month' && (
+                    <div className="grid grid-cols-7 gap-1 flex-grow text-sm">
+                        {weekdayNames.map(day => <div key={day} className="text-center font-semibold text-gray-600 p-1">{day}</div>)}
+                        {Array.from({ length: firstDayOfMonth }).map((_, i) => <div key={`empty-${i}`}></div>)}
+                        {Array.from({ length: daysInMonth }).map((_, day) => renderDay(toISODate(new Date(year, month, day + 1)), day + 1))}
+                    </div>
+                )}
+                {view === 'week' && (
+                    <div className="grid grid-cols-7 gap-1 flex-grow text-sm">
+                        {Array.from({ length: 7 }).map((_, i) => {
+                            const day = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i);
+                            return renderDay(toISODate(day), `${weekdayNames[i]} ${day.getDate()}`, true);
+                        })}
+                    </div>
+                )}
+                {view === 'agenda' && (
+                    <div className="flex-grow overflow-y-auto text-sm">
+                        {deadlines.length === 0 && <p className="text-gray-500 text-center">{t('No dated assessments yet.')}</p>}
+                        {Object.entries(events).map(([dateStr, dayEvents]) => (
+                            <div key={dateStr} className="mb-3">
+                                <h3 className={`font-semibold border-b mb-1 ${dateStr === todayStr ? 'text-blue-600' : 'text-gray-700'}`}>{new Date(`${dateStr}T00:00`).toLocaleDateString(tag, { weekday: 'long' })}, {formatDate(dateStr)}</h3>
+                                {dayEvents.map(event => (
+                                    <button key={event.assessment.id} onClick={() => onSelectAssessment(event.yearId, event.assessment.id)} className={`w-full flex justify-between items-center gap-2 text-left rounded-md px-2 py-1 hover:bg-gray-100 ${event.overdue ? 'bg-red-50' : ''}`}>
+                                        <span className="truncate"><span className={`text-xs font-semibold rounded px-1 mr-2 ${moduleColors[event.moduleId]}`}>{event.moduleName}</span>{event.assessment.title}</span>
+                                        <span className="whitespace-nowrap text-gray-500">
+                                            {event.overdue ? <span className="text-red-600 font-semibold">{t('Overdue')}</span> : `${t('W:')} ${event.assessment.weight}%${getAssessmentGrade(event.assessment).grade !== null ? ` · ${t('G:')} ${formatDecimal(getAssessmentGrade(event.assessment).grade)}%` : ''}`}
+                                        </span>
+                                    </button>
                                 ))}
                             </div>
-                        );
-                    })}
+                        ))}
+                    </div>
+                )}
+                <div className="mt-4 flex flex-wrap justify-between items-center gap-2">
+                    <div className="flex flex-wrap items-center gap-2">
+                        <select value={exportFilter} onChange={(e) => setExportFilter(e.target.value)} className="p-1 border rounded-md bg-gray-50 text-sm">
+                            <option value="all">{t('All deadlines')}</option>
+                            {years.map(y => (
+                                <optgroup key={y.id} label={y.name}>
+                                    <option value={`year-${y.id}`}>{t('All of {year}', { year: y.name })}</option>
+                                    {y.modules.map(m => <option key={m.id} value={`module-${m.id}`}>{m.name}</option>)}
+                                </optgroup>
+                            ))}
+                        </select>
+                        <button onClick={() => downloadFile(buildICS(years, exportFilter), "grade_tracker_deadlines.ics", "text/calendar")} className="bg-purple-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-purple-700">{t('Export .ics')}</button>
+                        <button onClick={() => icsInputRef.current.click()} className="bg-purple-100 text-purple-700 font-semibold py-2 px-4 rounded-lg hover:bg-purple-200">{t('Import .ics')}</button>
+                        <input ref={icsInputRef} type="file" accept=".ics,text/calendar" onChange={handleIcsFile} className="hidden" />
+                        {icsError && <span className="text-sm text-red-600">{icsError}</span>}
+                    </div>
+                    <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Close')}</button>
+                </div>
+            </div>
+            {icsImport && <IcsImportModal fileName={icsImport.fileName} events={icsImport.events} years={years} onCancel={() => setIcsImport(null)} onApply={(nextYears) => { onImport(nextYears); setIcsImport(null); }} />}
+        </div>
+    );
+};
+
+// --- SHARING ---
+const ShareModal = ({ years, theme, gradingScheme, onClose }) => {
+    const { t, tag } = useLocale();
+    const [options, setOptions] = useState({ hideGrades: false, hideNames: false, includeTheme: true });
+    const [link, setLink] = useState('');
+    const [copied, setCopied] = useState(false);
+    const [copyError, setCopyError] = useState('');
+    const toggle = (option) => setOptions(current => ({ ...current, [option]: !current[option] }));
+
+    useEffect(() => {
+        let cancelled = false;
+        const payload = buildSharePayload(years, { gradingScheme, theme: options.includeTheme ? theme : null, hideGrades: options.hideGrades, hideNames: options.hideNames });
+        encodeShare(payload).then(encoded => {
+            if (cancelled) return;
+            setLink(`${window.location.origin}${window.location.pathname}${SHARE_PREFIX}${encoded}`);
+            setCopied(false);
+            setCopyError('');
+        });
+        return () => { cancelled = true; };
+    }, [years, theme, gradingScheme, options]);
+
+    // The clipboard API is missing on insecure origins and can be refused, so fall back to the text field.
+    const copyLink = () => {
+        const manualCopy = t("Couldn't copy automatically. Select the link above and copy it yourself.");
+        if (!navigator.clipboard) return setCopyError(manualCopy);
+        navigator.clipboard.writeText(link).then(() => setCopied(true), () => setCopyError(manualCopy));
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-lg">
+                <h2 className="text-xl font-bold text-gray-800 mb-1">{t('Share Read-Only Link')}</h2>
+                <p className="text-sm text-gray-500 mb-4">{t('Everything is packed into the link itself; nothing is uploaded. Anyone with the link can see what it contains.')}</p>
+                <div className="space-y-2 mb-4 text-sm">
+                    <label className="flex items-center gap-2"><input type="checkbox" checked={options.hideGrades} onChange={() => toggle('hideGrades')} />{t('Hide assessment marks (share module averages only)')}</label>
+                    <label className="flex items-center gap-2"><input type="checkbox" checked={options.hideNames} onChange={() => toggle('hideNames')} />{t('Hide module and assessment names')}</label>
+                    <label className="flex items-center gap-2"><input type="checkbox" checked={options.includeTheme} onChange={() => toggle('includeTheme')} />{t('Include my theme')}</label>
+                </div>
+                <input type="text" readOnly value={link} onFocus={(e) => e.target.select()} aria-label={t('Share link')} className="w-full p-2 border rounded-md bg-gray-50 text-sm mb-1" />
+                <p className="text-xs text-gray-500 mb-4">{t('{count} characters', { count: link.length.toLocaleString(tag) })}</p>
+                {copyError && <p role="alert" className="text-sm text-red-600 mb-4">{copyError}</p>}
+                <div className="flex justify-end gap-4">
+                    <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Close')}</button>
+                    <button onClick={copyLink} disabled={!link} className="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">{copied ? t('Copied!') : t('Copy Link')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// What a share link opens instead of the tracker: the shared years, computed but not editable.
+const SharedView = ({ share, onImport, onClose }) => {
+    const { t, formatDecimal, formatInput } = useLocale();
+    if (share.status !== 'ready') {
+        return (
+            <div className="container mx-auto p-8 max-w-3xl text-center">
+                {share.status === 'loading'
+                    ? <p className="text-gray-600">{t('Opening shared grades...')}</p>
+                    : <>
+                        <p className="text-red-600 mb-4">{t('This share link could not be opened: {error}', { error: t(share.error) })}</p>
+                        <button onClick={onClose} className="bg-blue-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-blue-700">{t('Open My Tracker')}</button>
+                    </>}
+            </div>
+        );
+    }
+    const { years, gradingScheme } = share.data;
+    const theme = share.data.theme ?? PRESET_THEMES.default;
+    const overallAvg = calculateOverallDegreeAverage(years);
+    const gpa = calculateGpa(years, gradingScheme);
+
+    return (
+        <div className="container mx-auto p-4 md:p-8 max-w-6xl">
+            <div role="status" className="flex flex-wrap justify-between items-center gap-4 bg-blue-50 border border-blue-200 rounded-lg p-4 mb-8">
+                <p className="text-blue-900">{t("You are viewing a read-only copy of someone's grades. Nothing is saved unless you import it.")}</p>
+                <div className="flex gap-2">
+                    <button onClick={onImport} className="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700">{t('Import as New Profile')}</button>
+                    <button onClick={onClose} className="bg-white text-gray-800 font-semibold py-2 px-4 rounded-lg border hover:bg-gray-100">{t('Open My Tracker')}</button>
+                </div>
+            </div>
+            <header className="text-center mb-8">
+                <h1 className="text-4xl font-bold text-gray-900">{theme.title}</h1>
+                <p className="text-gray-600 mt-2">{theme.subtitle}</p>
+            </header>
+            <div className="text-center bg-white p-6 rounded-xl shadow-lg border border-gray-200 mb-8">
+                <span className="text-lg font-semibold text-gray-600">{theme.overallLabel}</span>
+                <span className="text-3xl font-bold ml-2" style={getGradeStyle(theme, gradingScheme, overallAvg)}>{formatDecimal(overallAvg)}%</span>
+                {overallAvg > 0 && <span className="text-xl font-semibold ml-2" style={getGradeStyle(theme, gradingScheme, overallAvg)}>{getGradeBand(gradingScheme, overallAvg).label}</span>}
+                {gpa !== null && <span className="text-xl font-semibold ml-2 text-gray-700">{t('GPA {gpa}', { gpa: formatDecimal(gpa) })}</span>}
+            </div>
+            <div className="space-y-6">
+                {years.map(year => {
+                    const yearAvg = calculateYearAverage(year);
+                    return (
+                        <div key={year.id} className="bg-white p-6 rounded-xl shadow-lg border border-gray-200">
+                            <div className="flex justify-between items-baseline mb-4">
+                                <h2 className="text-2xl font-bold text-gray-800">{year.name} <span className="text-sm font-medium text-gray-500">{t('({weight}% of degree)', { weight: formatInput(year.weighting) })}</span></h2>
+                                <span className="text-2xl font-bold" style={getGradeStyle(theme, gradingScheme, yearAvg)}>{formatDecimal(yearAvg)}%</span>
+                            </div>
+                            <div className="space-y-3">
+                                {year.modules.map(module => {
+                                    const score = getModuleScore(module);
+                                    return (
+                                        <div key={module.id} className="bg-gray-50 p-3 rounded-lg border border-gray-200">
+                                            <div className="flex justify-between items-baseline">
+                                                <span className="font-semibold">{module.name} <span className="text-xs text-gray-500">({module.ects} ECTS{module.passFail ? `, ${t('Pass/fail')}` : ''})</span></span>
+                                                <span className="font-bold" style={getGradeStyle(theme, gradingScheme, score)}>{formatDecimal(score)}% <span className="text-xs text-gray-500">({getGradeBand(gradingScheme, score).short})</span></span>
+                                            </div>
+                                            {module.assessments.length > 0 && (
+                                                <ul className="mt-2 text-sm text-gray-600 space-y-1">
+                                                    {module.assessments.map(assessment => {
+                                                        const { grade } = getAssessmentGrade(assessment);
+                                                        return <li key={assessment.id} className="flex justify-between"><span>{assessment.title} ({assessment.weight}%)</span><span>{grade === null ? '—' : `${formatDecimal(grade)}%`}</span></li>;
+                                                    })}
+                                                </ul>
+                                            )}
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+// --- ANALYTICS ---
+const CHART = { width: 640, height: 260, pad: 36 };
+const chartY = (grade) => CHART.height - CHART.pad - grade / 100 * (CHART.height - 2 * CHART.pad);
+
+// Grade axis with a dashed line at each band boundary of the active scheme.
+const GradeAxis = ({ gradingScheme }) => (
+    <g className="text-xs">
+        <line x1={CHART.pad} y1={chartY(0)} x2={CHART.width - CHART.pad} y2={chartY(0)} stroke="#9ca3af" />
+        <line x1={CHART.pad} y1={chartY(0)} x2={CHART.pad} y2={chartY(100)} stroke="#9ca3af" />
+        {[0, 50, 100].map(grade => <text key={grade} x={CHART.pad - 6} y={chartY(grade) + 4} textAnchor="end" fill="#6b7280">{grade}</text>)}
+        {gradingSchemes[gradingScheme].bands.filter(band => band.min > 0).map(band => (
+            <g key={band.short}>
+                <line x1={CHART.pad} y1={chartY(band.min)} x2={CHART.width - CHART.pad} y2={chartY(band.min)} stroke="#e5e7eb" strokeDasharray="4 4" />
+                <text x={CHART.width - CHART.pad + 4} y={chartY(band.min) + 4} fill="#9ca3af">{band.short}</text>
+            </g>
+        ))}
+    </g>
+);
+
+const GradeTrendChart = ({ years, gradingScheme }) => {
+    const { t, formatDecimal, formatDate } = useLocale();
+    const timeline = getGradeTimeline(years);
+    if (timeline.length === 0) return <p className="text-sm text-gray-500">{t('Graded assessments with a due date will be plotted here.')}</p>;
+    const colors = getModuleColors(years, MODULE_CHART_COLORS);
+    const times = timeline.map(point => Date.parse(point.date));
+    const first = Math.min(...times), last = Math.max(...times);
+    const x = (time) => CHART.pad + (last === first ? 0.5 : (time - first) / (last - first)) * (CHART.width - 2 * CHART.pad);
+    let total = 0;
+    const runningMean = timeline.map((point, i) => {
+        total += point.grade;
+        return `${x(times[i])},${chartY(total / (i + 1))}`;
+    }).join(' ');
+    const modules = [...new Map(timeline.map(point => [point.moduleId, point.moduleName])).entries()];
+
+    return (
+        <div>
+            <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full" role="img" aria-label={t('Grades over time')}>
+                <GradeAxis gradingScheme={gradingScheme} />
+                <text x={CHART.pad} y={CHART.height - 10} fontSize="12" fill="#6b7280">{formatDate(timeline[0].date)}</text>
+                <text x={CHART.width - CHART.pad} y={CHART.height - 10} fontSize="12" fill="#6b7280" textAnchor="end">{formatDate(timeline[timeline.length - 1].date)}</text>
+                <polyline points={runningMean} fill="none" stroke="#6b7280" strokeWidth="2" strokeDasharray="6 3" />
+                {timeline.map((point, i) => (
+                    <circle key={i} cx={x(times[i])} cy={chartY(point.grade)} r="5" fill={colors[point.moduleId]}>
+                        <title>{`${point.moduleName}: ${point.title} — ${formatDecimal(point.grade)}% (${formatDate(point.date)})`}</title>
+                    </circle>
+                ))}
+            </svg>
+            <div className="flex flex-wrap gap-3 text-xs text-gray-600 mt-2">
+                {modules.map(([id, name]) => <span key={id} className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-full" style={{ backgroundColor: colors[id] }}></span>{name}</span>)}
+                <span>- - - {t('running mean')}</span>
+            </div>
+        </div>
+    );
+};
+
+const ModuleDistributionChart = ({ years }) => {
+    const { t } = useLocale();
+    const distribution = getModuleDistribution(years).filter(year => year.scores.length > 0);
+    if (distribution.length === 0) return <p className="text-sm text-gray-500">{t('Module marks will be charted here once modules have a score.')}</p>;
+    const barWidth = (CHART.width - 2 * CHART.pad) / 10;
+
+    return (
+        <div className="space-y-6">
+            {distribution.map(year => {
+                const tallest = Math.max(...year.bins);
+                const barY = (count) => CHART.height - CHART.pad - count / tallest * (CHART.height - 2 * CHART.pad);
+                return (
+                    <div key={year.yearId}>
+                        <h3 className="font-semibold text-gray-700">{year.yearName} <span className="text-sm font-normal text-gray-500">({t('modules: {count}', { count: year.scores.length })})</span></h3>
+                        <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} className="w-full" role="img" aria-label={t('{year} module mark distribution', { year: year.yearName })}>
+                            <line x1={CHART.pad} y1={barY(0)} x2={CHART.width - CHART.pad} y2={barY(0)} stroke="#9ca3af" />
+                            {year.bins.map((count, bin) => (
+                                <g key={bin}>
+                                    {count > 0 && <rect x={CHART.pad + bin * barWidth + 4} y={barY(count)} width={barWidth - 8} height={barY(0) - barY(count)} fill="#6366f1" rx="3" />}
+                                    {count > 0 && <text x={CHART.pad + (bin + 0.5) * barWidth} y={barY(count) - 6} fontSize="12" textAnchor="middle" fill="#374151">{count}</text>}
+                                    <text x={CHART.pad + (bin + 0.5) * barWidth} y={CHART.height - 14} fontSize="12" textAnchor="middle" fill="#6b7280">{bin * 10}–{bin === 9 ? 100 : bin * 10 + 9}</text>
+                                </g>
+                            ))}
+                        </svg>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+const DegreeContributionChart = ({ years, theme, gradingScheme }) => {
+    const { t, formatDecimal } = useLocale();
+    const contributions = getDegreeContributions(years).sort((a, b) => b.share - a.share);
+    if (contributions.length === 0) return <p className="text-sm text-gray-500">{t('Add modules with ECTS to years with a weighting to see what each is worth.')}</p>;
+    const largest = contributions[0].share;
+
+    return (
+        <div>
+            <p className="text-sm text-gray-600 mb-3">{t("Each module's share of the degree is its ECTS share of the year × the year's weighting. Points are what its current score adds to the degree average.")}</p>
+            <ul className="space-y-2">
+                {contributions.map(c => (
+                    <li key={c.moduleId} className="text-sm">
+                        <div className="flex justify-between gap-2">
+                            <span className="truncate"><span className="text-gray-500">{c.yearName} ›</span> {c.moduleName}</span>
+                            <span className="whitespace-nowrap">{t('{share}% of degree', { share: formatDecimal(c.share * 100, 1) })} · <span style={getGradeStyle(theme, gradingScheme, c.score)}>{t('{points} pts', { points: formatDecimal(c.points) })}</span></span>
+                        </div>
+                        <div className="h-2 bg-gray-100 rounded-full"><div className="h-2 bg-blue-500 rounded-full" style={{ width: `${c.share / largest * 100}%` }}></div></div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+const SensitivityList = ({ years, onSelectAssessment }) => {
+    const { t, formatDecimal } = useLocale();
+    const ranked = getSensitivity(years);
+    if (ranked.length === 0) return <p className="text-sm text-gray-500">{t('Everything is graded — there is nothing left to move the degree average.')}</p>;
+    const largest = Math.max(ranked[0].impact, 0.01);
+
+    return (
+        <div>
+            <p className="text-sm text-gray-600 mb-3">{t('How far 10 more (or fewer) marks on each ungraded assessment would move your degree average, assuming the rest of your open work lands near your current average.')}</p>
+            <ol className="space-y-2">
+                {ranked.map(item => (
+                    <li key={item.assessment.id}>
+                        <button onClick={() => onSelectAssessment(item.yearId, item.assessment.id)} className="w-full text-left text-sm rounded-md px-2 py-1 hover:bg-gray-100">
+                            <div className="flex justify-between gap-2">
+                                <span className="truncate"><span className="text-gray-500">{item.moduleName} ›</span> {item.assessment.title}</span>
+                                <span className="whitespace-nowrap font-semibold">±{formatDecimal(item.impact)}</span>
+                            </div>
+                            <div className="h-2 bg-gray-100 rounded-full"><div className="h-2 bg-amber-500 rounded-full" style={{ width: `${item.impact / largest * 100}%` }}></div></div>
+                        </button>
+                    </li>
+                ))}
+            </ol>
+        </div>
+    );
+};
+
+const AnalyticsDashboard = ({ years, theme, gradingScheme, onClose, onSelectAssessment }) => {
+    const { t } = useLocale();
+    const [view, setView] = useState('trends');
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-4xl max-h-[90vh] flex flex-col p-4">
+                <h2 className="text-xl font-bold mb-2 pb-2 border-b">{t('Analytics')}</h2>
+                <div className="flex flex-wrap justify-center gap-2 mb-4">
+                    {[['trends', 'Grades Over Time'], ['distribution', 'Module Marks'], ['contribution', 'Degree Contribution'], ['sensitivity', 'Sensitivity']].map(([key, label]) => (
+                        <button key={key} onClick={() => setView(key)} className={`text-sm font-semibold py-1 px-3 rounded-md ${view === key ? 'bg-teal-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}>{t(label)}</button>
+                    ))}
+                </div>
+                <div className="overflow-auto flex-grow">
+                    {view === 'trends' && <GradeTrendChart years={years} gradingScheme={gradingScheme} />}
+                    {view === 'distribution' && <ModuleDistributionChart years={years} />}
+                    {view === 'contribution' && <DegreeContributionChart years={years} theme={theme} gradingScheme={gradingScheme} />}
+                    {view === 'sensitivity' && <SensitivityList years={years} onSelectAssessment={onSelectAssessment} />}
                 </div>
                 <div className="mt-4 text-right">
-                    <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">Close</button>
+                    <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Close')}</button>
                 </div>
             </div>
         </div>
     );
 };
 
+// --- GRID ENTRY ---
+const isISODate = (text) => /^\d{4}-\d{2}-\d{2}$/.test(text) && toISODate(new Date(`${text}T00:00`)) === text;
+// Spreadsheets copy percentage-formatted cells as "72%", with the locale's decimal separator.
+const toGridNumberText = (text, locale) => locale.toDecimalText(String(text).replace(/%\s*$/, ''));
+
+const GRID_COLUMNS = [
+    { field: 'title', label: 'Assessment', format: (value) => value ?? '', parse: (text) => text, validate: () => null },
+    { field: 'weight', label: 'Weight (%)', format: (value, locale) => locale.formatInput(value), parse: (text, locale) => parseNumber(toGridNumberText(text, locale)), validate: (text, locale) => validateNumber(toGridNumberText(text, locale), { required: true }) },
+    { field: 'grade', label: 'Grade (%)', format: (value, locale) => locale.formatInput(value), parse: (text, locale) => parseNumber(toGridNumberText(text, locale)), validate: (text, locale) => validateNumber(toGridNumberText(text, locale)) },
+    { field: 'dueDate', label: 'Due Date', format: (value) => value ?? '', parse: (text) => text.trim(), validate: (text) => text.trim() === '' || isISODate(text.trim()) ? null : 'Use YYYY-MM-DD.' },
+];
+
+const GRID_SORTS = { module: 'Module order', dueDate: 'Due date', status: 'Ungraded first' };
+
+// Every leaf assessment in tree order; a component's parents are kept as its `path`.
+const getGridRows = (years) => years.flatMap(year => year.modules.flatMap(module => {
+    const walk = (assessments, path) => assessments.flatMap(assessment => assessment.components?.length
+        ? walk(assessment.components, `${path}${assessment.title} › `)
+        : [{ year, module, assessment, path, graded: getAssessmentGrade(assessment).complete }]);
+    return walk(module.assessments, '');
+}));
+
+// The assessment ids to show, in order. Worked out only when the view changes, so rows do not
+// jump around or vanish while they are being edited.
+const getGridOrder = (years, { scope, moduleId, status, due, sort }) => {
+    const today = toISODate(new Date());
+    const rows = getGridRows(years).filter(row => (scope === 'all' || String(row.year.id) === scope)
+        && (moduleId === 'all' || String(row.module.id) === moduleId)
+        && (status === 'all' || row.graded === (status === 'graded'))
+        && (due === 'all' || (due === 'none' ? !row.assessment.dueDate : row.assessment.dueDate && (due === 'past') === (row.assessment.dueDate < today))));
+    if (sort === 'dueDate') rows.sort((a, b) => (a.assessment.dueDate || '9999').localeCompare(b.assessment.dueDate || '9999'));
+    if (sort === 'status') rows.sort((a, b) => Number(a.graded) - Number(b.graded));
+    return rows.map(row => row.assessment.id);
+};
+
+// Writes a batch of { id, field, value } cell edits back into the years tree.
+export const applyGridChanges = (years, changes) => {
+    const byId = new Map();
+    changes.forEach(({ id, field, value }) => byId.set(id, { ...byId.get(id), [field]: value }));
+    return years.map(year => ({
+        ...year,
+        modules: year.modules.map(module => ({ ...module, assessments: mapAssessments(module.assessments, a => byId.has(a.id) ? { ...a, ...byId.get(a.id) } : a) })),
+    }));
+};
+
+// Like NumberInput, a cell keeps the text being typed and only writes back values that parse.
+const GridCell = ({ value, column, onCommit, inputRef, ...props }) => {
+    const locale = useLocale();
+    const [text, setText] = useState(() => column.format(value, locale));
+    const error = column.validate(text, locale);
+
+    useEffect(() => {
+        setText(current => column.validate(current, locale) === null && Object.is(column.parse(current, locale), value) ? current : column.format(value, locale));
+    }, [value, column, locale]);
+
+    const handleChange = (e) => {
+        setText(e.target.value);
+        if (column.validate(e.target.value, locale) === null) onCommit(column.parse(e.target.value, locale));
+    };
+
+    return <input ref={inputRef} type="text" value={text} onChange={handleChange} aria-invalid={error !== null} title={error ? locale.t(error) : undefined} className={`w-full p-1 bg-transparent focus:bg-white focus:outline-none focus:ring-2 focus:ring-blue-400 ${error ? 'ring-2 ring-red-400' : ''}`} {...props} />;
+};
+
+const GradeGrid = ({ years, onChange, onClose }) => {
+    const locale = useLocale();
+    const { t } = locale;
+    const [view, setView] = useState({ scope: 'all', moduleId: 'all', status: 'all', due: 'all', sort: 'module' });
+    const [order, setOrder] = useState(() => getGridOrder(years, view));
+    const [activeCell, setActiveCell] = useState(null);
+    const [pasteNote, setPasteNote] = useState(null);
+    const [pendingFocus, setPendingFocus] = useState(null);
+    const cellRefs = useRef(new Map());
+    const rowsById = new Map(getGridRows(years).map(row => [row.assessment.id, row]));
+    const rows = order.map(id => rowsById.get(id)).filter(Boolean);
+    const modules = years.filter(year => view.scope === 'all' || String(year.id) === view.scope).flatMap(year => year.modules.map(module => ({ year, module })));
+    const selectedModule = modules.find(({ module }) => String(module.id) === view.moduleId)?.module;
+
+    const changeView = (changes) => {
+        const next = { ...view, ...changes };
+        if (changes.scope) next.moduleId = 'all';
+        setView(next);
+        setOrder(getGridOrder(years, next));
+    };
+
+    const focusCell = (row, col) => {
+        const input = cellRefs.current.get(`${row}:${col}`);
+        if (!input) return;
+        input.focus();
+        input.select();
+    };
+
+    useEffect(() => {
+        if (pendingFocus === null) return;
+        focusCell(order.indexOf(pendingFocus), 0);
+        setPendingFocus(null);
+    }, [pendingFocus, order]);
+
+    const commitCells = (changes) => {
+        if (changes.length > 0) onChange(applyGridChanges(years, changes));
+    };
+
+    const handleKeyDown = (e, row, col) => {
+        const { selectionStart, selectionEnd, value } = e.target;
+        const move = {
+            ArrowUp: [row - 1, col],
+            ArrowDown: [row + 1, col],
+            Enter: e.shiftKey ? [row - 1, col] : [row + 1, col],
+            // Left and right only leave the cell once the caret (or a whole-cell selection) reaches its edge.
+            ArrowLeft: selectionStart === 0 ? [row, col - 1] : null,
+            ArrowRight: selectionEnd === value.length ? [row, col + 1] : null,
+        }[e.key];
+        if (move) {
+            e.preventDefault();
+            focusCell(...move);
+        } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd' && row > 0) {
+            // Ctrl+D fills the cell from the one above, as in a spreadsheet.
+            e.preventDefault();
+            const { field } = GRID_COLUMNS[col];
+            commitCells([{ id: rows[row].assessment.id, field, value: rows[row - 1].assessment[field] }]);
+        }
+    };
+
+    // Tab- and newline-separated blocks from a spreadsheet fill the cells down and to the right.
+    const handlePaste = (e, row, col) => {
+        const text = e.clipboardData.getData('text/plain').replace(/\r?\n$/, '');
+        if (!/[\t\n]/.test(text)) return;
+        e.preventDefault();
+        const changes = [];
+        let skipped = 0;
+        text.split(/\r?\n/).forEach((line, i) => line.split('\t').forEach((cellText, j) => {
+            const target = rows[row + i], column = GRID_COLUMNS[col + j];
+            if (!target || !column) skipped++;
+            else if (column.validate(cellText, locale) !== null) skipped++;
+            else changes.push({ id: target.assessment.id, field: column.field, value: column.parse(cellText, locale) });
+        }));
+        commitCells(changes);
+        const pasted = changes.length === 1 ? t('Pasted 1 cell') : t('Pasted {count} cells', { count: changes.length });
+        setPasteNote(`${pasted}${skipped ? t('; {count} skipped (invalid or outside the grid)', { count: skipped }) : ''}.`);
+    };
+
+    const fillDown = () => {
+        const { field } = GRID_COLUMNS[activeCell.col];
+        const value = rows[activeCell.row].assessment[field];
+        commitCells(rows.slice(activeCell.row + 1).map(row => ({ id: row.assessment.id, field, value })));
+    };
+
+    // New rows take whatever weight the module has left rather than a fixed 25%.
+    const addAssessment = () => {
+        const id = createId();
+        const remaining = Math.max(0, 100 - selectedModule.assessments.reduce((sum, a) => sum + (Number(a.weight) || 0), 0));
+        onChange(years.map(year => ({
+            ...year,
+            modules: year.modules.map(module => module.id === selectedModule.id ? { ...module, assessments: [...module.assessments, { id, title: '', weight: remaining, grade: null, dueDate: '' }] } : module),
+        })));
+        setOrder([...order, id]);
+        setPendingFocus(id);
+    };
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-6xl max-h-[90vh] flex flex-col p-4">
+                <h2 className="text-xl font-bold mb-2 pb-2 border-b">{t('Grid Entry')}</h2>
+                <div className="flex flex-wrap items-center gap-2 mb-2 text-sm">
+                    <select value={view.scope} onChange={(e) => changeView({ scope: e.target.value })} aria-label={t('Years shown')} className="p-1 border rounded-md bg-gray-50">
+                        <option value="all">{t('All years')}</option>
+                        {years.map(year => <option key={year.id} value={String(year.id)}>{year.name}</option>)}
+                    </select>
+                    <select value={view.moduleId} onChange={(e) => changeView({ moduleId: e.target.value })} aria-label={t('Module filter')} className="p-1 border rounded-md bg-gray-50">
+                        <option value="all">{t('All modules')}</option>
+                        {modules.map(({ year, module }) => <option key={module.id} value={String(module.id)}>{view.scope === 'all' ? `${year.name} › ` : ''}{module.name}</option>)}
+                    </select>
+                    <select value={view.status} onChange={(e) => changeView({ status: e.target.value })} aria-label={t('Graded filter')} className="p-1 border rounded-md bg-gray-50">
+                        <option value="all">{t('Graded and ungraded')}</option>
+                        <option value="graded">{t('Graded only')}</option>
+                        <option value="ungraded">{t('Ungraded only')}</option>
+                    </select>
+                    <select value={view.due} onChange={(e) => changeView({ due: e.target.value })} aria-label={t('Due date filter')} className="p-1 border rounded-md bg-gray-50">
+                        <option value="all">{t('Any due date')}</option>
+                        <option value="upcoming">{t('Due today or later')}</option>
+                        <option value="past">{t('Due in the past')}</option>
+                        <option value="none">{t('No due date')}</option>
+                    </select>
+                    <label className="font-medium text-gray-600 ml-2">{t('Sort:')}</label>
+                    <select value={view.sort} onChange={(e) => changeView({ sort: e.target.value })} aria-label={t('Sort rows')} className="p-1 border rounded-md bg-gray-50">
+                        {Object.entries(GRID_SORTS).map(([key, label]) => <option key={key} value={key}>{t(label)}</option>)}
+                    </select>
+                    <button onClick={fillDown} disabled={!activeCell || activeCell.row >= rows.length - 1} title={t('Copy the selected cell into every row below it')} className="ml-auto bg-gray-200 text-gray-800 font-semibold py-1 px-3 rounded-md hover:bg-gray-300 disabled:opacity-50">{t('Fill Down')}</button>
+                    {selectedModule && <button onClick={addAssessment} className="bg-blue-600 text-white font-semibold py-1 px-3 rounded-md hover:bg-blue-700">{t('+ Add Assessment')}</button>}
+                </div>
+                <p className="text-xs text-gray-500 mb-2">{t('Arrow keys, Tab and Enter move between cells; Ctrl+D copies the cell above. Paste a block copied from a spreadsheet to fill several cells at once.')}{pasteNote && <span className="ml-2 font-semibold text-gray-700">{pasteNote}</span>}</p>
+                <div className="overflow-auto flex-grow border rounded-md">
+                    <table className="w-full text-sm">
+                        <thead className="bg-gray-100 sticky top-0">
+                            <tr className="text-left">
+                                {view.scope === 'all' && <th className="p-2 font-semibold">{t('Year')}</th>}
+                                <th className="p-2 font-semibold">{t('Module')}</th>
+                                {GRID_COLUMNS.map(column => <th key={column.field} className="p-2 font-semibold">{t(column.label)}</th>)}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rows.length === 0 && <tr><td colSpan={GRID_COLUMNS.length + 2} className="p-4 text-center text-gray-500">{t('No assessments match these filters.')}</td></tr>}
+                            {rows.map((row, r) => (
+                                <tr key={row.assessment.id} className="border-t">
+                                    {view.scope === 'all' && <td className="px-2 text-gray-600 whitespace-nowrap">{row.year.name}</td>}
+                                    <td className="px-2 text-gray-600 whitespace-nowrap">{row.module.name}{row.path && <span className="text-xs text-gray-400"> › {row.path.slice(0, -3)}</span>}</td>
+                                    {GRID_COLUMNS.map((column, c) => (
+                                        <td key={column.field} className="border-l">
+                                            <GridCell
+                                                value={row.assessment[column.field]}
+                                                column={column}
+                                                onCommit={(value) => commitCells([{ id: row.assessment.id, field: column.field, value }])}
+                                                inputRef={(el) => { if (el) cellRefs.current.set(`${r}:${c}`, el); else cellRefs.current.delete(`${r}:${c}`); }}
+                                                onKeyDown={(e) => handleKeyDown(e, r, c)}
+                                                onPaste={(e) => handlePaste(e, r, c)}
+                                                onFocus={() => setActiveCell({ row: r, col: c })}
+                                                aria-label={`${row.assessment.title || t('Untitled')} ${t(column.label)}`}
+                                            />
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="mt-4 text-right">
+                    <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Close')}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- TRANSCRIPT ---
+const NEUTRAL_LABELS = { title: 'Academic Transcript', overall: 'Degree Average:', year: 'Year Average:', module: 'Score' };
+
+const getScoreNote = (module, reported, { t, formatInput }) => {
+    if (module.passFail) return t('Pass/fail');
+    if (reported.average > 0 && reported.countedEcts === 0) return t('Not counted');
+    if (reported.average > 0 && reported.countedEcts < module.ects) return t('{ects} ECTS counted', { ects: formatInput(+reported.countedEcts.toFixed(2)) });
+    if (hasModeratedScore(module)) return t('Moderated');
+    if (getCountingAttempt(module)) return t('Reassessed');
+    return '';
+};
+
+// Assessment detail in tree order, as the grid walks it: each assessment, then the attempts on it,
+// then its components one level deeper. Module-level resits follow the module's assessments.
+const getTranscriptDetail = (assessments, depth = 0) => assessments.flatMap(assessment => [
+    { key: assessment.id, depth, assessment },
+    ...(assessment.components?.length ? [] : (assessment.attempts ?? []).map(attempt => ({ key: attempt.id, depth: depth + 1, attempt, owner: assessment }))),
+    ...getTranscriptDetail(assessment.components ?? [], depth + 1),
+]);
+
+const getAttemptNote = (attempt, owner, { t, formatDecimal, formatInput }) => {
+    if (attempt !== getCountingAttempt(owner)) return t('Superseded');
+    const mark = getAttemptMark(attempt);
+    return mark !== null && mark < Number(attempt.grade) ? t('Capped at {cap}% (raw {grade}%)', { cap: formatInput(attempt.cap), grade: formatDecimal(attempt.grade) }) : '';
+};
+
+// A print-ready summary of the real record (never a scenario), rendered outside #root so that
+// print.css can hide the rest of the app. Assessment rows and theme labels are opt-in.
+const Transcript = ({ years, theme, gradingScheme, profileName, onClose }) => {
+    const locale = useLocale();
+    const { t, formatDecimal, formatInput, formatDate, formatTargetGrade } = locale;
+    const [showAssessments, setShowAssessments] = useState(false);
+    const [useThemeLabels, setUseThemeLabels] = useState(false);
+    const report = useMemo(() => buildReport(years, gradingScheme), [years, gradingScheme]);
+    const labels = useThemeLabels
+        ? { title: theme.title, overall: theme.overallLabel, year: theme.yearAvgLabel, module: theme.moduleScoreLabel.replace(/:$/, '') }
+        : Object.fromEntries(Object.entries(NEUTRAL_LABELS).map(([key, label]) => [key, t(label)]));
+    const targets = useThemeLabels ? getTargets(theme, gradingScheme) : getSchemeTargets(gradingScheme);
+    const formatTargetHeading = (target, index) => useThemeLabels ? formatTarget(theme, target, index).replace(/:$/, '') : `${target.label} (${formatInput(target.grade)}%)`;
+    const outstanding = years.flatMap(year => year.modules
+        .map(module => ({ year, module, grades: targets.map(target => calculateTargetGrade(module, target.grade)) }))
+        .filter(({ module, grades }) => !module.passFail && grades.some(grade => grade.endsWith('%'))));
+
+    return createPortal(
+        <div className="transcript-overlay fixed inset-0 bg-black bg-opacity-50 overflow-y-auto p-4 z-50">
+            <div className="no-print max-w-4xl mx-auto bg-white rounded-t-xl p-4 flex flex-wrap items-center gap-4 text-sm">
+                <label className="flex items-center gap-2"><input type="checkbox" checked={showAssessments} onChange={() => setShowAssessments(!showAssessments)} />{t('Include assessment detail')}</label>
+                <label className="flex items-center gap-2"><input type="checkbox" checked={useThemeLabels} onChange={() => setUseThemeLabels(!useThemeLabels)} />{t('Use theme labels')}</label>
+                <div className="flex gap-2 ml-auto">
+                    <button onClick={() => window.print()} className="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700">{t('Print / Save as PDF')}</button>
+                    <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Close')}</button>
+                </div>
+            </div>
+            <article aria-label={t('Transcript')} className="transcript max-w-4xl mx-auto bg-white rounded-b-xl shadow-xl p-8 text-gray-900">
+                <header className="border-b-2 border-gray-800 pb-3 mb-6">
+                    <h1 className="text-3xl font-bold">{labels.title}</h1>
+                    <p className="text-sm text-gray-600">{profileName} · {gradingSchemes[gradingScheme].name} · {t('Generated {date}', { date: formatDate(toISODate(new Date())) })}</p>
+                </header>
+                {report.years.map((year, y) => (
+                    <section key={years[y].id} className="mb-6">
+                        <div className="flex justify-between items-baseline border-b border-gray-400 mb-2">
+                            <h2 className="text-xl font-bold">{year.name} <span className="text-sm font-normal text-gray-600">· {t('weighting {weight}%', { weight: formatInput(year.weighting) })}{year.rule !== 'all' && ` · ${t(YEAR_RULES[year.rule])}`}</span></h2>
+                            <span className="font-semibold">{labels.year} {formatDecimal(year.average)}% ({year.band})</span>
+                        </div>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-600">
+                                    <th className="py-1 font-semibold">{t('Module')}</th>
+                                    <th className="py-1 font-semibold text-right">ECTS</th>
+                                    <th className="py-1 font-semibold text-right">{labels.module}</th>
+                                    <th className="py-1 font-semibold text-right">{t('Band')}</th>
+                                    <th className="py-1 font-semibold pl-4">{t('Notes')}</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {year.modules.map((reported, m) => {
+                                    const module = years[y].modules[m];
+                                    return (
+                                        <React.Fragment key={module.id}>
+                                            <tr className="border-t border-gray-200">
+                                                <td className="py-1">{reported.name}</td>
+                                                <td className="py-1 text-right">{reported.ects}</td>
+                                                <td className="py-1 text-right">{reported.average > 0 ? `${formatDecimal(reported.average)}%` : '—'}</td>
+                                                <td className="py-1 text-right">{reported.average > 0 ? reported.band : '—'}</td>
+                                                <td className="py-1 pl-4 text-gray-600">{getScoreNote(module, reported, locale)}</td>
+                                            </tr>
+                                            {showAssessments && [
+                                                ...getTranscriptDetail(module.assessments),
+                                                ...(module.attempts ?? []).map(attempt => ({ key: attempt.id, depth: 0, attempt, owner: module })),
+                                            ].map(({ key, depth, assessment, attempt, owner }) => {
+                                                if (attempt) {
+                                                    const mark = getAttemptMark(attempt);
+                                                    return (
+                                                        <tr key={key} className="text-gray-600 italic">
+                                                            <td className="py-0.5" style={{ paddingLeft: `${1.5 + depth}rem` }}>{owner === module
+                                                                ? t(attempt.type === 'resit' ? 'Module Resit' : 'Module Deferral')
+                                                                : t(attempt.type === 'resit' ? 'Resit' : 'Deferral')}{attempt.date && ` ${formatDate(attempt.date)}`}</td>
+                                                            <td></td>
+                                                            <td className="py-0.5 text-right">{mark === null ? '—' : `${formatDecimal(mark)}%`}</td>
+                                                            <td></td>
+                                                            <td className="py-0.5 pl-4">{getAttemptNote(attempt, owner, locale)}</td>
+                                                        </tr>
+                                                    );
+                                                }
+                                                const { grade } = getAssessmentGrade(assessment);
+                                                const superseded = !assessment.components?.length && getCountingAttempt(assessment);
+                                                return (
+                                                    <tr key={key} className="text-gray-600">
+                                                        <td className="py-0.5" style={{ paddingLeft: `${1.5 + depth}rem` }}>{assessment.title}</td>
+                                                        <td className="py-0.5 text-right">{formatInput(assessment.weight)}%</td>
+                                                        <td className="py-0.5 text-right">{grade === null ? '—' : `${formatDecimal(grade)}%`}</td>
+                                                        <td></td>
+                                                        <td className="py-0.5 pl-4">{superseded && isGraded(assessment) ? t('First sit {grade}%', { grade: formatDecimal(assessment.grade) }) : ''}</td>
+                                                    </tr>
+                                                );
+                                            })}
+                                        </React.Fragment>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </section>
+                ))}
+                <section className="border-t-2 border-gray-800 pt-3 mb-6 flex justify-between items-baseline">
+                    <span className="text-lg font-bold">{labels.overall}</span>
+                    <span className="text-lg font-bold">{formatDecimal(report.degree.average)}% · {getGradeBand(gradingScheme, report.degree.average).label}{report.degree.gpa !== undefined && ` · ${t('GPA {gpa}', { gpa: formatDecimal(report.degree.gpa) })}`}</span>
+                </section>
+                {outstanding.length > 0 && (
+                    <section>
+                        <h2 className="text-xl font-bold border-b border-gray-400 mb-2">{t('Outstanding Target Grades')}</h2>
+                        <p className="text-xs text-gray-600 mb-2">{t("Average needed on each module's remaining assessments.")}</p>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-600">
+                                    <th className="py-1 font-semibold">{t('Module')}</th>
+                                    {targets.map((target, i) => <th key={target.label} className="py-1 font-semibold text-right">{formatTargetHeading(target, i)}</th>)}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {outstanding.map(({ year, module, grades }) => (
+                                    <tr key={module.id} className="border-t border-gray-200">
+                                        <td className="py-1">{year.name} › {module.name}</td>
+                                        {grades.map((grade, i) => <td key={targets[i].label} className="py-1 text-right">{formatTargetGrade(grade)}</td>)}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </section>
+                )}
+            </article>
+        </div>,
+        document.body
+    );
+};
+
+// --- THEME EDITOR ---
+const ThemeEditor = ({ initialTheme, gradingScheme, onSave, onDelete, onClose }) => {
+    const { t, formatInput } = useLocale();
+    const [draft, setDraft] = useState(initialTheme);
+    const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+    const updateRule = (index, changes) => update({ feedback: draft.feedback.map((rule, i) => i === index ? { ...rule, ...changes } : rule) });
+    const { bands } = gradingSchemes[gradingScheme];
+    // Without their own targets or colour thresholds a theme follows the grading scheme's.
+    const targets = getTargets(draft, gradingScheme);
+    const targetNames = targets.map((_, i) => draft.targetNames?.[i] ?? '');
+    const updateTarget = (index, changes) => update({ targets: draft.targets.map((target, i) => i === index ? { ...target, ...changes } : target) });
+    const removeTarget = (index) => update({ targets: draft.targets.filter((_, i) => i !== index), targetNames: targetNames.filter((_, i) => i !== index) });
+    const lastNamed = targetNames.reduce((last, name, i) => name ? i : last, -1);
+    const schemeColorBands = TIER_NAMES.slice(0, -1).map((_, tier) => Math.min(...bands.filter(band => band.tier === tier).map(band => band.min)));
+    const preview = {
+        ...draft,
+        feedback: [...draft.feedback].sort((a, b) => b.min - a.min),
+        // A blank name shows the target's label, so trailing blanks are not worth saving.
+        targetNames: lastNamed === -1 ? undefined : targetNames.slice(0, lastNamed + 1),
+    };
+    const samples = bands.map(band => ({ band, grade: band.min === 0 ? 30 : band.min }));
+
+    return (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-50">
+            <div className="bg-white rounded-xl shadow-2xl w-full max-w-5xl max-h-[90vh] flex flex-col p-4">
+                <h2 className="text-xl font-bold mb-4 pb-2 border-b">{initialTheme.id ? t('Edit Theme') : t('New Theme')}</h2>
+                <div className="overflow-auto flex-grow grid grid-cols-1 md:grid-cols-2 gap-6">
+                    <div className="space-y-3 text-sm">
+                        {THEME_TEXT_FIELDS.map(([field, label]) => (
+                            <label key={field} className="block">
+                                <span className="font-medium text-gray-700">{t(label)}</span>
+                                <input type="text" value={draft[field]} onChange={(e) => update({ [field]: e.target.value })} className="w-full p-1 border rounded-md bg-gray-50" />
+                            </label>
+                        ))}
+                        <div>
+                            <span className="font-medium text-gray-700">{t('Grade colours')}</span>
+                            <div className="flex flex-wrap gap-3 mt-1">
+                                {TIER_NAMES.map((tierName, tier) => (
+                                    <label key={tierName} className="flex items-center gap-1">
+                                        <input type="color" value={draft.palette[tier]} onChange={(e) => update({ palette: draft.palette.map((c, i) => i === tier ? e.target.value : c) })} aria-label={t('{tier} colour', { tier: t(tierName) })} />
+                                        {t(tierName)}
+                                    </label>
+                                ))}
+                            </div>
+                            <label className="flex items-center gap-2 mt-2">
+                                <input type="checkbox" checked={Boolean(draft.colorBands)} onChange={(e) => update({ colorBands: e.target.checked ? schemeColorBands : undefined })} />
+                                {t('Own colour thresholds')}
+                            </label>
+                            {draft.colorBands && (
+                                <div className="flex flex-wrap gap-3 mt-1">
+                                    {TIER_NAMES.slice(0, -1).map((tierName, tier) => (
+                                        <label key={tierName} className="flex items-center gap-1">
+                                            {t('{tier} from', { tier: t(tierName) })}
+                                            <NumberInput value={draft.colorBands[tier]} onChange={(min) => update({ colorBands: draft.colorBands.map((m, i) => i === tier ? min : m) })} rules={{ required: true }} aria-label={t('{tier} from (%)', { tier: t(tierName) })} className="w-16 p-1 border rounded-md bg-gray-50" />
+                                        </label>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        <div>
+                            <span className="font-medium text-gray-700">{t('Targets')}</span>
+                            {!draft.targets && <p className="text-gray-500">{t("Following the grading scheme's targets.")}</p>}
+                            {targets.map((target, index) => (
+                                <div key={index} className="flex items-start gap-2 mt-1">
+                                    {draft.targets ? (
+                                        <>
+                                            <input type="text" value={target.label} onChange={(e) => updateTarget(index, { label: e.target.value })} aria-label={t('Target label')} className="w-24 p-1 border rounded-md bg-gray-50" />
+                                            <NumberInput value={target.grade} onChange={(grade) => updateTarget(index, { grade })} rules={{ required: true }} aria-label={t('Target grade (%)')} className="w-16 p-1 border rounded-md bg-gray-50" />
+                                        </>
+                                    ) : <span className="w-40 pt-1">{target.label} ({formatInput(target.grade)}%)</span>}
+                                    <input type="text" value={targetNames[index]} onChange={(e) => update({ targetNames: targetNames.map((name, i) => i === index ? e.target.value : name) })} placeholder={target.label} aria-label={t('Target name')} className="flex-1 p-1 border rounded-md bg-gray-50" />
+                                    {draft.targets && <button onClick={() => removeTarget(index)} disabled={draft.targets.length === 1} aria-label={t('Remove target')} className="text-gray-400 hover:text-red-500 pt-1 disabled:opacity-50">&times;</button>}
+                                </div>
+                            ))}
+                            <div className="flex gap-2 mt-2">
+                                {draft.targets
+                                    ? <>
+                                        <button onClick={() => update({ targets: [...draft.targets, { label: '', grade: 50 }] })} className="text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">{t('+ Add Target')}</button>
+                                        <button onClick={() => update({ targets: undefined })} className="text-sm bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded-md hover:bg-gray-200">{t("Use the Scheme's Targets")}</button>
+                                    </>
+                                    : <button onClick={() => update({ targets })} className="text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">{t('Customise Targets')}</button>}
+                            </div>
+                        </div>
+                        <div>
+                            <span className="font-medium text-gray-700">{t('Feedback messages')}</span>
+                            {draft.feedback.map((rule, index) => (
+                                <div key={index} className="flex items-start gap-2 mt-1">
+                                    <span className="pt-1">{t('From')}</span>
+                                    <NumberInput value={rule.min} onChange={(min) => updateRule(index, { min })} rules={{ required: true }} aria-label={t('Minimum grade')} className="w-16 p-1 border rounded-md bg-gray-50" />
+                                    <input type="text" value={rule.message} onChange={(e) => updateRule(index, { message: e.target.value })} aria-label={t('Message')} className="flex-1 p-1 border rounded-md bg-gray-50" />
+                                    <button onClick={() => update({ feedback: draft.feedback.filter((_, i) => i !== index) })} aria-label={t('Remove message')} className="text-gray-400 hover:text-red-500 pt-1">&times;</button>
+                                </div>
+                            ))}
+                            <button onClick={() => update({ feedback: [...draft.feedback, { min: 0, message: '' }] })} className="mt-2 text-sm bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">{t('+ Add Message')}</button>
+                        </div>
+                    </div>
+                    <div aria-label={t('Theme preview')} className="bg-gray-50 border rounded-lg p-4 text-sm self-start">
+                        <h3 className="text-2xl font-bold text-gray-900 text-center">{preview.title}</h3>
+                        <p className="text-gray-600 text-center mb-4">{preview.subtitle}</p>
+                        <p className="font-semibold text-gray-800 mb-2">{preview.overallTitle}</p>
+                        <ul className="space-y-1 mb-4">
+                            {samples.map(({ band, grade }) => (
+                                <li key={band.short} className="flex justify-between gap-2">
+                                    <span>{preview.overallLabel} <span className="font-bold" style={getGradeStyle(preview, gradingScheme, grade)}>{formatInput(grade)}%</span></span>
+                                    <span className="text-gray-500 text-right">{getFeedback(preview, grade)}</span>
+                                </li>
+                            ))}
+                        </ul>
+                        <p className="text-gray-600">{preview.yearAvgLabel} · {preview.moduleScoreLabel}</p>
+                        {getTargets(preview, gradingScheme).map((target, i) => <p key={i}><strong>{formatTarget(preview, target, i)}</strong> {t('Need')} …</p>)}
+                    </div>
+                </div>
+                <div className="mt-4 flex justify-between gap-2">
+                    <div>{onDelete && <button onClick={onDelete} className="text-red-600 font-semibold py-2 px-4 rounded-lg hover:bg-red-50">{t('Delete Theme')}</button>}</div>
+                    <div className="flex gap-2">
+                        <button onClick={onClose} className="bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300">{t('Cancel')}</button>
+                        <button onClick={() => onSave(preview)} disabled={!draft.name.trim() || targets.some(target => !target.label.trim())} className="bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 disabled:opacity-50">{t('Save Theme')}</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+};
 
 // --- MAIN APP COMPONENT ---
-export default function App() {
-    const [years, setYears] = useState([]);
-    const [theme, setTheme] = useState('default');
+const GradesTracker = ({ storageKey, profileName, profileBar, settings, onSettingsChange, themes, onSaveTheme, onDeleteTheme, templates, onSaveTemplate, onDeleteTemplate }) => {
+    const [initialLoad] = useState(() => loadStoredDocument(storageKey));
+    const [loadError, setLoadError] = useState(initialLoad.error);
+    const [syncConflict, setSyncConflict] = useState(false);
+    const { present: data, commit, undo, redo, reset, canUndo, canRedo } = useHistory({
+        years: initialLoad.document?.years ?? [],
+        scenarios: initialLoad.document?.scenarios ?? [],
+    });
+    const { years, scenarios } = data;
+    const [undoToast, setUndoToast] = useState(null);
+    const [pendingFocusId, setPendingFocusId] = useState(null);
+    const { theme: themeId, gradingScheme, upcomingDays, resitCap, degreeTemplate, language, weekStart, dateFormat } = settings;
+    const { t, formatDecimal } = useLocale();
+    const theme = themes[themeId];
+    const setTheme = (value) => onSettingsChange({ theme: value });
+    const setGradingScheme = (value) => onSettingsChange({ gradingScheme: value });
+    const setUpcomingDays = (value) => onSettingsChange({ upcomingDays: value });
+    const setResitCap = (value) => onSettingsChange({ resitCap: value });
+    const setDegreeTemplate = (value) => onSettingsChange({ degreeTemplate: value });
+    const template = templates[degreeTemplate];
+    const [templateName, setTemplateName] = useState(null);
+    const [activeScenarioId, setActiveScenarioId] = useState(null);
+    const [isComparisonOpen, setComparisonOpen] = useState(false);
     const [isCalendarOpen, setCalendarOpen] = useState(false);
+    const [isAnalyticsOpen, setAnalyticsOpen] = useState(false);
+    const [isShareOpen, setShareOpen] = useState(false);
+    const [isTranscriptOpen, setTranscriptOpen] = useState(false);
+    const [isGridOpen, setGridOpen] = useState(false);
+    const [themeDraft, setThemeDraft] = useState(null);
+    const [themeError, setThemeError] = useState(null);
+    const themeInputRef = useRef(null);
     const [deleteRequest, setDeleteRequest] = useState(null);
+    const [csvPreview, setCsvPreview] = useState(null);
+    const [backupError, setBackupError] = useState(null);
+    const [csvError, setCsvError] = useState(null);
+    const csvInputRef = useRef(null);
+    const backupInputRef = useRef(null);
 
     useEffect(() => {
-        const savedData = localStorage.getItem('gradeTrackerData');
-        if (savedData) setYears(JSON.parse(savedData));
-        
-        const savedTheme = localStorage.getItem('currentTheme') || 'default';
-        setTheme(savedTheme);
-    }, []);
+        // Never overwrite data we failed to read; the recovery screen decides what happens to it.
+        if (loadError) return;
+        writeDocument(storageKey, JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios }));
+    }, [storageKey, years, scenarios, loadError]);
+
+    useEffect(() => subscribeToDocument(storageKey, ({ text, conflict }) => {
+        if (conflict) {
+            setSyncConflict(true);
+            return;
+        }
+        try {
+            const doc = migrateDocument(JSON.parse(text));
+            reset({ years: doc.years, scenarios: doc.scenarios });
+            setLoadError(null);
+            setSyncConflict(false);
+        } catch {
+            // A save this tab cannot read is left alone; reloading shows the recovery screen for it.
+        }
+    }), [storageKey, reset]);
+
+    // Undo/redo only act on the tracker itself: not inside a field, a dialog or the grid.
+    const isOverlayOpen = isComparisonOpen || isCalendarOpen || isAnalyticsOpen || isShareOpen || isTranscriptOpen || isGridOpen
+        || themeDraft !== null || deleteRequest !== null || csvPreview !== null;
 
     useEffect(() => {
-        localStorage.setItem('gradeTrackerData', JSON.stringify(years));
-    }, [years]);
+        if (isOverlayOpen) return;
+        const handleKeyDown = (e) => {
+            if (!(e.ctrlKey || e.metaKey) || isEditableTarget(e.target)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                undo();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                redo();
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [undo, redo, isOverlayOpen]);
     
     useEffect(() => {
-        localStorage.setItem('currentTheme', theme);
-        document.body.classList.remove('josh-mode-theme', 'asian-parent-theme');
-        if (theme === 'joshMode') document.body.classList.add('josh-mode-theme');
-        if (theme === 'asianParent') document.body.classList.add('asian-parent-theme');
-    }, [theme]);
+        if (!theme.bodyClass) return;
+        document.body.classList.add(theme.bodyClass);
+        return () => document.body.classList.remove(theme.bodyClass);
+    }, [theme.bodyClass]);
 
-    const handleAddYear = () => {
-        const yearNumber = years.length + 1;
-        let defaultWeighting = 0;
-        switch (yearNumber) {
-            case 1: defaultWeighting = 7.5; break;
-            case 2: defaultWeighting = 20; break;
-            case 3: defaultWeighting = 36.5; break;
-            case 4: defaultWeighting = 36.5; break;
-            default: defaultWeighting = 0;
+    // Runs after the target year has re-rendered expanded, so the row exists and is visible.
+    useEffect(() => {
+        if (pendingFocusId === null) return;
+        const input = document.getElementById(`assessment-${pendingFocusId}`);
+        if (input) {
+            input.scrollIntoView?.({ behavior: 'smooth', block: 'center' });
+            input.focus();
         }
-        setYears([...years, { id: Date.now(), name: `Year ${yearNumber}`, weighting: defaultWeighting, modules: [], collapsed: false }]);
+        setPendingFocusId(null);
+    }, [pendingFocusId]);
+
+    // Keystrokes in the same field coalesce into one undo step; anything else is its own step.
+    const updateData = (changes, { record = true } = {}) => {
+        const focused = document.activeElement;
+        const coalesceKey = focused && ['INPUT', 'TEXTAREA', 'SELECT'].includes(focused.tagName) ? focused : null;
+        commit(current => ({ ...current, ...changes }), { coalesceKey, record });
+        setUndoToast(null);
+    };
+    const setYears = (nextYears) => updateData({ years: nextYears });
+    const setScenarios = (nextScenarios) => updateData({ scenarios: nextScenarios });
+
+    // While a scenario is active, every edit goes to its forked tree instead of the real record.
+    const activeScenario = scenarios.find(s => s.id === activeScenarioId) ?? null;
+    const workingYears = activeScenario ? activeScenario.years : years;
+
+    const updateScenario = (id, changes) => {
+        setScenarios(scenarios.map(s => s.id === id ? { ...s, ...changes } : s));
+    };
+
+    const setWorkingYears = (nextYears, options) => {
+        if (activeScenario) updateData({ scenarios: scenarios.map(s => s.id === activeScenario.id ? { ...s, years: nextYears } : s) }, options);
+        else updateData({ years: nextYears }, options);
+    };
+
+    const handleAddYear = () => {
+        setWorkingYears([...workingYears, createTemplateYear(template, workingYears.length)]);
+    };
+
+    const handleApplyTemplate = () => {
+        const apply = () => setWorkingYears(applyDegreeTemplate(workingYears, template));
+        if (workingYears.length === 0) apply();
+        else setDeleteRequest({ message: t('Apply "{template}"? Year names, weightings and counting rules will be replaced; modules and grades are kept.', { template: template.name }), confirmLabel: 'Apply', action: apply });
+    };
+
+    const handleSaveTemplate = () => {
+        setDegreeTemplate(onSaveTemplate(buildDegreeTemplate(templateName.trim() || t('Custom structure'), workingYears)));
+        setTemplateName(null);
+    };
+
+    const handleDeleteTemplate = () => {
+        setDeleteRequest({
+            message: t('Delete the degree template "{template}"? Your years are not affected.', { template: template.name }),
+            action: () => {
+                setDegreeTemplate(DEFAULT_SETTINGS.degreeTemplate);
+                onDeleteTemplate(template.id);
+            },
+        });
     };
     
     const handleUpdateYear = (index, prop, value) => {
-        setYears([...years.slice(0, index), { ...years[index], [prop]: value }, ...years.slice(index + 1)]);
+        // Collapsing a year is view state, not an edit worth undoing.
+        setWorkingYears([...workingYears.slice(0, index), { ...workingYears[index], [prop]: value }, ...workingYears.slice(index + 1)], { record: prop !== 'collapsed' });
     };
 
     const handleDeleteYear = (index) => {
-        setYears(years.filter((_, i) => i !== index));
+        setWorkingYears(workingYears.filter((_, i) => i !== index));
     };
     
     const handleAddModule = (yearIndex) => {
-        const newModules = [...years[yearIndex].modules, { id: Date.now(), name: 'New Module', ects: 10, moderatedScore: null, assessments: [] }];
+        const newModules = [...workingYears[yearIndex].modules, { id: createId(), name: t('New Module'), ects: 10, moderatedScore: null, assessments: [] }];
         handleUpdateYear(yearIndex, 'modules', newModules);
     };
 
-    const requestDelete = (type, action) => {
-        setDeleteRequest({ message: `Are you sure you want to delete this ${type}?`, action });
+    const focusAssessment = (yearId, assessmentId) => {
+        const index = workingYears.findIndex(y => y.id === yearId);
+        if (index !== -1 && workingYears[index].collapsed) handleUpdateYear(index, 'collapsed', false);
+        setCalendarOpen(false);
+        setAnalyticsOpen(false);
+        setPendingFocusId(assessmentId);
+    };
+
+    const rescheduleAssessment = (assessmentId, dueDate) => {
+        setWorkingYears(workingYears.map(year => ({
+            ...year,
+            modules: year.modules.map(module => listAssessments(module.assessments).some(a => String(a.id) === String(assessmentId))
+                ? { ...module, assessments: mapAssessments(module.assessments, a => String(a.id) === String(assessmentId) ? { ...a, dueDate } : a) }
+                : module),
+        })));
+    };
+
+    const handleCreateScenario = () => {
+        // The tree is only ever updated immutably, so the fork can share the real record's objects.
+        const scenario = { id: createId(), name: t('Scenario {number}', { number: scenarios.length + 1 }), years };
+        setScenarios([...scenarios, scenario]);
+        setActiveScenarioId(scenario.id);
+    };
+
+    const handleDeleteScenario = () => {
+        const id = activeScenario.id;
+        requestDelete('scenario', () => {
+            setScenarios(scenarios.filter(s => s.id !== id));
+            setActiveScenarioId(null);
+        });
+    };
+
+    const requestDelete = (type, action, { confirm = true } = {}) => {
+        const name = t(type);
+        const deleteAndOfferUndo = () => {
+            action();
+            setUndoToast({ message: t('{type} deleted.', { type: `${name.charAt(0).toUpperCase()}${name.slice(1)}` }) });
+        };
+        if (confirm) setDeleteRequest({ message: t('Are you sure you want to delete this {type}?', { type: name }), action: deleteAndOfferUndo });
+        else deleteAndOfferUndo();
     };
 
     const confirmDelete = () => {
@@ -399,77 +2792,244 @@ export default function App() {
         }
     };
 
+    // Like every other edit, CSV export and import follow the scenario being edited, if any.
     const exportToCSV = () => {
-        let csvContent = "data:text/csv;charset=utf-8,Year,Module,ECTS,Moderated Score,Assessment,Due Date,Weight (%),Grade (%)\n";
-        years.forEach(year => {
-            year.modules.forEach(module => {
-                if (module.assessments.length === 0) {
-                     const row = [`"${year.name}"`, `"${module.name}"`, module.ects, module.moderatedScore ?? '', '', '', '', ''].join(',');
-                     csvContent += row + "\n";
-                } else {
-                    module.assessments.forEach(assessment => {
-                        const row = [`"${year.name}"`, `"${module.name}"`, module.ects, module.moderatedScore ?? '', `"${assessment.title}"`, assessment.dueDate, assessment.weight, assessment.grade ?? ''].join(',');
-                        csvContent += row + "\n";
-                    });
-                }
-            });
-        });
-        const link = document.createElement("a");
-        link.setAttribute("href", encodeURI(csvContent));
-        link.setAttribute("download", "grade_tracker_export.csv");
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+        downloadFile(buildCSV(workingYears), "grade_tracker_export.csv", "text/csv");
+    };
+
+    const exportBackup = () => {
+        const customTheme = PRESET_THEMES[themeId] ? undefined : theme;
+        downloadFile(buildBackup({ years, scenarios, theme: themeId, customTheme, gradingScheme, resitCap }), getBackupFileName(profileName), "application/json");
+    };
+
+    const restoreBackup = (backup) => {
+        updateData({ years: backup.years, scenarios: backup.scenarios });
+        setActiveScenarioId(null);
+        // A theme this browser already has is kept as it is; a missing one is recreated from the backup.
+        if (backup.customTheme && !themes[backup.theme]) onSaveTheme({ ...backup.customTheme, id: backup.theme });
+        const restoredSettings = {
+            ...(backup.theme && { theme: backup.theme }),
+            ...(backup.gradingScheme && { gradingScheme: backup.gradingScheme }),
+            ...(backup.resitCap !== undefined && { resitCap: backup.resitCap }),
+        };
+        if (Object.keys(restoredSettings).length > 0) onSettingsChange(restoredSettings);
+        setLoadError(null);
+    };
+
+    const handleBackupFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        let backup;
+        try {
+            backup = parseBackup(await file.text());
+        } catch (error) {
+            setBackupError(t('Could not restore {file}: {error}', { file: file.name, error: t(error.message) }));
+            return;
+        }
+        setBackupError(null);
+        if (loadError) restoreBackup(backup);
+        else setDeleteRequest({ message: t('Restoring this backup will replace all of the data and settings in "{profile}". Continue?', { profile: profileName }), confirmLabel: 'Restore', action: () => restoreBackup(backup) });
+    };
+
+    const startNewTheme = () => {
+        const { bodyClass, ...base } = theme;
+        setThemeDraft({ ...base, id: null, name: t('{theme} (custom)', { theme: theme.name }) });
+    };
+
+    const saveTheme = (draft) => {
+        setTheme(onSaveTheme(draft));
+        setThemeDraft(null);
+    };
+
+    const deleteTheme = (id) => {
+        setTheme(DEFAULT_SETTINGS.theme);
+        onDeleteTheme(id);
+        setThemeDraft(null);
     };
 
-    const overallAvg = useMemo(() => calculateOverallDegreeAverage(years), [years]);
-    const t = themes[theme];
+    const handleThemeFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseThemeFile(await file.text());
+            setThemeError(null);
+            setTheme(onSaveTheme({ ...imported, id: null }));
+        } catch (error) {
+            setThemeError(t('Could not import {file}: {error}', { file: file.name, error: t(error.message) }));
+        }
+    };
+
+    const handleImportFile = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            setCsvPreview({ ...parseGradesCSV(await file.text()), fileName: file.name });
+            setCsvError(null);
+        } catch (error) {
+            setCsvError(t('Could not read {file}: {error}', { file: file.name, error: t(error.message) }));
+        }
+    };
+
+    const applyCsvImport = (mode) => {
+        setWorkingYears(mode === 'merge' ? mergeYears(workingYears, csvPreview.years) : csvPreview.years);
+        setCsvPreview(null);
+    };
+
+    const dismissUndoToast = useCallback(() => setUndoToast(null), []);
+
+    const overallAvg = useMemo(() => calculateOverallDegreeAverage(workingYears), [workingYears]);
+    const overallBand = getGradeBand(gradingScheme, overallAvg);
+    const gpa = useMemo(() => calculateGpa(workingYears, gradingScheme), [workingYears, gradingScheme]);
+
+    const resolveSyncConflict = (keepMine) => {
+        setSyncConflict(false);
+        resolveDocumentConflict(storageKey, keepMine);
+    };
+
+    if (loadError) {
+        return <RecoveryScreen error={backupError ?? loadError} raw={initialLoad.raw} onRestoreFile={handleBackupFile} onReset={() => { setYears([]); setLoadError(null); }} profileBar={profileBar} />;
+    }
 
     return (
         <div className="container mx-auto p-4 md:p-8 max-w-6xl">
-            {deleteRequest && <ConfirmationModal message={deleteRequest.message} onConfirm={confirmDelete} onCancel={() => setDeleteRequest(null)} />}
+            {deleteRequest && <ConfirmationModal message={deleteRequest.message} confirmLabel={deleteRequest.confirmLabel} onConfirm={confirmDelete} onCancel={() => setDeleteRequest(null)} />}
+            {syncConflict && (
+                <div role="alert" className="flex flex-wrap justify-between items-center gap-4 bg-amber-50 border border-amber-300 rounded-lg p-4 mb-8">
+                    <p className="text-amber-900">{t('"{profile}" was changed in another tab while you were editing it here.', { profile: profileName })}</p>
+                    <div className="flex gap-2">
+                        <button onClick={() => resolveSyncConflict(false)} className="bg-white text-gray-800 font-semibold py-2 px-4 rounded-lg border hover:bg-gray-100">{t("Load Other Tab's Version")}</button>
+                        <button onClick={() => resolveSyncConflict(true)} className="bg-amber-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-amber-700">{t('Keep My Version')}</button>
+                    </div>
+                </div>
+            )}
+            {isComparisonOpen && <ScenarioComparison years={years} scenarios={scenarios} theme={theme} gradingScheme={gradingScheme} onClose={() => setComparisonOpen(false)} />}
+            {undoToast && <UndoToast message={undoToast.message} onUndo={() => { undo(); setUndoToast(null); }} onDismiss={dismissUndoToast} />}
+            {csvPreview && <CsvImportModal preview={csvPreview} onReplace={() => applyCsvImport('replace')} onMerge={() => applyCsvImport('merge')} onCancel={() => setCsvPreview(null)} />}
             <header className="text-center mb-8 relative">
-                <h1 className="text-4xl font-bold text-gray-900">{t.title}</h1>
-                <p className="text-gray-600 mt-2">{t.subtitle}</p>
+                {profileBar}
+                <h1 className="text-4xl font-bold text-gray-900">{theme.title}</h1>
+                <p className="text-gray-600 mt-2">{theme.subtitle}</p>
             </header>
             
-            <div className="flex justify-center items-center gap-2 mb-8 p-2 bg-gray-200 rounded-full">
-                {Object.keys(themes).map(themeKey => (
-                    <button key={themeKey} onClick={() => setTheme(themeKey)} className={`theme-button bg-white text-sm font-semibold py-2 px-4 rounded-full shadow-md ${theme === themeKey ? 'active' : ''}`}>
-                        {themeKey === 'joshMode' ? '💅 Josh Mode' : themeKey === 'asianParent' ? '🩺 Asian Parent' : 'Default'}
+            <div className="flex flex-wrap justify-center items-center gap-2 mb-8 p-2 bg-gray-200 rounded-full">
+                {Object.values(themes).map(option => (
+                    <button key={option.id} onClick={() => setTheme(option.id)} className={`theme-button bg-white text-sm font-semibold py-2 px-4 rounded-full shadow-md ${themeId === option.id ? 'active' : ''}`}>
+                        {option.name}
                     </button>
                 ))}
+                <button onClick={startNewTheme} className="text-sm font-semibold py-2 px-3 rounded-full text-gray-700 hover:bg-gray-300">{t('+ New Theme')}</button>
+                {!PRESET_THEMES[themeId] && <button onClick={() => setThemeDraft(theme)} className="text-sm font-semibold py-2 px-3 rounded-full text-gray-700 hover:bg-gray-300">{t('Edit Theme')}</button>}
+                <button onClick={() => downloadFile(buildThemeFile(theme), getThemeFileName(theme.name), "application/json")} className="text-sm font-semibold py-2 px-3 rounded-full text-gray-700 hover:bg-gray-300">{t('Export Theme')}</button>
+                <button onClick={() => themeInputRef.current.click()} className="text-sm font-semibold py-2 px-3 rounded-full text-gray-700 hover:bg-gray-300">{t('Import Theme')}</button>
+                <input ref={themeInputRef} type="file" accept=".json,application/json" onChange={handleThemeFile} className="hidden" />
             </div>
+            {themeError && <p className="text-center text-sm text-red-600 -mt-6 mb-8">{themeError}</p>}
+            {themeDraft && <ThemeEditor initialTheme={themeDraft} gradingScheme={gradingScheme} onSave={saveTheme} onDelete={themeDraft.id ? () => deleteTheme(themeDraft.id) : null} onClose={() => setThemeDraft(null)} />}
+
+            <ScenarioBar
+                scenarios={scenarios}
+                activeScenario={activeScenario}
+                onSelect={setActiveScenarioId}
+                onCreate={handleCreateScenario}
+                onRename={(name) => updateScenario(activeScenario.id, { name })}
+                onDelete={handleDeleteScenario}
+                onCompare={() => setComparisonOpen(true)}
+            />
 
             <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200 mb-8 fade-in">
-                <h2 className="text-2xl font-bold text-gray-800 mb-4">{t.overallTitle}</h2>
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                    <h2 className="text-2xl font-bold text-gray-800">{theme.overallTitle}</h2>
+                    <div className="flex items-center space-x-2">
+                        <label className="text-sm font-medium text-gray-600">{t('Grading Scheme:')}</label>
+                        <select value={gradingScheme} onChange={(e) => setGradingScheme(e.target.value)} className="p-1 border rounded-md bg-gray-50 text-sm">
+                            {Object.entries(gradingSchemes).map(([key, scheme]) => <option key={key} value={key}>{scheme.name}</option>)}
+                        </select>
+                        <label className="text-sm font-medium text-gray-600">{t('Default Resit Cap (%):')}</label>
+                        <NumberInput value={resitCap} onChange={setResitCap} title={t('Default cap applied to newly recorded resits; leave blank for uncapped')} className="w-16 p-1 border rounded-md bg-gray-50 text-sm" />
+                    </div>
+                </div>
                 <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
-                    {years.map((year, index) => (
+                    {workingYears.map((year, index) => (
                         <div key={year.id} className="flex items-center space-x-2">
-                            <label className="text-sm font-medium text-gray-600">{year.name} Wt (%):</label>
-                            <input type="text" inputMode="decimal" value={year.weighting} onChange={(e) => handleUpdateYear(index, 'weighting', e.target.value)} className="w-full p-1 border rounded-md bg-gray-50" />
+                            <label className="text-sm font-medium text-gray-600">{t('{year} Wt (%):', { year: year.name })}</label>
+                            <NumberInput value={year.weighting} onChange={(value) => handleUpdateYear(index, 'weighting', value)} rules={{ required: true }} wrapperClassName="flex-1 min-w-0" className="w-full p-1 border rounded-md bg-gray-50" />
                         </div>
                     ))}
                 </div>
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                    <label className="text-sm font-medium text-gray-600">{t('Degree Structure:')}</label>
+                    <select value={degreeTemplate} onChange={(e) => setDegreeTemplate(e.target.value)} aria-label={t('Degree structure')} className="p-1 border rounded-md bg-gray-50 text-sm">
+                        {Object.values(templates).map(option => <option key={option.id} value={option.id}>{DEGREE_TEMPLATES[option.id] ? t(option.name) : option.name}</option>)}
+                    </select>
+                    <button onClick={handleApplyTemplate} className="text-sm bg-gray-200 text-gray-800 font-semibold py-1 px-3 rounded-md hover:bg-gray-300">{t('Apply to Years')}</button>
+                    {templateName === null
+                        ? <button onClick={() => setTemplateName(t('{profile} structure', { profile: profileName }))} disabled={workingYears.length === 0} className="text-sm bg-gray-200 text-gray-800 font-semibold py-1 px-3 rounded-md hover:bg-gray-300 disabled:opacity-50">{t('Save as Template')}</button>
+                        : <>
+                            <input type="text" value={templateName} onChange={(e) => setTemplateName(e.target.value)} aria-label={t('Template name')} className="p-1 border rounded-md bg-gray-50 text-sm" />
+                            <button onClick={handleSaveTemplate} className="text-sm bg-blue-600 text-white font-semibold py-1 px-3 rounded-md hover:bg-blue-700">{t('Save Template')}</button>
+                            <button onClick={() => setTemplateName(null)} className="text-sm text-gray-600 hover:underline">{t('Cancel')}</button>
+                        </>}
+                    {!DEGREE_TEMPLATES[degreeTemplate] && <button onClick={handleDeleteTemplate} className="text-sm text-red-600 hover:underline">{t('Delete Template')}</button>}
+                </div>
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                    <label className="text-sm font-medium text-gray-600">{t('Language:')}</label>
+                    <select value={language} onChange={(e) => onSettingsChange({ language: e.target.value })} aria-label={t('Language')} className="p-1 border rounded-md bg-gray-50 text-sm">
+                        {Object.entries(LANGUAGES).map(([key, { name }]) => <option key={key} value={key}>{name}</option>)}
+                    </select>
+                    <label className="text-sm font-medium text-gray-600">{t('Week starts on:')}</label>
+                    <select value={weekStart} onChange={(e) => onSettingsChange({ weekStart: Number(e.target.value) })} aria-label={t('First day of the week')} className="p-1 border rounded-md bg-gray-50 text-sm">
+                        {Object.entries(WEEK_STARTS).map(([day, name]) => <option key={day} value={day}>{t(name)}</option>)}
+                    </select>
+                    <label className="text-sm font-medium text-gray-600">{t('Dates:')}</label>
+                    <select value={dateFormat} onChange={(e) => onSettingsChange({ dateFormat: e.target.value })} aria-label={t('Date format')} className="p-1 border rounded-md bg-gray-50 text-sm">
+                        {Object.entries(DATE_FORMATS).map(([key, label]) => <option key={key} value={key}>{t(label)}</option>)}
+                    </select>
+                </div>
                 <div className="text-center bg-gray-100 p-4 rounded-lg">
-                    <span className="text-lg font-semibold text-gray-600">{t.overallLabel}</span>
-                    <span className={`text-3xl font-bold ml-2 ${t.getGradeColor(overallAvg)}`}>{overallAvg.toFixed(2)}%</span>
-                    <p className="text-sm text-gray-500 mt-1 h-5">{t.getFeedback(overallAvg)}</p>
+                    <span className="text-lg font-semibold text-gray-600">{theme.overallLabel}</span>
+                    <span className="text-3xl font-bold ml-2" style={getGradeStyle(theme, gradingScheme, overallAvg)}>{formatDecimal(overallAvg)}%</span>
+                    {overallAvg > 0 && <span className="text-xl font-semibold ml-2" style={getGradeStyle(theme, gradingScheme, overallAvg)}>{overallBand.label}</span>}
+                    {gpa !== null && <span className="text-xl font-semibold ml-2 text-gray-700">{t('GPA {gpa}', { gpa: formatDecimal(gpa) })}</span>}
+                    <p className="text-sm text-gray-500 mt-1 h-5">{getFeedback(theme, overallAvg)}</p>
                 </div>
             </div>
 
-            <div className="flex justify-center items-center gap-4 mb-8">
-                <button onClick={handleAddYear} className="bg-blue-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-blue-700">Add Academic Year</button>
-                <button onClick={() => setCalendarOpen(true)} className="bg-purple-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-purple-700">View Calendar</button>
-                <button onClick={exportToCSV} className="bg-green-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-green-700">Export to CSV</button>
+            {workingYears.length > 0 && <GoalSolver years={workingYears} theme={theme} gradingScheme={gradingScheme} />}
+
+            {workingYears.length > 0 && <UpcomingDeadlines years={workingYears} days={upcomingDays} onDaysChange={setUpcomingDays} onSelect={focusAssessment} />}
+
+            {workingYears.length > 0 && <IntegrityPanel years={workingYears} onSelect={focusAssessment} />}
+
+            <div className="flex flex-wrap justify-center items-center gap-4 mb-8">
+                <button onClick={undo} disabled={!canUndo} title={t('Undo (Ctrl+Z)')} className="bg-white text-gray-800 font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-gray-100 disabled:opacity-50">&#8630; {t('Undo')}</button>
+                <button onClick={redo} disabled={!canRedo} title={t('Redo (Ctrl+Shift+Z)')} className="bg-white text-gray-800 font-semibold py-2 px-4 rounded-lg shadow-md hover:bg-gray-100 disabled:opacity-50">{t('Redo')} &#8631;</button>
+                <button onClick={handleAddYear} className="bg-blue-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-blue-700">{t('Add Academic Year')}</button>
+                <button onClick={() => setGridOpen(true)} className="bg-amber-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-amber-700">{t('Grid Entry')}</button>
+                <button onClick={() => setCalendarOpen(true)} className="bg-purple-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-purple-700">{t('View Calendar')}</button>
+                <button onClick={() => setAnalyticsOpen(true)} className="bg-teal-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-teal-700">{t('View Analytics')}</button>
+                <button onClick={() => setTranscriptOpen(true)} className="bg-slate-700 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-slate-800">{t('Generate Report')}</button>
+                <button onClick={exportToCSV} className="bg-green-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-green-700">{t('Export to CSV')}</button>
+                <button onClick={() => csvInputRef.current.click()} className="bg-green-100 text-green-800 font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-green-200">{t('Import CSV')}</button>
+                <input ref={csvInputRef} type="file" accept=".csv,text/csv" onChange={handleImportFile} className="hidden" />
+                <button onClick={exportBackup} className="bg-gray-700 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-gray-800">{t('Download Backup')}</button>
+                <button onClick={() => backupInputRef.current.click()} className="bg-gray-200 text-gray-800 font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-gray-300">{t('Restore Backup')}</button>
+                <input ref={backupInputRef} type="file" accept=".json,application/json" onChange={handleBackupFile} className="hidden" />
+                <button onClick={() => setShareOpen(true)} className="bg-indigo-600 text-white font-semibold py-2 px-6 rounded-lg shadow-md hover:bg-indigo-700">{t('Share')}</button>
             </div>
+            {backupError && <p className="text-center text-sm text-red-600 -mt-6 mb-8">{backupError}</p>}
+            {csvError && <p className="text-center text-sm text-red-600 -mt-6 mb-8">{csvError}</p>}
 
             <div className="space-y-8">
-                {years.map((year, index) => (
+                {workingYears.map((year, index) => (
                     <Year 
                         key={year.id} 
                         year={year} 
                         theme={theme}
+                        gradingScheme={gradingScheme}
+                        resitCap={resitCap}
                         onUpdate={(prop, value) => handleUpdateYear(index, prop, value)}
                         onDelete={() => handleDeleteYear(index)}
                         onAddModule={() => handleAddModule(index)}
@@ -478,7 +3038,220 @@ export default function App() {
                 ))}
             </div>
 
-            {isCalendarOpen && <Calendar years={years} onClose={() => setCalendarOpen(false)} />}
+            {isAnalyticsOpen && <AnalyticsDashboard years={workingYears} theme={theme} gradingScheme={gradingScheme} onClose={() => setAnalyticsOpen(false)} onSelectAssessment={focusAssessment} />}
+            {isGridOpen && <GradeGrid years={workingYears} onChange={setWorkingYears} onClose={() => setGridOpen(false)} />}
+            {isTranscriptOpen && <Transcript years={years} theme={theme} gradingScheme={gradingScheme} profileName={profileName} onClose={() => setTranscriptOpen(false)} />}
+            {isShareOpen && <ShareModal years={years} theme={theme} gradingScheme={gradingScheme} onClose={() => setShareOpen(false)} />}
+            {isCalendarOpen && <Calendar years={workingYears} onClose={() => setCalendarOpen(false)} onImport={setWorkingYears} onSelectAssessment={focusAssessment} onReschedule={rescheduleAssessment} />}
         </div>
     );
+};
+
+// The profile switcher, shown at the top of the active profile's header.
+const ProfileBar = ({ profiles, activeProfile, onSelect, onRename, onCreate, onDuplicate, onExport, onDelete, error }) => {
+    const { t } = useLocale();
+
+    return (
+        <div className="mb-6">
+            <div className="flex flex-wrap justify-center items-center gap-2 text-sm">
+                <label className="font-semibold text-gray-700">{t('Profile:')}</label>
+                <select value={activeProfile.id} onChange={(e) => onSelect(profiles.find(p => String(p.id) === e.target.value).id)} aria-label={t('Active profile')} className="p-1 border rounded-md bg-white">
+                    {profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                </select>
+                <input type="text" value={activeProfile.name} onChange={(e) => onRename(e.target.value)} aria-label={t('Profile name')} className="p-1 border rounded-md bg-white w-40" />
+                <button onClick={onCreate} className="bg-blue-100 text-blue-700 font-semibold py-1 px-3 rounded-md hover:bg-blue-200">{t('+ New Profile')}</button>
+                <button onClick={onDuplicate} className="bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded-md hover:bg-gray-200">{t('Duplicate')}</button>
+                <button onClick={onExport} className="bg-gray-100 text-gray-700 font-semibold py-1 px-3 rounded-md hover:bg-gray-200">{t('Export')}</button>
+                <button onClick={onDelete} disabled={profiles.length === 1} className="text-gray-500 hover:text-red-600 font-semibold py-1 px-3 disabled:opacity-50">{t('Delete Profile')}</button>
+            </div>
+            {error && <p className="text-center text-sm text-red-600 mt-2">{error}</p>}
+        </div>
+    );
+};
+
+export default function App() {
+    const [registry, setRegistry] = useState(loadProfiles);
+    const [customThemes, setCustomThemes] = useState(() => loadSavedList(CUSTOM_THEMES_KEY));
+    const [customTemplates, setCustomTemplates] = useState(() => loadSavedList(CUSTOM_TEMPLATES_KEY));
+    const [deleteRequest, setDeleteRequest] = useState(null);
+    const [exportError, setExportError] = useState(null);
+    const [share, setShare] = useState(() => window.location.hash.startsWith(SHARE_PREFIX) ? { status: 'loading' } : null);
+    const activeProfile = registry.profiles.find(p => p.id === registry.activeProfileId) ?? registry.profiles[0];
+
+    // A registry taken from another tab is not written back: it keeps this tab's active profile,
+    // and saving that would make the two tabs trade active profiles back and forth.
+    const remoteRegistry = useRef(null);
+
+    useEffect(() => {
+        if (registry === remoteRegistry.current) return;
+        localStorage.setItem(PROFILES_KEY, JSON.stringify(registry));
+    }, [registry]);
+
+    useEffect(() => {
+        const handleStorage = (e) => {
+            if (e.key === PROFILES_KEY) setRegistry(current => {
+                const next = loadProfiles();
+                const activeProfileId = next.profiles.some(p => p.id === current.activeProfileId) ? current.activeProfileId : next.activeProfileId;
+                remoteRegistry.current = { ...next, activeProfileId };
+                return remoteRegistry.current;
+            });
+            if (e.key === CUSTOM_THEMES_KEY) setCustomThemes(loadSavedList(CUSTOM_THEMES_KEY));
+            if (e.key === CUSTOM_TEMPLATES_KEY) setCustomTemplates(loadSavedList(CUSTOM_TEMPLATES_KEY));
+        };
+        window.addEventListener('storage', handleStorage);
+        return () => window.removeEventListener('storage', handleStorage);
+    }, []);
+
+    // A share link pasted into an already-open tab only changes the fragment, so follow hashchange as well as the first load.
+    useEffect(() => {
+        let latest = 0;
+        const openSharedHash = () => {
+            const request = ++latest;
+            if (!window.location.hash.startsWith(SHARE_PREFIX)) return setShare(null);
+            setShare({ status: 'loading' });
+            decodeShare(window.location.hash.slice(SHARE_PREFIX.length))
+                .then(data => request === latest && setShare({ status: 'ready', data }))
+                .catch(error => request === latest && setShare({ status: 'error', error: error.message }));
+        };
+        if (window.location.hash.startsWith(SHARE_PREFIX)) openSharedHash();
+        window.addEventListener('hashchange', openSharedHash);
+        return () => {
+            latest++;
+            window.removeEventListener('hashchange', openSharedHash);
+        };
+    }, []);
+
+    useEffect(() => {
+        localStorage.setItem(CUSTOM_THEMES_KEY, JSON.stringify(customThemes));
+    }, [customThemes]);
+
+    useEffect(() => {
+        localStorage.setItem(CUSTOM_TEMPLATES_KEY, JSON.stringify(customTemplates));
+    }, [customTemplates]);
+
+    const themes = { ...PRESET_THEMES, ...Object.fromEntries(customThemes.map(theme => [theme.id, theme])) };
+    const templates = { ...DEGREE_TEMPLATES, ...Object.fromEntries(customTemplates.map(template => [template.id, template])) };
+    const settings = getProfileSettings(activeProfile, themes, templates);
+    const { language, weekStart, dateFormat } = settings;
+    const locale = useMemo(() => createLocale({ language, weekStart, dateFormat }), [language, weekStart, dateFormat]);
+
+    useEffect(() => {
+        document.documentElement.lang = locale.tag;
+    }, [locale]);
+
+    // Themes are shared by every profile; saving a theme without an id adds it. Returns the saved id.
+    const saveTheme = (theme) => {
+        const id = theme.id ?? `custom-${createId()}`;
+        setCustomThemes(current => current.some(t => t.id === id)
+            ? current.map(t => t.id === id ? { ...theme, id } : t)
+            : [...current, { ...theme, id }]);
+        return id;
+    };
+
+    const saveTemplate = (template) => {
+        const id = `custom-${createId()}`;
+        setCustomTemplates(current => [...current, { ...template, id }]);
+        return id;
+    };
+
+    const updateProfile = (id, update) => setRegistry(current => ({
+        ...current,
+        profiles: current.profiles.map(p => p.id === id ? update(p) : p),
+    }));
+
+    const selectProfile = (id) => {
+        setExportError(null);
+        setRegistry(current => ({ ...current, activeProfileId: id }));
+    };
+
+    const addProfile = (profile) => {
+        setExportError(null);
+        setRegistry(current => ({ activeProfileId: profile.id, profiles: [...current.profiles, profile] }));
+    };
+
+    const handleCreateProfile = () => {
+        const id = createId();
+        addProfile({ id, name: locale.t('Profile {number}', { number: registry.profiles.length + 1 }), storageKey: `${STORAGE_KEY}:${id}`, settings: DEFAULT_SETTINGS });
+    };
+
+    const handleDuplicateProfile = () => {
+        const id = createId();
+        const storageKey = `${STORAGE_KEY}:${id}`;
+        const raw = readDocument(activeProfile.storageKey);
+        if (raw !== null) writeDocument(storageKey, raw);
+        addProfile({ ...activeProfile, id, name: locale.t('{profile} (copy)', { profile: activeProfile.name }), storageKey });
+    };
+
+    const handleExportProfile = () => {
+        const { document: doc, error } = loadStoredDocument(activeProfile.storageKey);
+        if (error) {
+            setExportError(locale.t('Could not export "{profile}": {error}', { profile: activeProfile.name, error }));
+            return;
+        }
+        const { theme, gradingScheme, resitCap } = settings;
+        const customTheme = PRESET_THEMES[theme] ? undefined : themes[theme];
+        downloadFile(buildBackup({ years: doc.years, scenarios: doc.scenarios, theme, customTheme, gradingScheme, resitCap }), getBackupFileName(activeProfile.name), "application/json");
+    };
+
+    // Leaving a shared view drops the fragment so a reload opens the viewer's own tracker.
+    const closeShare = () => {
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        setShare(null);
+    };
+
+    const importShare = () => {
+        const id = createId();
+        const storageKey = `${STORAGE_KEY}:${id}`;
+        writeDocument(storageKey, JSON.stringify({ schemaVersion: SCHEMA_VERSION, years: share.data.years, scenarios: [] }));
+        addProfile({ id, name: locale.t('Shared grades'), storageKey, settings: { ...DEFAULT_SETTINGS, gradingScheme: share.data.gradingScheme } });
+        closeShare();
+    };
+
+    const handleDeleteProfile = () => {
+        const { id, name, storageKey } = activeProfile;
+        setDeleteRequest({
+            message: locale.t('Delete the profile "{profile}" and all of its grades? This cannot be undone.', { profile: name }),
+            action: () => {
+                removeDocument(storageKey);
+                setRegistry(current => {
+                    const profiles = current.profiles.filter(p => p.id !== id);
+                    return { activeProfileId: profiles[0].id, profiles };
+                });
+            },
+        });
+    };
+
+    if (share) return <LocaleContext.Provider value={locale}><SharedView share={share} onImport={importShare} onClose={closeShare} /></LocaleContext.Provider>;
+
+    return (
+        <LocaleContext.Provider value={locale}>
+            {deleteRequest && <ConfirmationModal message={deleteRequest.message} onConfirm={() => { deleteRequest.action(); setDeleteRequest(null); }} onCancel={() => setDeleteRequest(null)} />}
+            <GradesTracker
+                key={activeProfile.id}
+                storageKey={activeProfile.storageKey}
+                profileName={activeProfile.name}
+                profileBar={
+                    <ProfileBar
+                        profiles={registry.profiles}
+                        activeProfile={activeProfile}
+                        onSelect={selectProfile}
+                        onRename={(name) => updateProfile(activeProfile.id, p => ({ ...p, name }))}
+                        onCreate={handleCreateProfile}
+                        onDuplicate={handleDuplicateProfile}
+                        onExport={handleExportProfile}
+                        onDelete={handleDeleteProfile}
+                        error={exportError}
+                    />
+                }
+                settings={settings}
+                onSettingsChange={(changes) => updateProfile(activeProfile.id, p => ({ ...p, settings: { ...p.settings, ...changes } }))}
+                themes={themes}
+                onSaveTheme={saveTheme}
+                onDeleteTheme={(id) => setCustomThemes(current => current.filter(t => t.id !== id))}
+                templates={templates}
+                onSaveTemplate={saveTemplate}
+                onDeleteTemplate={(id) => setCustomTemplates(current => current.filter(t => t.id !== id))}
+            />
+        </LocaleContext.Provider>
+    );
 }
@@ -1,8 +1,769 @@
-import { render, screen } from '@testing-library/react';
-import App from './App';
+import { render, screen, within, fireEvent, waitFor, act } from '@testing-library/react';
+import App, { buildCSV, parseGradesCSV, mergeYears, buildBackup, parseBackup, buildICS, parseICS, applyICSImport, collectDeadlines, getIntegrityIssues, buildThemeFile, parseThemeFile, getFeedback, formatTarget, applyDegreeTemplate, buildSharePayload, encodeShare, decodeShare, applyGridChanges, createLocale } from './App';
+import { migrateDocument, SCHEMA_VERSION, getGradeBand } from './engine';
+import { openStorage } from './storage';
 
 test('renders learn react link', () => {
   render(<App />);
   const linkElement = screen.getByText(/learn react/i);
   expect(linkElement).toBeInTheDocument();
 });
+
+test('CSV export can be imported back with quoted names', () => {
+  const years = [{
+    id: 1, name: 'Year 1', weighting: 7.5, collapsed: false, modules: [
+      { id: 2, name: 'Maths, "Advanced"', ects: 10, moderatedScore: null, assessments: [
+        { id: 3, title: 'Exam, part 1', weight: 60, grade: 72.5, dueDate: '2025-01-15' },
+        { id: 4, title: 'Lab', weight: 40, grade: null, dueDate: '' },
+      ] },
+      { id: 5, name: 'Empty', ects: 5, moderatedScore: 55, assessments: [] },
+    ],
+  }];
+  const { years: imported, errors, rowCount } = parseGradesCSV(buildCSV(years));
+  expect(errors).toEqual([]);
+  expect(rowCount).toBe(3);
+  expect(imported[0].name).toBe('Year 1');
+  expect(imported[0].modules.map(m => m.name)).toEqual(['Maths, "Advanced"', 'Empty']);
+  expect(imported[0].modules[0].assessments.map(({ title, weight, grade, dueDate }) => ({ title, weight, grade, dueDate })))
+    .toEqual([
+      { title: 'Exam, part 1', weight: 60, grade: 72.5, dueDate: '2025-01-15' },
+      { title: 'Lab', weight: 40, grade: null, dueDate: '' },
+    ]);
+  expect(imported[0].modules[1]).toMatchObject({ ects: 5, moderatedScore: 55, assessments: [] });
+});
+
+test('CSV export keeps components, pass marks and attempts through an import', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Physics', ects: 10, moderatedScore: null, attempts: [{ id: 3, type: 'resit', date: '2025-08-20', grade: 55, cap: 40 }], assessments: [
+      { id: 4, title: 'Coursework', weight: 40, grade: null, dueDate: '', passMark: null, components: [
+        { id: 5, title: 'Lab 1', weight: 50, grade: 80, dueDate: '2025-02-01', passMark: null },
+        { id: 6, title: 'Lab 2', weight: 50, grade: null, dueDate: '', passMark: null, components: [{ id: 7, title: 'Write-up', weight: 100, grade: 61, dueDate: '', passMark: null }] },
+      ] },
+      { id: 8, title: 'Exam', weight: 60, grade: 35, dueDate: '', passMark: 40, attempts: [{ id: 9, type: 'deferral', date: '', grade: 58, cap: null }] },
+    ] },
+  ] }];
+  const { years: imported, errors } = parseGradesCSV(buildCSV(years));
+  expect(errors).toEqual([]);
+  const withoutIds = (items) => items.map(({ id, components, attempts, ...rest }) => ({
+    ...rest,
+    ...(components && { components: withoutIds(components) }),
+    ...(attempts && { attempts: attempts.map(({ id: attemptId, ...attempt }) => attempt) }),
+  }));
+  const [physics] = imported[0].modules;
+  expect(withoutIds(physics.assessments)).toEqual(withoutIds(years[0].modules[0].assessments));
+  expect(physics.attempts.map(({ type, date, grade, cap }) => ({ type, date, grade, cap }))).toEqual([{ type: 'resit', date: '2025-08-20', grade: 55, cap: 40 }]);
+
+  const ruled = [{ ...years[0], rule: { type: 'bestEcts', ects: 50 }, modules: [{ id: 10, name: 'Ethics', ects: 5, moderatedScore: null, passFail: true, assessments: [] }] }];
+  const [ruledYear] = parseGradesCSV(buildCSV(ruled)).years;
+  expect(ruledYear.rule).toEqual({ type: 'bestEcts', ects: 50 });
+  expect(ruledYear.modules[0].passFail).toBe(true);
+  expect(parseGradesCSV(buildCSV([{ ...ruled[0], rule: { type: 'dropLowest', count: 1 } }])).years[0].rule).toEqual({ type: 'dropLowest', count: 1 });
+
+  const orphan = buildCSV(years).split('\n').filter(row => !row.includes(',"","Coursework",')).join('\n');
+  expect(createLocale().formatMessage(parseGradesCSV(orphan).errors[0])).toBe('Parent "Coursework" has no row above it in this module.');
+});
+
+test('CSV import reports per-row errors and keeps valid rows', () => {
+  const csv = [
+    'Year,Module,ECTS,Moderated Score,Assessment,Due Date,Weight (%),Grade (%)',
+    '"Year 1","Maths",10,,"Exam",2025-01-15,50,abc',
+    '"Year 1","Maths",10,,"Quiz",,50,80',
+    '"Year 1","Maths",10',
+  ].join('\n');
+  const { years, errors } = parseGradesCSV(csv);
+  const { formatMessage } = createLocale();
+  expect(errors.map(({ line, ...message }) => ({ line, message: formatMessage(message) }))).toEqual([
+    { line: 2, message: 'Grade "abc" must be a number between 0 and 100.' },
+    { line: 4, message: 'Expected 8 columns but found 3.' },
+  ]);
+  expect(years[0].modules[0].assessments.map(a => a.title)).toEqual(['Quiz']);
+});
+
+test('CSV rows that disagree about a module are flagged and the first row wins', () => {
+  const csv = [
+    'Year,Module,ECTS,Moderated Score,Assessment,Due Date,Weight (%),Grade (%)',
+    '"Year 1","Maths",10,,"Exam",,50,70',
+    '"Year 1","Maths",5,60,"Quiz",,50,80',
+  ].join('\n');
+  const { years, errors, warnings } = parseGradesCSV(csv);
+  const { formatMessage } = createLocale();
+  expect(errors).toEqual([]);
+  expect(warnings.map(({ line, ...message }) => ({ line, message: formatMessage(message) }))).toEqual([
+    { line: 3, message: 'ECTS "5" differs from "10" on an earlier row for Maths; the earlier value is used.' },
+    { line: 3, message: 'Moderated score "60" differs from "" on an earlier row for Maths; the earlier value is used.' },
+  ]);
+  expect(years[0].modules[0]).toMatchObject({ ects: 10, moderatedScore: null });
+});
+
+test('merging an import updates matching assessments and appends new ones', () => {
+  const current = [{ id: 1, name: 'Year 1', weighting: 7.5, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 3, title: 'Exam', weight: 100, grade: null, dueDate: '' }] },
+  ] }];
+  const incoming = [{ id: 10, name: 'Year 1', weighting: 7.5, collapsed: false, modules: [
+    { id: 11, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 12, title: 'Exam', weight: 100, grade: 65, dueDate: '' }] },
+    { id: 13, name: 'Physics', ects: 5, moderatedScore: null, assessments: [] },
+  ] }];
+  const merged = mergeYears(current, incoming);
+  expect(merged).toHaveLength(1);
+  expect(merged[0].modules.map(m => m.name)).toEqual(['Maths', 'Physics']);
+  expect(merged[0].modules[0].assessments).toEqual([{ id: 3, title: 'Exam', weight: 100, grade: 65, dueDate: '' }]);
+});
+
+test('merging a CSV import takes the counting rule and pass/fail flag, and older files keep them', () => {
+  const current = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, rule: { type: 'bestEcts', ects: 50 }, modules: [
+    { id: 2, name: 'Ethics', ects: 5, moderatedScore: null, passFail: true, assessments: [] },
+  ] }];
+  const exported = [{ ...current[0], rule: { type: 'dropLowest', count: 1 }, modules: [{ ...current[0].modules[0], passFail: false }] }];
+  const [year] = mergeYears(current, parseGradesCSV(buildCSV(exported)).years);
+  expect(year.rule).toEqual({ type: 'dropLowest', count: 1 });
+  expect(year.modules[0].passFail).toBe(false);
+
+  const legacy = ['Year,Module,ECTS,Moderated Score,Assessment,Due Date,Weight (%),Grade (%)', '"Year 1","Ethics",5,,,,,'].join('\n');
+  const [kept] = mergeYears(current, parseGradesCSV(legacy).years);
+  expect(kept.rule).toEqual({ type: 'bestEcts', ects: 50 });
+  expect(kept.modules[0].passFail).toBe(true);
+});
+
+test('merging a CSV import brings module attempts into an existing module', () => {
+  const current = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Physics', ects: 10, moderatedScore: null, assessments: [{ id: 3, title: 'Exam', weight: 100, grade: 35, dueDate: '' }] },
+  ] }];
+  const exported = [{ ...current[0], modules: [{ ...current[0].modules[0], attempts: [{ id: 4, type: 'resit', date: '2025-08-20', grade: 55, cap: 40 }] }] }];
+  const [year] = mergeYears(current, parseGradesCSV(buildCSV(exported)).years);
+  expect(year.modules[0].attempts.map(({ type, date, grade, cap }) => ({ type, date, grade, cap }))).toEqual([{ type: 'resit', date: '2025-08-20', grade: 55, cap: 40 }]);
+  expect(year.modules[0].assessments[0].id).toBe(3);
+});
+
+test('backups round-trip years, scenarios, theme, grading scheme and resit cap, with custom theme data', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 7.5, collapsed: false, modules: [] }];
+  const scenarios = [{ id: 2, name: 'Optimistic', years }];
+  expect(parseBackup(buildBackup({ years, scenarios, theme: 'joshMode', gradingScheme: 'usGpa', resitCap: 35 })))
+    .toEqual({ years, scenarios, theme: 'joshMode', customTheme: null, gradingScheme: 'usGpa', resitCap: 35 });
+  expect(parseBackup(buildBackup({ years, scenarios, resitCap: null })).resitCap).toBeNull();
+  expect(parseBackup(buildBackup({ years, scenarios })).resitCap).toBeUndefined();
+
+  const customTheme = { id: 'custom-7', name: 'Calm', title: 'Progress', subtitle: 'One step at a time.', overallTitle: 'Degree', overallLabel: 'Average:',
+    yearAvgLabel: 'Year:', moduleScoreLabel: 'Module:', targetFormat: '{label}:', feedback: [], palette: ['#0ea5e9', '#22c55e', '#eab308', '#ef4444'] };
+  const restored = parseBackup(buildBackup({ years, scenarios, theme: 'custom-7', customTheme }));
+  expect(restored.theme).toBe('custom-7');
+  expect(restored.customTheme).toEqual({ ...customTheme, id: undefined });
+  const damaged = JSON.parse(buildBackup({ years, scenarios, theme: 'custom-7', customTheme }));
+  damaged.customTheme.palette = [];
+  expect(() => parseBackup(JSON.stringify(damaged))).toThrow('The custom theme is damaged: palette must list 4 colours');
+  expect(() => parseBackup('{not json')).toThrow('The file is not valid JSON.');
+});
+
+test('shows a recovery screen instead of crashing on corrupt saved data', () => {
+  localStorage.setItem('gradeTrackerData', '{"years": [');
+  render(<App />);
+  expect(screen.getByText(/could not be loaded/i)).toBeInTheDocument();
+  expect(localStorage.getItem('gradeTrackerData')).toBe('{"years": [');
+  localStorage.clear();
+});
+
+test('grading schemes classify averages into named bands', () => {
+  expect(getGradeBand('ukHonours', 64.5).label).toBe('Upper Second-Class Honours');
+  expect(getGradeBand('ukHonours', 12).short).toBe('Fail');
+  expect(getGradeBand('usGpa', 88).label).toBe('B+ (3.3 GPA)');
+  expect(getGradeBand('ects', 90).short).toBe('A');
+  expect(getGradeBand('irish', 59.99).short).toBe('H2.2');
+});
+
+test('the Asian Parent theme colours grades by its own thresholds and US GPA shows a credit-weighted GPA', () => {
+  localStorage.clear();
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: 92, assessments: [] },
+    { id: 3, name: 'History', ects: 10, moderatedScore: 85, assessments: [] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  screen.getAllByText('88.50%').forEach(average => expect(average).toHaveStyle({ color: '#16a34a' }));
+  fireEvent.click(screen.getByRole('button', { name: '🩺 Asian Parent' }));
+  screen.getAllByText('88.50%').forEach(average => expect(average).toHaveStyle({ color: '#f97316' }));
+
+  expect(screen.queryByText(/^GPA/)).not.toBeInTheDocument();
+  fireEvent.change(screen.getByDisplayValue('UK Honours'), { target: { value: 'usGpa' } });
+  expect(screen.getByText('GPA 3.35')).toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('edits made in a scenario leave the real record untouched', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 3, title: 'Exam', weight: 100, grade: null, dueDate: '' }] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  fireEvent.click(screen.getByText('+ New Scenario'));
+  fireEvent.change(screen.getAllByPlaceholderText('%')[1], { target: { value: '85' } });
+  const saved = JSON.parse(localStorage.getItem('gradeTrackerData'));
+  expect(saved.years[0].modules[0].assessments[0].grade).toBeNull();
+  expect(saved.scenarios[0].years[0].modules[0].assessments[0].grade).toBe(85);
+  localStorage.clear();
+});
+
+test('scenario comparison includes years and modules that exist only in a scenario', () => {
+  localStorage.clear();
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: 60, assessments: [] },
+  ] }];
+  const scenarioYears = [{ ...years[0], modules: [...years[0].modules, { id: 3, name: 'Elective', ects: 10, moderatedScore: 80, assessments: [] }] },
+    { id: 4, name: 'Year 2', weighting: 0, collapsed: false, modules: [] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [{ id: 5, name: 'Extra module', years: scenarioYears }] }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Compare Scenarios' }));
+  const elective = screen.getByRole('row', { name: /^Elective/ });
+  expect(elective).toHaveTextContent('Elective—80.00%');
+  expect(screen.getByRole('cell', { name: 'Year 2' })).toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('deleted assessments can be restored from the undo toast and keyboard', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 3, title: 'Exam', weight: 100, grade: null, dueDate: '' }] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Delete assessment' }));
+  expect(screen.queryByDisplayValue('Exam')).not.toBeInTheDocument();
+  fireEvent.click(screen.getByText('Undo'));
+  expect(screen.getByDisplayValue('Exam')).toBeInTheDocument();
+  fireEvent.keyDown(window, { key: 'Z', ctrlKey: true, shiftKey: true });
+  expect(screen.queryByDisplayValue('Exam')).not.toBeInTheDocument();
+  fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+  expect(screen.getByDisplayValue('Exam')).toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('undo shortcuts leave text fields and open dialogs alone', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 3, title: 'Exam', weight: 100, grade: null, dueDate: '' }] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Delete assessment' }));
+  fireEvent.keyDown(screen.getByDisplayValue('Maths'), { key: 'z', ctrlKey: true });
+  expect(screen.queryByDisplayValue('Exam')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Grid Entry' }));
+  fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+  fireEvent.click(screen.getByRole('button', { name: 'Close' }));
+  expect(screen.queryByDisplayValue('Exam')).not.toBeInTheDocument();
+
+  fireEvent.keyDown(window, { key: 'z', ctrlKey: true });
+  expect(screen.getByDisplayValue('Exam')).toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('iCalendar export round-trips through import, matching assessments by UID', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths; Stats', ects: 10, moderatedScore: null, assessments: [
+      { id: 3, title: 'Exam, final', weight: 60, grade: 71, dueDate: '2025-05-20' },
+      { id: 4, title: 'Undated', weight: 40, grade: null, dueDate: '' },
+    ] },
+  ] }];
+  const ics = buildICS(years, 'all', new Date(Date.UTC(2025, 0, 1)));
+  expect(ics).toContain('UID:assessment-3@grades-tracker\r\n');
+  expect(ics).toContain('DTSTART;VALUE=DATE:20250520\r\nDTEND;VALUE=DATE:20250521');
+  expect(ics).toContain('SUMMARY:Maths\\; Stats: Exam\\, final');
+  expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+  expect(buildICS(years, 'module-99')).not.toContain('BEGIN:VEVENT');
+
+  const events = parseICS(ics);
+  expect(events).toEqual([expect.objectContaining({ uid: 'assessment-3@grades-tracker', summary: 'Maths; Stats: Exam, final', dueDate: '2025-05-20' })]);
+
+  const timetable = [
+    { uid: 'assessment-3@grades-tracker', dueDate: '2025-05-27', summary: 'Maths; Stats: Exam, final' },
+    { uid: 'lab-7@uni.example', dueDate: '2025-03-01', summary: 'Maths; Stats: Lab 7' },
+    { uid: 'talk@uni.example', dueDate: '2025-03-02', summary: 'Guest talk' },
+  ];
+  const result = applyICSImport(years, timetable);
+  expect(result).toMatchObject({ updated: 1, created: 1, skipped: 1 });
+  expect(result.years[0].modules[0].assessments.map(a => [a.title, a.dueDate])).toEqual([
+    ['Exam, final', '2025-05-27'], ['Undated', ''], ['Lab 7', '2025-03-01'],
+  ]);
+  expect(applyICSImport(result.years, timetable.slice(1, 2)).updated).toBe(1);
+});
+
+test('deadlines are sorted and ungraded past ones are flagged overdue', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [
+      { id: 3, title: 'Late', weight: 50, grade: null, dueDate: '2025-03-01' },
+      { id: 4, title: 'Marked', weight: 25, grade: 60, dueDate: '2025-02-01' },
+      { id: 5, title: 'Next', weight: 25, grade: null, dueDate: '2025-04-01' },
+    ] },
+  ] }];
+  expect(collectDeadlines(years, '2025-03-15').map(d => [d.assessment.title, d.overdue])).toEqual([
+    ['Marked', false], ['Late', true], ['Next', false],
+  ]);
+});
+
+test('selecting an upcoming deadline expands its year and focuses the assessment', () => {
+  const soon = new Date();
+  soon.setDate(soon.getDate() + 2);
+  const dueDate = `${soon.getFullYear()}-${String(soon.getMonth() + 1).padStart(2, '0')}-${String(soon.getDate()).padStart(2, '0')}`;
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: true, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 3, title: 'Essay', weight: 100, grade: null, dueDate }] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: new RegExp(`Essay.*${dueDate}`) }));
+  expect(screen.getByDisplayValue('Essay')).toHaveFocus();
+  expect(JSON.parse(localStorage.getItem('gradeTrackerData')).years[0].collapsed).toBe(false);
+  localStorage.clear();
+});
+
+test('v2 saves have their numeric strings converted and the integrity report lists what is left', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: '60', collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: '0', moderatedScore: '', assessments: [
+      { id: 3, title: 'Exam', weight: '70', grade: 'abc', dueDate: '2025-01-10' },
+      { id: 3, title: 'Quiz', weight: '20', grade: '55', dueDate: '' },
+    ] },
+  ] }];
+  const doc = migrateDocument({ schemaVersion: 2, years, scenarios: [] });
+  const module = doc.years[0].modules[0];
+  expect([doc.years[0].weighting, module.ects, module.moderatedScore]).toEqual([60, 0, null]);
+  expect(module.assessments.map(a => [a.weight, a.grade])).toEqual([[70, 'abc'], [20, 55]]);
+
+  expect(getIntegrityIssues(doc.years, '2025-03-15').map(createLocale().formatMessage)).toEqual([
+    'Year weightings sum to 60%, not 100%.',
+    'Year 1 › Maths ECTS: Must be greater than 0.',
+    'Year 1 › Maths: weights sum to 90%, not 100%.',
+    'Year 1 › Maths › Exam grade: Enter a number.',
+    'Year 1 › Maths › Exam was due on 2025-01-10 but still has no grade.',
+    'Year 1 › Maths › Quiz has the same ID (3) as Year 1 › Maths › Exam.',
+  ]);
+});
+
+test('invalid numbers show an inline error and are not saved', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 3, title: 'Essay', weight: 100, grade: 50, dueDate: '' }] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  const grade = screen.getByDisplayValue('50');
+  fireEvent.change(grade, { target: { value: '150' } });
+  expect(screen.getByText('Must be between 0 and 100.')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('gradeTrackerData')).years[0].modules[0].assessments[0].grade).toBe(50);
+  fireEvent.change(grade, { target: { value: '65.5' } });
+  expect(screen.queryByText('Must be between 0 and 100.')).not.toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('gradeTrackerData')).years[0].modules[0].assessments[0].grade).toBe(65.5);
+  localStorage.clear();
+});
+
+test('the original record becomes the first profile and each profile keeps its own years and settings', () => {
+  localStorage.clear();
+  const years = [{ id: 1, name: 'Undergrad Year 1', weighting: 100, collapsed: false, modules: [] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  localStorage.setItem('gradingScheme', 'irish');
+  render(<App />);
+  expect(within(screen.getByRole('banner')).getByRole('combobox', { name: 'Active profile' })).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Undergrad Year 1')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Irish Honours')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: '+ New Profile' }));
+  fireEvent.change(screen.getByRole('textbox', { name: 'Profile name' }), { target: { value: 'Masters' } });
+  expect(screen.queryByDisplayValue('Undergrad Year 1')).not.toBeInTheDocument();
+  expect(screen.getByDisplayValue('UK Honours')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Add Academic Year' }));
+
+  const { activeProfileId, profiles } = JSON.parse(localStorage.getItem('gradeTrackerProfiles'));
+  expect(profiles.map(p => [p.name, p.settings.gradingScheme])).toEqual([['My Grades', 'irish'], ['Masters', 'ukHonours']]);
+  expect(JSON.parse(localStorage.getItem(`gradeTrackerData:${activeProfileId}`)).years.map(y => y.name)).toEqual(['Year 1']);
+  expect(JSON.parse(localStorage.getItem('gradeTrackerData')).years).toEqual(years);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Active profile' }), { target: { value: String(profiles[0].id) } });
+  expect(screen.getByDisplayValue('Undergrad Year 1')).toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('the analytics sensitivity view jumps to the assessment it ranks', () => {
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [
+      { id: 3, title: 'Quiz', weight: 20, grade: 70, dueDate: '2025-01-10' },
+      { id: 4, title: 'Final', weight: 80, grade: null, dueDate: '' },
+    ] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'View Analytics' }));
+  expect(screen.getByRole('img', { name: 'Grades over time' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Sensitivity' }));
+  fireEvent.click(screen.getByRole('button', { name: /Final.*±8\.00/ }));
+  expect(screen.getByDisplayValue('Final')).toHaveFocus();
+  localStorage.clear();
+});
+
+test('theme files round-trip and bad ones are rejected with a reason', () => {
+  const theme = {
+    id: 'custom-1', name: 'Calm', title: 'Progress', subtitle: 'One step at a time.', overallTitle: 'Degree', overallLabel: 'Average:',
+    yearAvgLabel: 'Year:', moduleScoreLabel: 'Module:', targetFormat: '{name} ≥ {grade}%', targetNames: ['Dream'],
+    feedback: [{ min: 40, message: 'On track.' }, { min: 70, message: 'Superb.' }],
+    palette: ['#0ea5e9', '#22c55e', '#eab308', '#ef4444'],
+  };
+  const parsed = parseThemeFile(buildThemeFile(theme));
+  expect(parsed.id).toBeUndefined();
+  expect(parsed.feedback.map(rule => rule.min)).toEqual([70, 40]);
+  expect([getFeedback(parsed, 75), getFeedback(parsed, 55), getFeedback(parsed, 10)]).toEqual(['Superb.', 'On track.', '']);
+  expect(formatTarget(parsed, { label: '1st', grade: 70 }, 0)).toBe('Dream ≥ 70%');
+  expect(formatTarget(parsed, { label: '2:1', grade: 60 }, 1)).toBe('2:1 ≥ 60%');
+
+  expect(() => parseThemeFile('{"format":"something-else"}')).toThrow('This is not a Grades Tracker theme file.');
+  const badPalette = JSON.parse(buildThemeFile(theme));
+  badPalette.theme.palette = ['red'];
+  expect(() => parseThemeFile(JSON.stringify(badPalette))).toThrow(/palette must list 4 colours/);
+  expect(parseThemeFile(buildThemeFile({ ...theme, colorBands: ['95', 90, 80] })).colorBands).toEqual([95, 90, 80]);
+  expect(() => parseThemeFile(buildThemeFile({ ...theme, colorBands: [95] }))).toThrow(/colorBands must list 3 minimum grades/);
+  expect(() => parseThemeFile(buildThemeFile({ ...theme, targets: [] }))).toThrow(/targets must be a non-empty list/);
+});
+
+test('a saved theme without targets still renders the goal solver and modules', () => {
+  localStorage.clear();
+  const theme = {
+    id: 'custom-1', name: 'Bare', title: 'Bare', subtitle: '', overallTitle: 'Degree', overallLabel: 'Average:',
+    yearAvgLabel: 'Year:', moduleScoreLabel: 'Module:', targetFormat: '{label}', targets: [],
+    feedback: [], palette: ['#0ea5e9', '#22c55e', '#eab308', '#ef4444'],
+  };
+  localStorage.setItem('customThemes', JSON.stringify([theme]));
+  localStorage.setItem('gradeTrackerProfiles', JSON.stringify({ activeProfileId: 1, profiles: [
+    { id: 1, name: 'My Grades', storageKey: 'gradeTrackerData', settings: { theme: 'custom-1', gradingScheme: 'ukHonours' } },
+  ] }));
+  const years = [{ id: 2, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 3, name: 'Maths', ects: 10, moderatedScore: null, assessments: [{ id: 4, title: 'Exam', weight: 100, grade: null, dueDate: '' }] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+
+  expect(screen.getByRole('heading', { name: 'What Do I Need?' })).toBeInTheDocument();
+  expect(screen.getByDisplayValue('Maths')).toBeInTheDocument();
+  expect(screen.queryByText('Target Grade Calculator')).not.toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('a theme created in the editor is saved and selected', () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '+ New Theme' }));
+  fireEvent.change(screen.getByDisplayValue('Default (custom)'), { target: { value: 'Exam Season' } });
+  fireEvent.change(screen.getByDisplayValue('Grades Tracker'), { target: { value: 'Survival Mode' } });
+  expect(screen.getByLabelText('Theme preview')).toHaveTextContent('Survival Mode');
+  fireEvent.click(screen.getByRole('button', { name: 'Save Theme' }));
+
+  expect(screen.getByRole('heading', { level: 1 })).toHaveTextContent('Survival Mode');
+  expect(screen.getByRole('button', { name: 'Exam Season' })).toBeInTheDocument();
+  const [saved] = JSON.parse(localStorage.getItem('customThemes'));
+  expect(saved).toMatchObject({ name: 'Exam Season', title: 'Survival Mode' });
+  expect(JSON.parse(localStorage.getItem('gradeTrackerProfiles')).profiles[0].settings.theme).toBe(saved.id);
+  localStorage.clear();
+});
+
+test('the theme editor shows, edits and clears colour thresholds and targets', () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '🩺 Asian Parent' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ New Theme' }));
+  expect(screen.getByRole('checkbox', { name: 'Own colour thresholds' })).toBeChecked();
+  expect(screen.getByRole('textbox', { name: 'Best from (%)' })).toHaveValue('95');
+  expect(screen.getAllByRole('textbox', { name: 'Target label' }).map(input => input.value)).toEqual(['For Doctor', 'To Avoid Disgrace']);
+  fireEvent.change(screen.getAllByRole('textbox', { name: 'Target grade (%)' })[1], { target: { value: '85' } });
+  fireEvent.click(screen.getAllByRole('button', { name: 'Remove target' })[0]);
+  fireEvent.change(screen.getByRole('textbox', { name: 'Target name' }), { target: { value: 'Respectable' } });
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Own colour thresholds' }));
+  fireEvent.change(screen.getByDisplayValue('{label} ({grade}%):'), { target: { value: '{name} ({grade}%):' } });
+  expect(screen.getByLabelText('Theme preview')).toHaveTextContent('Respectable (85%):');
+  fireEvent.click(screen.getByRole('button', { name: 'Save Theme' }));
+
+  let [saved] = JSON.parse(localStorage.getItem('customThemes'));
+  expect(saved.colorBands).toBeUndefined();
+  expect(saved.targets).toEqual([{ label: 'To Avoid Disgrace', grade: 85 }]);
+  expect(saved.targetNames).toEqual(['Respectable']);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit Theme' }));
+  fireEvent.click(screen.getByRole('button', { name: "Use the Scheme's Targets" }));
+  expect(screen.getByText("Following the grading scheme's targets.")).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Save Theme' }));
+  [saved] = JSON.parse(localStorage.getItem('customThemes'));
+  expect(saved.targets).toBeUndefined();
+  expect(parseThemeFile(buildThemeFile(saved)).targetNames).toEqual(['Respectable']);
+  localStorage.clear();
+});
+
+test('degree templates relabel existing years by position and add the missing ones', () => {
+  const years = [{ id: 1, name: 'First', weighting: 10, collapsed: false, modules: [{ id: 2, name: 'Maths' }] }];
+  const template = { id: 'custom-1', name: 'Two years', years: [{ name: 'Year 1', weighting: 0 }, { name: 'Year 2', weighting: 100, rule: { type: 'bestEcts', ects: 50 } }] };
+  const applied = applyDegreeTemplate(years, template);
+  expect(applied.map(y => [y.name, y.weighting, y.rule.type, y.modules.length])).toEqual([['Year 1', 0, 'all', 1], ['Year 2', 100, 'bestEcts', 0]]);
+  expect(applied[0].id).toBe(1);
+  expect(applyDegreeTemplate([...applied, { id: 9, name: 'Extra', weighting: 0, modules: [] }], template)[2].name).toBe('Extra');
+});
+
+test('a year rule drops the lowest module and a template restructures the years', () => {
+  localStorage.clear();
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: 70, assessments: [] },
+    { id: 3, name: 'Physics', ects: 10, moderatedScore: 50, assessments: [] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Year 1 counting rule' }), { target: { value: 'dropLowest' } });
+  expect(screen.getByText('(Dropped)')).toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('gradeTrackerData')).years[0].rule).toEqual({ type: 'dropLowest', count: 1 });
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Degree structure' }), { target: { value: 'placement' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Apply to Years' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Apply' }));
+  expect(screen.getByDisplayValue('Placement Year')).toBeInTheDocument();
+  const saved = JSON.parse(localStorage.getItem('gradeTrackerData')).years;
+  expect(saved.map(y => [y.name, y.weighting, y.modules.length])).toEqual([['Year 1', 0, 2], ['Year 2', 40, 0], ['Placement Year', 0, 0], ['Final Year', 60, 0]]);
+  expect(JSON.parse(localStorage.getItem('gradeTrackerProfiles')).profiles[0].settings.degreeTemplate).toBe('placement');
+  localStorage.clear();
+});
+
+const shareYears = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: true, modules: [
+  { id: 2, name: 'Ethics', ects: 10, moderatedScore: null, assessments: [
+    { id: 3, title: 'Essay', weight: 50, grade: 80, dueDate: '' },
+    { id: 4, title: 'Exam', weight: 50, grade: 60, dueDate: '' },
+  ] },
+] }];
+
+test('share links can hide marks and names and round-trip through the fragment', async () => {
+  const hidden = buildSharePayload(shareYears, { gradingScheme: 'ects', hideGrades: true, hideNames: true });
+  const [module] = hidden.years[0].modules;
+  expect(module).toMatchObject({ name: 'Module 1', moderatedScore: 70 });
+  expect(module.assessments.map(a => [a.title, a.grade])).toEqual([['Assessment 1', null], ['Assessment 2', null]]);
+
+  const theme = {
+    id: 'custom-1', name: 'Ünïcode', title: 'Progrès', subtitle: '', overallTitle: 'Degree', overallLabel: 'Average:',
+    yearAvgLabel: 'Year:', moduleScoreLabel: 'Module:', targetFormat: '{label}', feedback: [], palette: ['#0ea5e9', '#22c55e', '#eab308', '#ef4444'],
+  };
+  const encoded = await encodeShare(buildSharePayload(shareYears, { gradingScheme: 'ects', theme }));
+  expect(encoded).toMatch(/^[jz]\.[A-Za-z0-9_-]+$/);
+  const decoded = await decodeShare(encoded);
+  expect(decoded.years[0].modules[0].assessments[0].grade).toBe(80);
+  expect(decoded.gradingScheme).toBe('ects');
+  expect(decoded.theme).toMatchObject({ id: 'shared', title: 'Progrès' });
+
+  await expect(decodeShare('j.bm90IGpzb24')).rejects.toThrow('The link is incomplete or damaged.');
+  await expect(decodeShare('x.abc')).rejects.toThrow('This is not a Grades Tracker share link.');
+});
+
+test('opening a share link shows a read-only view that can be imported as a profile', async () => {
+  localStorage.clear();
+  window.history.replaceState(null, '', `/#share=${await encodeShare(buildSharePayload(shareYears, { gradingScheme: 'ukHonours' }))}`);
+  render(<App />);
+  expect(await screen.findByRole('status')).toHaveTextContent('read-only copy');
+  expect(screen.getByText('Essay (50%)')).toBeInTheDocument();
+  expect(screen.queryByRole('textbox')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Import as New Profile' }));
+  expect(window.location.hash).toBe('');
+  expect(screen.getByRole('textbox', { name: 'Profile name' })).toHaveValue('Shared grades');
+  expect(screen.getByDisplayValue('Essay')).toBeInTheDocument();
+  const { profiles } = JSON.parse(localStorage.getItem('gradeTrackerProfiles'));
+  expect(profiles.map(p => p.name)).toEqual(['My Grades', 'Shared grades']);
+  await waitFor(() => expect(JSON.parse(localStorage.getItem(profiles[1].storageKey)).years[0].modules[0].name).toBe('Ethics'));
+  localStorage.clear();
+});
+
+test('a share link opened in a running tab replaces the tracker with the shared view', async () => {
+  localStorage.clear();
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  window.history.replaceState(null, '', `/#share=${await encodeShare(buildSharePayload(shareYears, { gradingScheme: 'ukHonours' }))}`);
+  act(() => { window.dispatchEvent(new HashChangeEvent('hashchange')); });
+  expect(await screen.findByRole('status')).toHaveTextContent('read-only copy');
+  fireEvent.click(screen.getByRole('button', { name: 'Open My Tracker' }));
+  expect(window.location.hash).toBe('');
+  localStorage.clear();
+});
+
+test('copying a share link without clipboard access points to the text field', async () => {
+  localStorage.clear();
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Share' }));
+  const copy = screen.getByRole('button', { name: 'Copy Link' });
+  await waitFor(() => expect(copy).toBeEnabled());
+  fireEvent.click(copy);
+  expect(screen.getByRole('alert')).toHaveTextContent('Select the link above and copy it yourself.');
+
+  Object.defineProperty(navigator, 'clipboard', { configurable: true, value: { writeText: jest.fn().mockRejectedValue(new Error('denied')) } });
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Include my theme' }));
+  await waitFor(() => expect(screen.queryByRole('alert')).not.toBeInTheDocument());
+  fireEvent.click(copy);
+  expect(await screen.findByRole('alert')).toHaveTextContent("Couldn't copy automatically.");
+  expect(copy).toHaveTextContent('Copy Link');
+  delete navigator.clipboard;
+  localStorage.clear();
+});
+
+test('saves from another tab replace the open profile and its profile list without switching profiles', async () => {
+  localStorage.clear();
+  await openStorage();
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Add Academic Year' }));
+  expect(screen.getByDisplayValue('Year 1')).toBeInTheDocument();
+
+  const remote = { schemaVersion: SCHEMA_VERSION, scenarios: [], years: [{ id: 7, name: 'Edited Elsewhere', weighting: 100, collapsed: false, modules: [] }] };
+  fireEvent(window, new StorageEvent('storage', { key: 'gradeTrackerData', newValue: JSON.stringify(remote) }));
+  expect(screen.getByDisplayValue('Edited Elsewhere')).toBeInTheDocument();
+  expect(screen.queryByDisplayValue('Year 1')).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /Undo/ })).toBeDisabled();
+
+  const registry = JSON.parse(localStorage.getItem('gradeTrackerProfiles'));
+  const remoteRegistry = { activeProfileId: 99, profiles: [...registry.profiles, { id: 99, name: 'Other Tab', storageKey: 'gradeTrackerData:99', settings: {} }] };
+  localStorage.setItem('gradeTrackerProfiles', JSON.stringify(remoteRegistry));
+  fireEvent(window, new StorageEvent('storage', { key: 'gradeTrackerProfiles', newValue: JSON.stringify(remoteRegistry) }));
+  expect(screen.getByRole('option', { name: 'Other Tab' })).toBeInTheDocument();
+  expect(screen.getByRole('textbox', { name: 'Profile name' })).toHaveValue('My Grades');
+  expect(JSON.parse(localStorage.getItem('gradeTrackerProfiles')).activeProfileId).toBe(99);
+  localStorage.clear();
+});
+
+test('the transcript lists modules with bands and outstanding targets, and prints', () => {
+  localStorage.clear();
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: 72, assessments: [] },
+    { id: 3, name: 'Physics', ects: 10, moderatedScore: null, assessments: [
+      { id: 4, title: 'Midterm', weight: 50, grade: 60, dueDate: '' },
+      { id: 5, title: 'Final', weight: 50, grade: null, dueDate: '' },
+    ] },
+    { id: 6, name: 'Chemistry', ects: 10, moderatedScore: null, attempts: [{ id: 10, type: 'deferral', date: '', grade: 55, cap: null }], assessments: [
+      { id: 7, title: 'Lab', weight: 100, components: [
+        { id: 8, title: 'Report', weight: 100, grade: 30, dueDate: '', attempts: [{ id: 9, type: 'resit', date: '2025-08-20', grade: 70, cap: 40 }] },
+      ] },
+    ] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  const print = jest.spyOn(window, 'print').mockImplementation(() => {});
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Generate Report' }));
+
+  const transcript = screen.getByRole('article', { name: 'Transcript' });
+  expect(transcript).toHaveTextContent('Academic Transcript');
+  expect(screen.getByRole('row', { name: /Maths 10 72\.00% 1st Moderated/ })).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: /Year 1 › Physics 80\.00% 60\.00%/ })).toBeInTheDocument();
+  expect(transcript).not.toHaveTextContent('Midterm');
+
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Include assessment detail' }));
+  expect(screen.getByRole('row', { name: /Midterm 50% 60\.00%/ })).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: /^Lab 100% 40\.00%/ })).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: /^Report 100% 40\.00% First sit 30\.00%/ })).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: /^Resit 2025-08-20 40\.00% Capped at 40% \(raw 70\.00%\)/ })).toBeInTheDocument();
+  expect(screen.getByRole('row', { name: /^Module Deferral 55\.00%/ })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Use theme labels' }));
+  expect(screen.getByRole('columnheader', { name: 'For 1st (70%)' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Print / Save as PDF' }));
+  expect(print).toHaveBeenCalled();
+  print.mockRestore();
+  localStorage.clear();
+});
+
+test('grid changes write back into nested assessments', () => {
+  const years = [{ id: 1, name: 'Year 1', modules: [{ id: 2, name: 'Maths', assessments: [
+    { id: 3, title: 'Exams', weight: 100, components: [{ id: 4, title: 'Paper 1', weight: 100, grade: null }] },
+  ] }] }];
+  const next = applyGridChanges(years, [{ id: 4, field: 'grade', value: 66 }, { id: 4, field: 'dueDate', value: '2025-06-01' }]);
+  expect(next[0].modules[0].assessments[0].components[0]).toEqual({ id: 4, title: 'Paper 1', weight: 100, grade: 66, dueDate: '2025-06-01' });
+  expect(years[0].modules[0].assessments[0].components[0].grade).toBeNull();
+});
+
+test('the grid edits, navigates, pastes blocks, fills down and filters every assessment', () => {
+  localStorage.clear();
+  const years = [
+    { id: 1, name: 'Year 1', weighting: 50, collapsed: false, modules: [{ id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [
+      { id: 3, title: 'Quiz', weight: 20, grade: 90, dueDate: '2025-03-01' },
+      { id: 4, title: 'Exam', weight: 80, grade: null, dueDate: '' },
+    ] }] },
+    { id: 5, name: 'Year 2', weighting: 50, collapsed: false, modules: [{ id: 6, name: 'Physics', ects: 10, moderatedScore: null, assessments: [
+      { id: 7, title: 'Lab', weight: 100, grade: null, dueDate: '2025-01-15' },
+    ] }] },
+  ];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  const saved = () => JSON.parse(localStorage.getItem('gradeTrackerData')).years.flatMap(y => y.modules.flatMap(m => m.assessments));
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Grid Entry' }));
+
+  const quizGrade = screen.getByRole('textbox', { name: 'Quiz Grade (%)' });
+  act(() => quizGrade.focus());
+  fireEvent.keyDown(quizGrade, { key: 'ArrowDown' });
+  expect(screen.getByRole('textbox', { name: 'Exam Grade (%)' })).toHaveFocus();
+  fireEvent.change(screen.getByRole('textbox', { name: 'Exam Grade (%)' }), { target: { value: '71' } });
+  expect(saved().find(a => a.id === 4).grade).toBe(71);
+
+  fireEvent.paste(quizGrade, { clipboardData: { getData: () => '65%\t2025-01-10\nabc\t2025-02-01\n' } });
+  expect(saved().map(a => [a.title, a.grade, a.dueDate])).toEqual([['Quiz', 65, '2025-01-10'], ['Exam', 71, '2025-02-01'], ['Lab', null, '2025-01-15']]);
+  expect(screen.getByText(/Pasted 3 cells; 1 skipped/)).toBeInTheDocument();
+
+  fireEvent.focus(screen.getByRole('textbox', { name: 'Quiz Due Date' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Fill Down' }));
+  expect(saved().map(a => a.dueDate)).toEqual(['2025-01-10', '2025-01-10', '2025-01-10']);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Graded filter' }), { target: { value: 'ungraded' } });
+  expect(screen.getAllByRole('textbox', { name: /Grade/ }).map(input => input.getAttribute('aria-label'))).toEqual(['Lab Grade (%)']);
+  localStorage.clear();
+});
+
+test('locales translate, read and write decimals and format dates', () => {
+  const de = createLocale({ language: 'de', weekStart: 1, dateFormat: 'dmy' });
+  expect(de.t('Add Module')).toBe('Modul hinzufügen');
+  expect(de.t('Nothing due in the next {days} days.', { days: 7 })).toBe('In den nächsten 7 Tagen ist nichts fällig.');
+  expect(de.t('Not yet translated')).toBe('Not yet translated');
+  expect(de.toDecimalText('67,5')).toBe('67.5');
+  expect(de.formatInput(67.5)).toBe('67,5');
+  expect(de.formatTargetGrade('45.00%')).toBe('45,00%');
+  expect(de.formatDate('2025-03-01')).toBe('01/03/2025');
+  expect(de.weekdayNames[0]).toBe('Mo');
+
+  const en = createLocale();
+  expect(en.toDecimalText('67,5')).toBe('67,5');
+  expect(en.formatDate('2025-03-01')).toBe('2025-03-01');
+  expect(en.weekdayNames[0]).toBe('Sun');
+});
+
+test('data check and CSV messages are translated and formatted when shown', () => {
+  const de = createLocale({ language: 'de', dateFormat: 'dmy' });
+  const years = [{ id: 1, name: 'Jahr 1', weighting: 62.5, collapsed: false, modules: [
+    { id: 2, name: 'Mathe', ects: 10, moderatedScore: null, attempts: [{ id: 3, type: 'resit', date: '', grade: 'x', cap: null }], assessments: [
+      { id: 4, title: 'Klausur', weight: 100, grade: null, dueDate: '2025-01-10' },
+    ] },
+  ] }];
+  expect(getIntegrityIssues(years, '2025-03-15').map(de.formatMessage)).toEqual([
+    'Die Gewichtungen der Jahre ergeben 62,5 %, nicht 100 %.',
+    'Jahr 1 › Mathe Versuch 1 Note: Bitte eine Zahl eingeben.',
+    'Jahr 1 › Mathe › Klausur war am 10/01/2025 fällig, hat aber noch keine Note.',
+  ]);
+
+  const csv = ['Year,Module,ECTS,Moderated Score,Assessment,Due Date,Weight (%),Grade (%)', '"Jahr 1","Mathe",10,,"Klausur",,50,80', '"Jahr 1","Mathe",10.5,,"Test",,50,80', '"Jahr 1","Mathe",10,,"Quiz",,50,abc'].join('\n');
+  const { errors, warnings } = parseGradesCSV(csv);
+  expect(errors.map(de.formatMessage)).toEqual(['Note „abc“ muss eine Zahl zwischen 0 und 100 sein.']);
+  expect(warnings.map(de.formatMessage)).toEqual(['ECTS „10,5“ weicht von „10“ in einer früheren Zeile für Mathe ab; der frühere Wert wird verwendet.']);
+});
+
+test('choosing German translates the tracker, accepts comma decimals and persists with the profile', () => {
+  localStorage.clear();
+  const years = [{ id: 1, name: 'Year 1', weighting: 100, collapsed: false, modules: [
+    { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [] },
+  ] }];
+  localStorage.setItem('gradeTrackerData', JSON.stringify({ schemaVersion: SCHEMA_VERSION, years, scenarios: [] }));
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Language' }), { target: { value: 'de' } });
+  expect(screen.getByRole('button', { name: 'Studienjahr hinzufügen' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText('Ende %'), { target: { value: '67,5' } });
+  expect(JSON.parse(localStorage.getItem('gradeTrackerData')).years[0].modules[0].moderatedScore).toBe(67.5);
+  expect(screen.getAllByText('67,50%').length).toBeGreaterThan(0);
+  fireEvent.change(screen.getByPlaceholderText('Ende %'), { target: { value: '67.5.1' } });
+  expect(screen.getByText('Bitte eine Zahl eingeben.')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Erster Tag der Woche' }), { target: { value: '1' } });
+  expect(JSON.parse(localStorage.getItem('gradeTrackerProfiles')).profiles[0].settings).toMatchObject({ language: 'de', weekStart: 1 });
+  fireEvent.click(screen.getByRole('button', { name: 'Kalender anzeigen' }));
+  expect(screen.getAllByText(/^(Mo|Di|Mi|Do|Fr|Sa|So)$/).map(day => day.textContent)).toEqual(['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So']);
+  fireEvent.click(screen.getByRole('button', { name: 'Schließen' }));
+
+  expect(screen.getByRole('button', { name: 'Duplizieren' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Bericht erstellen' }));
+  const transcript = screen.getByRole('article', { name: 'Notenauszug' });
+  expect(transcript).toHaveTextContent(/Erstellt am \d/);
+  expect(within(transcript).getByRole('row', { name: /^Maths 10 67,50% .* Festgesetzt$/ })).toBeInTheDocument();
+  localStorage.clear();
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+// Prints module, year and degree averages with target grades for one or more exported
+// tracker files (a "Download Backup" file or a raw saved document).
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { buildReport, getSchemeTargets, gradingSchemes, migrateDocument } from './index.js';
+
+const USAGE = `Usage: grades-report [--json] [--scheme <${Object.keys(gradingSchemes).join('|')}>] <file>...`;
+
+const parseArgs = (args) => {
+    const options = { json: false, scheme: null, files: [] };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--json') options.json = true;
+        else if (arg === '--scheme') options.scheme = args[++i];
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}.`);
+        else options.files.push(arg);
+    }
+    if (options.scheme !== null && !gradingSchemes[options.scheme]) throw new Error(`Unknown grading scheme "${options.scheme}".`);
+    return options;
+};
+
+const readReport = (file, scheme) => {
+    let data;
+    try {
+        data = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(error.code === 'ENOENT' ? 'File not found.' : 'The file is not valid JSON.');
+    }
+    const doc = migrateDocument(data);
+    // Backups remember the student's chosen scheme; --scheme overrides it.
+    const schemeKey = scheme ?? (gradingSchemes[data.gradingScheme] ? data.gradingScheme : 'ukHonours');
+    return { file, ...buildReport(doc.years, schemeKey) };
+};
+
+const formatPercent = (value) => `${value.toFixed(2)}%`;
+
+const formatTable = (rows) => {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+    return rows.map(row => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd()).join('\n');
+};
+
+const renderReport = (report) => {
+    const targetLabels = getSchemeTargets(report.scheme).map(target => target.label);
+    const rows = [['Year / Module', 'ECTS', 'Weight', 'Average', 'Band', ...targetLabels.map(label => `For ${label}`), 'Failed']];
+    report.years.forEach(year => {
+        rows.push([year.name, '', `${year.weighting}%`, formatPercent(year.average), year.band, ...targetLabels.map(() => ''), '']);
+        year.modules.forEach(module => rows.push([
+            `  ${module.name}`, module.ects, '', formatPercent(module.average), module.band,
+            ...targetLabels.map(label => module.targets[label]), module.failedComponents.join(', '),
+        ]));
+    });
+    const degreeBand = report.degree.gpa === undefined ? report.degree.band : `${report.degree.band} (GPA ${report.degree.gpa.toFixed(2)})`;
+    rows.push(['Degree', '', '', formatPercent(report.degree.average), degreeBand, ...targetLabels.map(() => ''), '']);
+    return `${basename(report.file)} (${gradingSchemes[report.scheme].name})\n${formatTable(rows)}`;
+};
+
+const main = (args) => {
+    let options;
+    try {
+        options = parseArgs(args);
+    } catch (error) {
+        console.error(`${error.message}\n${USAGE}`);
+        return 2;
+    }
+    if (options.help || options.files.length === 0) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const reports = [];
+    let failed = false;
+    options.files.forEach(file => {
+        try {
+            reports.push(readReport(file, options.scheme));
+        } catch (error) {
+            console.error(`${file}: ${error.message}`);
+            failed = true;
+        }
+    });
+    console.log(options.json ? JSON.stringify(reports, null, 2) : reports.map(renderReport).join('\n\n'));
+    return failed ? 1 : 0;
+};
+
+process.exitCode = main(process.argv.slice(2));
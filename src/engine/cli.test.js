@@ -0,0 +1,87 @@
+import { spawnSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// The CLI is an ES module that runs on load, so it is exercised the way `npm run report` runs it.
+const runReport = (...args) => {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [join(__dirname, 'cli.js'), ...args], { encoding: 'utf8' });
+  return { status, stdout, stderr };
+};
+
+let dir;
+const writeFile = (name, contents) => {
+  const file = join(dir, name);
+  writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  return file;
+};
+
+const years = [{ id: 1, name: 'Year 1', weighting: 100, modules: [
+  { id: 2, name: 'Maths', ects: 10, moderatedScore: null, assessments: [
+    { id: 3, title: 'Exam', weight: 60, grade: 70, dueDate: '' },
+    { id: 4, title: 'Coursework', weight: 40, grade: null, dueDate: '' },
+  ] },
+  { id: 5, name: 'Physics', ects: 10, moderatedScore: null, assessments: [
+    { id: 6, title: 'Exam', weight: 100, grade: 30, dueDate: '', passMark: 40 },
+  ] },
+] }];
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'grades-report-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+test('prints a table of modules, years and the degree with targets and failed components', () => {
+  const file = writeFile('grades.json', { schemaVersion: 3, years, scenarios: [] });
+  const { status, stdout, stderr } = runReport(file);
+  expect(status).toBe(0);
+  expect(stderr).toBe('');
+  expect(stdout.trimEnd().split('\n')).toEqual([
+    'grades.json (UK Honours)',
+    'Year / Module  ECTS  Weight  Average  Band  For 1st  For 2:1  Failed',
+    'Year 1               100%    50.00%   2:2',
+    '  Maths        10            70.00%   1st   70.00%   45.00%',
+    '  Physics      10            30.00%   Fail  Done     Done     Exam',
+    'Degree                       50.00%   2:2',
+  ]);
+});
+
+test('backups keep their grading scheme unless --scheme overrides it, and --json prints the reports', () => {
+  const file = writeFile('backup.json', { schemaVersion: 3, years, scenarios: [], gradingScheme: 'usGpa' });
+  const table = runReport(file).stdout;
+  expect(table).toMatch(/^backup\.json \(US 4\.0 GPA\)\n/);
+  expect(table).toMatch(/^Degree +50\.00% +F \(GPA 0\.85\)$/m);
+
+  const { status, stdout } = runReport('--json', '--scheme', 'ects', file);
+  expect(status).toBe(0);
+  const [report] = JSON.parse(stdout);
+  expect(report).toMatchObject({ file, scheme: 'ects', degree: { average: 50 } });
+  expect(report.years[0].modules.map(m => [m.name, m.failedComponents])).toEqual([['Maths', []], ['Physics', ['Exam']]]);
+});
+
+test('unreadable files are reported and exit with 1 while the others still print', () => {
+  const good = writeFile('good.json', years);
+  const broken = writeFile('broken.json', '{');
+  const newer = writeFile('newer.json', { schemaVersion: 99, years: [] });
+  const { status, stdout, stderr } = runReport(good, broken, join(dir, 'missing.json'), newer);
+  expect(status).toBe(1);
+  expect(stdout).toMatch(/^good\.json \(UK Honours\)\n/);
+  expect(stderr.trimEnd().split('\n')).toEqual([
+    `${broken}: The file is not valid JSON.`,
+    `${join(dir, 'missing.json')}: File not found.`,
+    `${newer}: This data was saved by a newer version of the app (schema v99).`,
+  ]);
+});
+
+test('bad arguments print the usage and exit with 2, --help exits with 0', () => {
+  const usage = /^Usage: grades-report \[--json\] \[--scheme <ukHonours\|usGpa\|ects\|irish>\] <file>\.\.\.$/m;
+  expect(runReport('--bogus')).toMatchObject({ status: 2, stderr: expect.stringMatching(/^Unknown option --bogus\.\n/) });
+  expect(runReport('--scheme', 'french', 'grades.json')).toMatchObject({ status: 2, stderr: expect.stringMatching(/^Unknown grading scheme "french"\.\n/) });
+  expect(runReport('--bogus').stderr).toMatch(usage);
+  expect(runReport()).toMatchObject({ status: 2, stdout: expect.stringMatching(usage) });
+  expect(runReport('--help')).toMatchObject({ status: 0, stdout: expect.stringMatching(usage) });
+  expect(runReport('-h').status).toBe(0);
+});
@@ -0,0 +1,536 @@
+// Grading engine: every calculation behind the tracker, as plain functions over the saved
+// document (years › modules › assessments). No React or browser APIs, so it also runs under
+// Node — see cli.js and README.md in this folder.
+
+// --- GRADING SCHEMES ---
+// Bands are ordered best first. `tier` picks the colour from the theme palette (0 = best, 3 = failing).
+// `targets` name the bands offered in each module's Target Grade Calculator. Bands with `points`
+// (US GPA) also give each module grade points for a credit-weighted GPA.
+export const gradingSchemes = {
+    ukHonours: {
+        name: 'UK Honours',
+        bands: [
+            { short: '1st', label: 'First-Class Honours', min: 70, tier: 0 },
+            { short: '2:1', label: 'Upper Second-Class Honours', min: 60, tier: 1 },
+            { short: '2:2', label: 'Lower Second-Class Honours', min: 50, tier: 2 },
+            { short: '3rd', label: 'Third-Class Honours', min: 40, tier: 2 },
+            { short: 'Fail', label: 'Fail', min: 0, tier: 3 },
+        ],
+        targets: ['1st', '2:1'],
+    },
+    usGpa: {
+        name: 'US 4.0 GPA',
+        bands: [
+            { short: 'A', label: 'A (4.0 GPA)', min: 93, tier: 0, points: 4.0 },
+            { short: 'A-', label: 'A- (3.7 GPA)', min: 90, tier: 0, points: 3.7 },
+            { short: 'B+', label: 'B+ (3.3 GPA)', min: 87, tier: 1, points: 3.3 },
+            { short: 'B', label: 'B (3.0 GPA)', min: 83, tier: 1, points: 3.0 },
+            { short: 'B-', label: 'B- (2.7 GPA)', min: 80, tier: 1, points: 2.7 },
+            { short: 'C+', label: 'C+ (2.3 GPA)', min: 77, tier: 2, points: 2.3 },
+            { short: 'C', label: 'C (2.0 GPA)', min: 73, tier: 2, points: 2.0 },
+            { short: 'C-', label: 'C- (1.7 GPA)', min: 70, tier: 2, points: 1.7 },
+            { short: 'D+', label: 'D+ (1.3 GPA)', min: 67, tier: 3, points: 1.3 },
+            { short: 'D', label: 'D (1.0 GPA)', min: 63, tier: 3, points: 1.0 },
+            { short: 'D-', label: 'D- (0.7 GPA)', min: 60, tier: 3, points: 0.7 },
+            { short: 'F', label: 'F (0.0 GPA)', min: 0, tier: 3, points: 0.0 },
+        ],
+        targets: ['A', 'B'],
+    },
+    ects: {
+        name: 'ECTS A–F',
+        bands: [
+            { short: 'A', label: 'A – Excellent', min: 90, tier: 0 },
+            { short: 'B', label: 'B – Very Good', min: 80, tier: 1 },
+            { short: 'C', label: 'C – Good', min: 70, tier: 1 },
+            { short: 'D', label: 'D – Satisfactory', min: 60, tier: 2 },
+            { short: 'E', label: 'E – Sufficient', min: 50, tier: 2 },
+            { short: 'FX', label: 'FX – Fail (resit possible)', min: 40, tier: 3 },
+            { short: 'F', label: 'F – Fail', min: 0, tier: 3 },
+        ],
+        targets: ['A', 'C'],
+    },
+    irish: {
+        name: 'Irish Honours',
+        bands: [
+            { short: 'H1', label: 'First Class Honours (H1)', min: 70, tier: 0 },
+            { short: 'H2.1', label: 'Second Class Honours, Grade 1 (H2.1)', min: 60, tier: 1 },
+            { short: 'H2.2', label: 'Second Class Honours, Grade 2 (H2.2)', min: 50, tier: 2 },
+            { short: 'H3', label: 'Third Class Honours (H3)', min: 40, tier: 2 },
+            { short: 'F', label: 'Fail', min: 0, tier: 3 },
+        ],
+        targets: ['H1', 'H2.1'],
+    },
+};
+
+// The band an average falls in, e.g. getGradeBand('ukHonours', 64) is the 2:1 band.
+export const getGradeBand = (schemeKey, grade) => {
+    const { bands } = gradingSchemes[schemeKey];
+    return bands.find(band => grade >= band.min) ?? bands[bands.length - 1];
+};
+
+// The target marks offered for a scheme, e.g. [{ label: '1st', grade: 70 }, { label: '2:1', grade: 60 }].
+export const getSchemeTargets = (schemeKey) => {
+    const { bands, targets } = gradingSchemes[schemeKey];
+    return targets.map(short => {
+        const band = bands.find(b => b.short === short);
+        return { label: band.short, grade: band.min };
+    });
+};
+
+// --- NUMBERS & CALCULATIONS ---
+// Blank input parses to null (nothing entered); anything that is not a finite number parses to NaN.
+export const parseNumber = (value) => {
+    const trimmed = String(value ?? '').trim();
+    if (trimmed === '') return null;
+    const number = Number(trimmed);
+    return Number.isFinite(number) ? number : NaN;
+};
+
+const NUMBER_RANGES = {
+    percent: { test: (n) => n >= 0 && n <= 100, message: 'Must be between 0 and 100.' },
+    positive: { test: (n) => n > 0, message: 'Must be greater than 0.' },
+};
+
+// Returns the inline error for a numeric field, or null when the value is acceptable.
+export const validateNumber = (value, { range = 'percent', required = false } = {}) => {
+    const number = parseNumber(value);
+    if (number === null) return required ? 'Required.' : null;
+    if (isNaN(number)) return 'Enter a number.';
+    return NUMBER_RANGES[range].test(number) ? null : NUMBER_RANGES[range].message;
+};
+
+export const isGraded = (assessment) => assessment.grade !== null && assessment.grade !== '' && !isNaN(assessment.grade);
+
+// Later `attempts` (resits and deferrals) on an assessment or module supersede the first sitting.
+// A resit's mark is capped at the `cap` recorded with it; deferred first attempts are uncapped.
+export const getAttemptMark = (attempt) => {
+    if (!isGraded(attempt)) return null;
+    const grade = Number(attempt.grade);
+    const capped = attempt.type === 'resit' && attempt.cap !== null && attempt.cap !== '' && !isNaN(attempt.cap);
+    return capped ? Math.min(grade, Number(attempt.cap)) : grade;
+};
+
+export const getCountingAttempt = (item) => [...(item.attempts ?? [])].reverse().find(isGraded) ?? null;
+
+// The mark that counts: the latest graded attempt, else the first-sit grade as entered.
+export const getCountedGrade = (item) => {
+    const attempt = getCountingAttempt(item);
+    return attempt ? getAttemptMark(attempt) : item.grade;
+};
+
+// Assessments may hold weighted `components` to any depth. A component's weight is a share of its
+// parent, so flattening to the leaves gives each one its effective weight within the module.
+export const getLeafAssessments = (assessments, scale = 1, titlePrefix = '') => assessments.flatMap(a => a.components?.length
+    ? getLeafAssessments(a.components, scale * a.weight / 100, `${titlePrefix}${a.title} › `)
+    : [{ ...a, title: `${titlePrefix}${a.title}`, weight: a.weight * scale, grade: getCountedGrade(a) }]);
+
+// Every assessment at every depth, parents before their components.
+export const listAssessments = (assessments) => assessments.flatMap(a => [a, ...listAssessments(a.components ?? [])]);
+
+// Every assessment at every depth is passed through `fn`, components before their parent.
+export const mapAssessments = (assessments, fn) => assessments.map(a => fn(a.components ? { ...a, components: mapAssessments(a.components, fn) } : a));
+
+// A parent's grade is the weighted average of its graded leaves; `complete` once every leaf is graded.
+export const getAssessmentGrade = (assessment) => {
+    if (!assessment.components?.length) {
+        const grade = getCountedGrade(assessment);
+        const graded = isGraded({ grade });
+        return { grade: graded ? Number(grade) : null, complete: graded };
+    }
+    let total = 0, weight = 0;
+    const leaves = getLeafAssessments(assessment.components);
+    leaves.forEach(leaf => {
+        if (isGraded(leaf) && leaf.weight > 0) {
+            total += leaf.grade * leaf.weight;
+            weight += leaf.weight;
+        }
+    });
+    return { grade: weight === 0 ? null : total / weight, complete: leaves.every(isGraded) };
+};
+
+const hasPassMark = (assessment) => assessment.passMark !== null && assessment.passMark !== undefined && assessment.passMark !== '' && !isNaN(assessment.passMark);
+
+export const isBelowPassMark = (assessment) => {
+    if (!hasPassMark(assessment)) return false;
+    const { grade, complete } = getAssessmentGrade(assessment);
+    return complete && grade < Number(assessment.passMark);
+};
+
+// Components that are fully graded but below their pass mark fail the module whatever its average.
+export const getFailedComponents = (module) => listAssessments(module.assessments).filter(isBelowPassMark);
+
+// Weighted average of a module's graded leaves, with how much of the module (0–100%) is graded so far.
+export const calculateModuleAverage = (module) => {
+    let totalWeightedScore = 0, totalWeight = 0;
+    getLeafAssessments(module.assessments).forEach(a => {
+        if (a.grade !== null && !isNaN(a.grade) && a.weight > 0) {
+            totalWeightedScore += a.grade * (a.weight / 100);
+            totalWeight += a.weight / 100;
+        }
+    });
+    return { average: totalWeight === 0 ? 0 : totalWeightedScore / totalWeight, totalWeight: totalWeight * 100 };
+};
+
+// Year aggregation rules, stored as `year.rule`; a year without one counts every module.
+export const YEAR_RULES = {
+    all: 'Count all modules',
+    dropLowest: 'Drop lowest module(s)',
+    bestEcts: 'Best N credits',
+};
+
+// Adds the ECTS each { module, score } entry counts under `rule`, best score first. Under `bestEcts`
+// the module straddling the limit counts in part; `dropLowest` always keeps at least one module.
+const applyYearRule = (rule = { type: 'all' }, entries) => {
+    const sorted = [...entries].sort((a, b) => b.score - a.score);
+    const kept = rule.type === 'dropLowest' ? sorted.length - Math.min(Number(rule.count) || 0, sorted.length - 1) : sorted.length;
+    let remaining = rule.type === 'bestEcts' && Number(rule.ects) > 0 ? Number(rule.ects) : Infinity;
+    return sorted.map((entry, rank) => {
+        const countedEcts = rank < kept ? Math.min(Number(entry.module.ects), remaining) : 0;
+        remaining -= countedEcts;
+        return { ...entry, countedEcts };
+    });
+};
+
+// How many ECTS of each scored module count towards its year average under `year.rule`, best
+// score first. Pass/fail modules and modules with no score yet never count.
+export const getYearModuleCounts = (year) => applyYearRule(year.rule, year.modules
+    .filter(module => !module.passFail && module.ects > 0)
+    .map(module => ({ module, score: getModuleScore(module) }))
+    .filter(entry => entry.score > 0));
+
+// ECTS-weighted average of the module scores that count under the year's rule.
+export const calculateYearAverage = (year) => {
+    let totalWeightedModuleScore = 0, totalEcts = 0;
+    getYearModuleCounts(year).forEach(({ score, countedEcts }) => {
+        totalWeightedModuleScore += score * countedEcts;
+        totalEcts += countedEcts;
+    });
+    return totalEcts === 0 ? 0 : totalWeightedModuleScore / totalEcts;
+};
+
+// Average of the year averages, weighted by each year's `weighting`.
+export const calculateOverallDegreeAverage = (years) => {
+    let totalWeightedYearScore = 0, totalWeighting = 0;
+    years.forEach(year => {
+        if(year.weighting > 0) {
+            totalWeightedYearScore += calculateYearAverage(year) * year.weighting;
+            totalWeighting += year.weighting;
+        }
+    });
+    return totalWeighting === 0 ? 0 : totalWeightedYearScore / totalWeighting;
+};
+
+// Whether an official moderated score has been entered; blank ('' or null) means none.
+export const hasModeratedScore = (module) => isGraded({ grade: module.moderatedScore });
+
+// The average needed on a module's ungraded work to finish on `target`, as display text:
+// 'NN.NN%', '>100%', 'Achieved', 'Done' (nothing left to grade) or 'N/A' (score already fixed).
+export const calculateTargetGrade = (module, target) => {
+    if (!module || hasModeratedScore(module) || getCountingAttempt(module)) return 'N/A';
+    let gradedWeight = 0, achievedScore = 0;
+    getLeafAssessments(module.assessments).forEach(a => {
+        if (a.grade !== null && !isNaN(a.grade)) {
+            gradedWeight += a.weight;
+            achievedScore += a.grade * a.weight;
+        }
+    });
+    const remainingWeight = 100 - gradedWeight;
+    if (remainingWeight <= 0) return 'Done';
+    const neededScore = (target * 100) - achievedScore;
+    if (neededScore <= 0) return 'Achieved';
+    const requiredAverage = neededScore / remainingWeight;
+    return requiredAverage > 100 ? '>100%' : `${requiredAverage.toFixed(2)}%`;
+};
+
+// An official moderated score beats a module-level reassessment, which beats the calculated average.
+export const getModuleScore = (module) => {
+    if (hasModeratedScore(module)) return Number(module.moderatedScore);
+    const attempt = getCountingAttempt(module);
+    return attempt ? getAttemptMark(attempt) : calculateModuleAverage(module).average;
+};
+
+// Credit-weighted grade point average: each module's band `points` weighted by the ECTS its year
+// counts, across every year regardless of `weighting`. Null for schemes without points or before
+// any module has a score.
+export const calculateGpa = (years, schemeKey = 'usGpa') => {
+    if (!gradingSchemes[schemeKey].bands.every(band => band.points !== undefined)) return null;
+    let totalPoints = 0, totalEcts = 0;
+    years.forEach(year => getYearModuleCounts(year).forEach(({ score, countedEcts }) => {
+        totalPoints += getGradeBand(schemeKey, score).points * countedEcts;
+        totalEcts += countedEcts;
+    }));
+    return totalEcts === 0 ? null : totalPoints / totalEcts;
+};
+
+// --- GOAL SOLVER ---
+// A projection models a final average as `constant + slope * x`, where x is the uniform
+// mark scored on everything still open (ungraded assessments and modules with no assessments).
+// Under a year's counting rule the average is not linear in x, so such projections carry `at(x)`;
+// their constant and slope then only span the range from x = 0 to x = 100.
+const projectAt = (projection, x) => projection.at ? projection.at(x) : projection.constant + projection.slope * x;
+
+export const projectModule = (module) => {
+    if (hasModeratedScore(module)) {
+        return { constant: Number(module.moderatedScore), slope: 0, openAssessments: 0 };
+    }
+    if (getCountingAttempt(module)) return { constant: getModuleScore(module), slope: 0, openAssessments: 0 };
+    const weighted = getLeafAssessments(module.assessments).filter(a => Number(a.weight) > 0);
+    if (weighted.length === 0) return { constant: 0, slope: 1, openAssessments: 0 };
+    let totalWeight = 0, gradedScore = 0, openWeight = 0, openAssessments = 0;
+    weighted.forEach(a => {
+        const weight = Number(a.weight);
+        totalWeight += weight;
+        if (isGraded(a)) gradedScore += Number(a.grade) * weight;
+        else { openWeight += weight; openAssessments++; }
+    });
+    return { constant: gradedScore / totalWeight, slope: openWeight / totalWeight, openAssessments };
+};
+
+const combineProjections = (parts) => {
+    const totalWeight = parts.reduce((sum, p) => sum + p.weight, 0);
+    if (totalWeight === 0) return { constant: 0, slope: 1, openAssessments: 0, openModules: 0 };
+    const combined = parts.reduce((acc, p) => ({
+        constant: acc.constant + p.projection.constant * p.weight / totalWeight,
+        slope: acc.slope + p.projection.slope * p.weight / totalWeight,
+        openAssessments: acc.openAssessments + p.projection.openAssessments,
+        openModules: acc.openModules + (p.projection.openModules ?? (p.projection.slope > 0 ? 1 : 0)),
+    }), { constant: 0, slope: 0, openAssessments: 0, openModules: 0 });
+    if (!parts.some(p => p.projection.at)) return combined;
+    return { ...combined, at: (x) => parts.reduce((sum, p) => sum + projectAt(p.projection, x) * p.weight / totalWeight, 0) };
+};
+
+// Pass/fail modules are left out. Which modules a drop-lowest or best-credits rule keeps depends on
+// the marks still to come, so the rule is applied afresh with open work at each mark x.
+export const projectYear = (year) => {
+    const parts = year.modules.filter(m => !m.passFail && Number(m.ects) > 0).map(m => ({ module: m, projection: projectModule(m), weight: Number(m.ects) }));
+    const projection = combineProjections(parts);
+    if ((year.rule?.type ?? 'all') === 'all' || parts.length === 0) return projection;
+    const at = (x) => {
+        const counted = applyYearRule(year.rule, parts.map(p => ({ module: p.module, score: projectAt(p.projection, x) })));
+        const ects = counted.reduce((sum, entry) => sum + entry.countedEcts, 0);
+        return ects === 0 ? 0 : counted.reduce((sum, entry) => sum + entry.score * entry.countedEcts, 0) / ects;
+    };
+    return { ...projection, constant: at(0), slope: (at(100) - at(0)) / 100, at };
+};
+
+export const projectDegree = (years) => combineProjections(
+    years.filter(y => Number(y.weighting) > 0).map(y => ({ projection: projectYear(y), weight: Number(y.weighting) }))
+);
+
+// Counting rules make the average piecewise linear in x, so the lowest mark reaching the goal is
+// found by halving [0, 100]. An unreachable goal needs more than 100 by an unknown amount: Infinity.
+const solveByBisection = (at, goal) => {
+    const range = { worst: at(0), best: at(100) };
+    if (range.worst >= goal) return { status: 'secured', required: range.best === range.worst ? null : 0, ...range };
+    if (range.best < goal) return { status: 'impossible', required: range.best === range.worst ? null : Infinity, ...range };
+    let low = 0, high = 100;
+    for (let i = 0; i < 40; i++) {
+        const mid = (low + high) / 2;
+        if (at(mid) >= goal) high = mid;
+        else low = mid;
+    }
+    return { status: 'needed', required: high, ...range };
+};
+
+export const solveGoal = (projection, goal) => {
+    if (projection.at) return solveByBisection(projection.at, goal);
+    const { constant, slope } = projection;
+    const range = { worst: constant, best: constant + slope * 100 };
+    if (slope === 0) return { status: constant >= goal ? 'secured' : 'impossible', required: null, ...range };
+    const required = (goal - constant) / slope;
+    if (required <= 0) return { status: 'secured', required: 0, ...range };
+    if (required > 100) return { status: 'impossible', required, ...range };
+    return { status: 'needed', required, ...range };
+};
+
+// --- ANALYTICS ---
+// Every graded, dated leaf assessment in date order, with the mark that counts.
+export const getGradeTimeline = (years) => years
+    .flatMap(year => year.modules.flatMap(module => getLeafAssessments(module.assessments)
+        .filter(leaf => leaf.dueDate && isGraded(leaf))
+        .map(leaf => ({ date: leaf.dueDate, grade: Number(leaf.grade), title: leaf.title, moduleId: module.id, moduleName: module.name, yearName: year.name }))))
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+// Module scores per year counted into ten-point bins (90–100 shares the top bin), skipping
+// modules with no score yet just as calculateYearAverage does.
+export const getModuleDistribution = (years) => years.map(year => {
+    const scores = year.modules.filter(module => !module.passFail).map(getModuleScore).filter(score => score > 0);
+    const bins = Array(10).fill(0);
+    scores.forEach(score => { bins[Math.min(Math.floor(score / 10), 9)]++; });
+    return { yearId: year.id, yearName: year.name, scores, bins };
+});
+
+// Each module's share of the degree (the ECTS it counts as a share of the year × the year's share of
+// the total weighting) and the points its current score earns towards the degree average. Pass/fail
+// modules are left out; scored modules count as the year's rule says, and modules with no score
+// yet are assumed to count in full until their marks decide.
+export const getDegreeContributions = (years) => {
+    const weighted = years.filter(year => year.weighting > 0);
+    const totalWeighting = weighted.reduce((sum, year) => sum + year.weighting, 0);
+    return weighted.flatMap(year => {
+        const modules = year.modules.filter(module => !module.passFail && module.ects > 0);
+        const counted = new Map(getYearModuleCounts(year).map(entry => [entry.module, entry.countedEcts]));
+        const countedEcts = (module) => counted.get(module) ?? module.ects;
+        const yearEcts = modules.reduce((sum, module) => sum + countedEcts(module), 0);
+        return modules.map(module => {
+            const share = (countedEcts(module) / yearEcts) * (year.weighting / totalWeighting);
+            const score = getModuleScore(module);
+            return { yearId: year.id, yearName: year.name, moduleId: module.id, moduleName: module.name, share, score, points: share * score };
+        });
+    });
+};
+
+const withOpenAssessments = (years, fn) => years.map(year => ({
+    ...year,
+    modules: year.modules.map(module => ({
+        ...module,
+        assessments: mapAssessments(module.assessments, a => a.components?.length || getAssessmentGrade(a).complete ? a : fn(a)),
+    })),
+}));
+
+// Ranks the ungraded leaf assessments by how far a `delta`-point swing on each one would move
+// calculateOverallDegreeAverage, measured with all open work at `baseline` (by default the
+// current degree average) so that partly graded modules behave as they will once finished.
+export const getSensitivity = (years, { delta = 10, baseline = calculateOverallDegreeAverage(years) || 60 } = {}) => {
+    const base = Math.min(baseline, 100 - delta);
+    const baseYears = withOpenAssessments(years, a => ({ ...a, grade: base }));
+    const baseAverage = calculateOverallDegreeAverage(baseYears);
+    return years
+        .flatMap(year => year.modules.flatMap(module => listAssessments(module.assessments)
+            .filter(a => !a.components?.length && !getAssessmentGrade(a).complete)
+            .map(a => ({ yearId: year.id, yearName: year.name, moduleId: module.id, moduleName: module.name, assessment: a }))))
+        .map(item => {
+            const moved = baseYears.map(year => year.id !== item.yearId ? year : {
+                ...year,
+                modules: year.modules.map(module => module.id !== item.moduleId ? module : {
+                    ...module,
+                    assessments: mapAssessments(module.assessments, a => a.id === item.assessment.id ? { ...a, grade: base + delta } : a),
+                }),
+            });
+            return { ...item, impact: calculateOverallDegreeAverage(moved) - baseAverage };
+        })
+        .sort((a, b) => b.impact - a.impact);
+};
+
+// --- DOCUMENT SCHEMA ---
+export const SCHEMA_VERSION = 3;
+
+// Each entry upgrades a document from version N to N + 1.
+const migrations = {
+    // v0: the original unversioned save, a bare array of years.
+    0: (data) => ({ schemaVersion: 1, years: data }),
+    // v1 -> v2: what-if scenarios, each a named fork of the years tree.
+    1: (doc) => ({ ...doc, schemaVersion: 2, scenarios: [] }),
+    // v2 -> v3: numeric fields hold numbers or null instead of the raw input strings.
+    2: (doc) => ({
+        ...doc,
+        schemaVersion: 3,
+        years: normalizeYears(doc.years),
+        scenarios: Array.isArray(doc.scenarios) ? doc.scenarios.map(s => ({ ...s, years: normalizeYears(s?.years) })) : doc.scenarios,
+    }),
+};
+
+// Values that do not parse are kept as they are so the integrity report can point at them.
+const normalizeNumbers = (item, fields) => {
+    if (!item || typeof item !== 'object') return item;
+    const normalized = { ...item };
+    fields.forEach(field => {
+        if (!(field in normalized)) return;
+        const number = parseNumber(normalized[field]);
+        if (!isNaN(number)) normalized[field] = number;
+    });
+    if (Array.isArray(item.attempts)) normalized.attempts = item.attempts.map(a => normalizeNumbers(a, ['grade', 'cap']));
+    return normalized;
+};
+
+const normalizeAssessments = (assessments) => Array.isArray(assessments)
+    ? assessments.map(a => {
+        const normalized = normalizeNumbers(a, ['weight', 'grade', 'passMark']);
+        return Array.isArray(a?.components) ? { ...normalized, components: normalizeAssessments(a.components) } : normalized;
+    })
+    : assessments;
+
+const normalizeYears = (years) => Array.isArray(years)
+    ? years.map(year => {
+        const normalized = normalizeNumbers(year, ['weighting']);
+        return Array.isArray(year?.modules)
+            ? { ...normalized, modules: year.modules.map(m => m && typeof m === 'object' ? { ...normalizeNumbers(m, ['ects', 'moderatedScore']), assessments: normalizeAssessments(m.assessments) } : m) }
+            : normalized;
+    })
+    : years;
+
+const getSchemaVersion = (data) => {
+    if (Array.isArray(data)) return 0;
+    if (data && typeof data === 'object' && Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+    throw new Error('Unrecognised data format: missing schemaVersion.');
+};
+
+const validateAssessments = (assessments, path) => {
+    if (!Array.isArray(assessments)) throw new Error(`${path} is not a list.`);
+    assessments.forEach((assessment, i) => {
+        if (!assessment || typeof assessment !== 'object') throw new Error(`${path}[${i}] is not an object.`);
+        if (assessment.components !== undefined) validateAssessments(assessment.components, `${path}[${i}].components`);
+    });
+};
+
+const validateYears = (years, path) => {
+    if (!Array.isArray(years)) throw new Error(`${path} is not a list.`);
+    years.forEach((year, y) => {
+        if (!year || typeof year !== 'object') throw new Error(`${path}[${y}] is not an object.`);
+        if (!Array.isArray(year.modules)) throw new Error(`${path}[${y}].modules is not a list.`);
+        year.modules.forEach((module, m) => {
+            if (!module || typeof module !== 'object') throw new Error(`${path}[${y}].modules[${m}] is not an object.`);
+            validateAssessments(module.assessments, `${path}[${y}].modules[${m}].assessments`);
+        });
+    });
+};
+
+const validateDocument = (doc) => {
+    validateYears(doc.years, 'years');
+    if (!Array.isArray(doc.scenarios)) throw new Error('scenarios is not a list.');
+    doc.scenarios.forEach((scenario, i) => validateYears(scenario.years, `scenarios[${i}].years`));
+    return doc;
+};
+
+// Upgrades any saved or exported document to the current schema, throwing a readable Error if it is unusable.
+export const migrateDocument = (data) => {
+    let version = getSchemaVersion(data);
+    if (version > SCHEMA_VERSION) throw new Error(`This data was saved by a newer version of the app (schema v${version}).`);
+    let doc = data;
+    while (version < SCHEMA_VERSION) {
+        doc = migrations[version](doc);
+        version = doc.schemaVersion;
+    }
+    return validateDocument(doc);
+};
+
+// --- REPORTS ---
+// Module, year and degree averages for a document's years, each with its band in `schemeKey`,
+// plus the module's target grades for that scheme. Plain data, ready for JSON or a table.
+export const buildReport = (years, schemeKey = 'ukHonours') => {
+    const targets = getSchemeTargets(schemeKey);
+    const describe = (average) => ({ average, band: getGradeBand(schemeKey, average).short });
+    const gpa = calculateGpa(years, schemeKey);
+    return {
+        scheme: schemeKey,
+        years: years.map(year => {
+            const counted = new Map(getYearModuleCounts(year).map(entry => [entry.module, entry.countedEcts]));
+            return {
+                name: year.name,
+                weighting: year.weighting,
+                rule: year.rule?.type ?? 'all',
+                ...describe(calculateYearAverage(year)),
+                modules: year.modules.map(module => ({
+                    name: module.name,
+                    ects: module.ects,
+                    countedEcts: counted.get(module) ?? 0,
+                    passFail: Boolean(module.passFail),
+                    ...describe(getModuleScore(module)),
+                    failedComponents: getFailedComponents(module).map(a => a.title),
+                    targets: Object.fromEntries(targets.map(target => [target.label, calculateTargetGrade(module, target.grade)])),
+                })),
+            };
+        }),
+        degree: { ...describe(calculateOverallDegreeAverage(years)), ...(gpa !== null && { gpa }) },
+    };
+};
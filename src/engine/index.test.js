@@ -0,0 +1,304 @@
+import { parseNumber, validateNumber, getAttemptMark, getCountedGrade, getLeafAssessments, getAssessmentGrade, getFailedComponents, projectModule, migrateDocument, SCHEMA_VERSION, calculateModuleAverage, calculateYearAverage, getYearModuleCounts, projectYear, projectDegree, solveGoal, calculateOverallDegreeAverage, calculateTargetGrade, getModuleScore, getSchemeTargets, calculateGpa, buildReport, getGradeTimeline, getModuleDistribution, getDegreeContributions, getSensitivity } from '.';
+
+const maths = { id: 1, name: 'Maths', ects: 10, moderatedScore: null, assessments: [
+  { id: 2, title: 'Exam', weight: 60, grade: 70, dueDate: '' },
+  { id: 3, title: 'Coursework', weight: 40, grade: null, dueDate: '' },
+] };
+const physics = { id: 4, name: 'Physics', ects: 20, moderatedScore: 55, assessments: [] };
+const empty = { id: 5, name: 'Optional', ects: 10, moderatedScore: null, assessments: [] };
+
+test('blank input parses to null and anything that is not a finite number to NaN', () => {
+  expect(parseNumber(' 42.5 ')).toBe(42.5);
+  expect(parseNumber(7)).toBe(7);
+  expect(parseNumber('')).toBeNull();
+  expect(parseNumber('   ')).toBeNull();
+  expect(parseNumber(null)).toBeNull();
+  expect(parseNumber(undefined)).toBeNull();
+  expect(parseNumber('12abc')).toBeNaN();
+  expect(parseNumber('Infinity')).toBeNaN();
+});
+
+test('numeric fields are checked against their range and whether they are required', () => {
+  expect(validateNumber('55')).toBeNull();
+  expect(validateNumber('0')).toBeNull();
+  expect(validateNumber('')).toBeNull();
+  expect(validateNumber('', { required: true })).toBe('Required.');
+  expect(validateNumber('abc')).toBe('Enter a number.');
+  expect(validateNumber('100.5')).toBe('Must be between 0 and 100.');
+  expect(validateNumber(-1)).toBe('Must be between 0 and 100.');
+  expect(validateNumber('0', { range: 'positive' })).toBe('Must be greater than 0.');
+  expect(validateNumber('150', { range: 'positive' })).toBeNull();
+});
+
+test('resit marks are capped, deferrals are not, and the latest graded attempt counts', () => {
+  expect(getAttemptMark({ type: 'resit', grade: 72, cap: 40 })).toBe(40);
+  expect(getAttemptMark({ type: 'resit', grade: 35, cap: 40 })).toBe(35);
+  expect(getAttemptMark({ type: 'resit', grade: '72', cap: '' })).toBe(72);
+  expect(getAttemptMark({ type: 'resit', grade: 72, cap: null })).toBe(72);
+  expect(getAttemptMark({ type: 'deferral', grade: 72, cap: 40 })).toBe(72);
+  expect(getAttemptMark({ type: 'resit', grade: null, cap: 40 })).toBeNull();
+  expect(getCountedGrade({ grade: 30 })).toBe(30);
+  expect(getCountedGrade({ grade: 30, attempts: [
+    { id: 1, type: 'resit', grade: 72, cap: 40 },
+    { id: 2, type: 'resit', grade: null, cap: 40 },
+  ] })).toBe(40);
+  expect(getCountedGrade({ grade: 30, attempts: [
+    { id: 1, type: 'resit', grade: 35, cap: 40 },
+    { id: 2, type: 'deferral', grade: 65, cap: null },
+  ] })).toBe(65);
+});
+
+test('resits count instead of the first sitting, capped unless deferred', () => {
+  const exam = { id: 1, title: 'Exam', weight: 50, grade: 30, dueDate: '', passMark: 40, attempts: [
+    { id: 2, type: 'resit', date: '2025-08-10', grade: 72, cap: 40 },
+  ] };
+  const essay = { id: 3, title: 'Essay', weight: 50, grade: 60, dueDate: '' };
+  const module = { id: 4, name: 'Law', ects: 10, moderatedScore: null, assessments: [exam, essay] };
+
+  expect(getAttemptMark({ type: 'deferral', grade: 72, cap: 40 })).toBe(72);
+  expect(getLeafAssessments(module.assessments).map(a => a.grade)).toEqual([40, 60]);
+  expect(getFailedComponents(module)).toEqual([]);
+  expect(projectYear({ modules: [module] }).constant).toBeCloseTo(50);
+
+  const reassessed = { ...module, attempts: [{ id: 5, type: 'resit', date: '2025-08-20', grade: 55, cap: 40 }] };
+  expect(solveGoal(projectYear({ modules: [reassessed] }), 50)).toMatchObject({ status: 'impossible', worst: 40 });
+});
+
+
+test('nested components carry their share of the parent weight and must-pass rules', () => {
+  const coursework = { id: 1, title: 'Coursework', weight: 40, grade: null, dueDate: '', passMark: null, components: [
+    { id: 2, title: 'Lab 1', weight: 50, grade: 80, dueDate: '' },
+    { id: 3, title: 'Lab 2', weight: 50, grade: null, dueDate: '' },
+  ] };
+  const exam = { id: 4, title: 'Exam', weight: 60, grade: 35, dueDate: '', passMark: 40 };
+  const module = { id: 5, name: 'Physics', ects: 10, moderatedScore: null, assessments: [coursework, exam] };
+
+  expect(getLeafAssessments(module.assessments).map(a => [a.title, a.weight])).toEqual([
+    ['Coursework › Lab 1', 20], ['Coursework › Lab 2', 20], ['Exam', 60],
+  ]);
+  expect(getAssessmentGrade(coursework)).toEqual({ grade: 80, complete: false });
+  expect(getFailedComponents(module).map(a => a.title)).toEqual(['Exam']);
+  expect(solveGoal(projectYear({ modules: [module] }), 57).required).toBeCloseTo(100);
+});
+
+
+test('module averages cover only the graded weight', () => {
+  expect(calculateModuleAverage(maths)).toEqual({ average: 70, totalWeight: 60 });
+  expect(calculateModuleAverage(empty)).toEqual({ average: 0, totalWeight: 0 });
+  expect(getModuleScore(physics)).toBe(55);
+  expect(getModuleScore({ ...maths, moderatedScore: '' })).toBe(70);
+  expect(calculateTargetGrade({ ...maths, moderatedScore: '' }, 60)).toBe('45.00%');
+});
+
+test('year averages weight modules by ECTS and skip modules without a score', () => {
+  expect(calculateYearAverage({ modules: [maths, physics, empty] })).toBeCloseTo(60);
+  expect(calculateYearAverage({ modules: [] })).toBe(0);
+});
+
+test('year rules drop the lowest modules or count only the best credits', () => {
+  const chemistry = { id: 6, name: 'Chemistry', ects: 10, moderatedScore: 80, assessments: [] };
+  const placement = { id: 7, name: 'Placement', ects: 20, moderatedScore: 20, passFail: true, assessments: [] };
+  const modules = [maths, physics, chemistry, placement, empty];
+  expect(calculateYearAverage({ modules })).toBeCloseTo(65);
+  expect(calculateYearAverage({ modules, rule: { type: 'dropLowest', count: 1 } })).toBeCloseTo(75);
+  expect(calculateYearAverage({ modules, rule: { type: 'dropLowest', count: 5 } })).toBeCloseTo(80);
+  expect(getYearModuleCounts({ modules, rule: { type: 'bestEcts', ects: 25 } }).map(c => [c.module.name, c.countedEcts])).toEqual([
+    ['Chemistry', 10], ['Maths', 10], ['Physics', 5],
+  ]);
+  expect(calculateYearAverage({ modules, rule: { type: 'bestEcts', ects: 25 } })).toBeCloseTo(71);
+  expect(projectYear({ modules: [maths, placement] })).toMatchObject({ constant: 42, slope: 0.4 });
+});
+
+test('goal solver finds the uniform mark needed across open work', () => {
+  const years = [
+    { id: 1, name: 'Year 2', weighting: 40, collapsed: false, modules: [
+      { id: 2, name: 'Done', ects: 10, moderatedScore: 70, assessments: [] },
+      { id: 3, name: 'Half', ects: 10, moderatedScore: null, assessments: [
+        { id: 4, title: 'CW', weight: 50, grade: 80, dueDate: '' },
+        { id: 5, title: 'Exam', weight: 50, grade: null, dueDate: '' },
+      ] },
+    ] },
+    { id: 6, name: 'Year 3', weighting: 60, collapsed: false, modules: [
+      { id: 7, name: 'Dissertation', ects: 20, moderatedScore: null, assessments: [] },
+    ] },
+  ];
+  const year = projectYear(years[0]);
+  expect(year.constant).toBeCloseTo(55);
+  expect(year.slope).toBeCloseTo(0.25);
+  expect(solveGoal(year, 70).required).toBeCloseTo(60);
+  expect(solveGoal(year, 50).status).toBe('secured');
+  expect(solveGoal(year, 90).status).toBe('impossible');
+
+  const degree = projectDegree(years);
+  expect(degree.openAssessments).toBe(1);
+  expect(degree.openModules).toBe(2);
+  expect(solveGoal(degree, 70).required).toBeCloseTo((70 - 22) / 0.7);
+  expect(solveGoal({ constant: 65, slope: 0 }, 70).status).toBe('impossible');
+});
+
+
+test('the goal solver reports secured and impossible goals with the range still open', () => {
+  expect(solveGoal({ constant: 75, slope: 0 }, 70)).toEqual({ status: 'secured', required: null, worst: 75, best: 75 });
+  expect(solveGoal({ constant: 60, slope: 0.4 }, 55)).toEqual({ status: 'secured', required: 0, worst: 60, best: 100 });
+  expect(solveGoal({ constant: 20, slope: 0.4 }, 70)).toEqual({ status: 'impossible', required: 125, worst: 20, best: 60 });
+  expect(solveGoal({ constant: 20, slope: 0.4 }, 50)).toEqual({ status: 'needed', required: 75, worst: 20, best: 60 });
+});
+
+test('module projections fix moderated and reassessed modules and leave empty ones fully open', () => {
+  expect(projectModule(physics)).toEqual({ constant: 55, slope: 0, openAssessments: 0 });
+  expect(projectModule(empty)).toEqual({ constant: 0, slope: 1, openAssessments: 0 });
+  expect(projectModule({ ...maths, attempts: [{ id: 9, type: 'resit', grade: 58, cap: 40 }] })).toEqual({ constant: 40, slope: 0, openAssessments: 0 });
+  expect(projectModule(maths)).toEqual({ constant: 42, slope: 0.4, openAssessments: 1 });
+});
+
+test('degree projections skip unweighted years and count open modules across years', () => {
+  const years = [
+    { name: 'Year 1', weighting: 0, modules: [empty] },
+    { name: 'Year 2', weighting: 25, modules: [physics, { ...empty, ects: 0 }] },
+    { name: 'Year 3', weighting: 75, modules: [maths, empty, { ...empty, passFail: true }] },
+  ];
+  const degree = projectDegree(years);
+  expect(degree.constant).toBeCloseTo(0.25 * 55 + 0.75 * 21);
+  expect(degree.slope).toBeCloseTo(0.75 * 0.7);
+  expect(degree).toMatchObject({ openAssessments: 1, openModules: 2 });
+  expect(projectDegree([])).toEqual({ constant: 0, slope: 1, openAssessments: 0, openModules: 0 });
+  expect(solveGoal(projectDegree([{ weighting: 100, modules: [physics] }]), 60).status).toBe('impossible');
+});
+
+test('the goal solver and degree shares follow year rules', () => {
+  const chemistry = { id: 6, name: 'Chemistry', ects: 10, moderatedScore: 80, assessments: [] };
+  const modules = [chemistry, physics, empty];
+  expect(solveGoal(projectYear({ modules }), 70).required).toBeCloseTo(90);
+
+  // Dropping the lowest module lets the open one replace Physics once it beats 55.
+  const dropped = projectYear({ modules, rule: { type: 'dropLowest', count: 1 } });
+  expect(solveGoal(dropped, 70)).toMatchObject({ status: 'needed', worst: (800 + 1100) / 30, best: 90 });
+  expect(solveGoal(dropped, 70).required).toBeCloseTo(60);
+  expect(solveGoal(projectYear({ modules, rule: { type: 'bestEcts', ects: 20 } }), 70).required).toBeCloseTo(60);
+  expect(solveGoal(dropped, 95)).toMatchObject({ status: 'impossible', required: Infinity });
+  expect(solveGoal(projectDegree([{ weighting: 50, modules, rule: { type: 'dropLowest', count: 1 } }, { weighting: 50, modules: [chemistry] }]), 75).required).toBeCloseTo(60);
+
+  const shares = getDegreeContributions([{ id: 1, name: 'Year 1', weighting: 100, modules, rule: { type: 'dropLowest', count: 1 } }]);
+  expect(shares.map(c => [c.moduleName, c.share])).toEqual([['Chemistry', 0.5], ['Physics', 0], ['Optional', 0.5]]);
+});
+
+test('the degree average weights years by their weighting', () => {
+  const years = [
+    { name: 'Year 1', weighting: 25, modules: [physics] },
+    { name: 'Year 2', weighting: 75, modules: [maths] },
+    { name: 'Year 3', weighting: 0, modules: [empty] },
+  ];
+  expect(calculateOverallDegreeAverage(years)).toBeCloseTo(66.25);
+  expect(calculateOverallDegreeAverage([])).toBe(0);
+});
+
+test('GPA weights module grade points by credits across every year', () => {
+  const years = [
+    { name: 'Year 1', weighting: 0, modules: [{ ...physics, moderatedScore: 95 }] },
+    { name: 'Year 2', weighting: 100, modules: [{ ...maths, ects: 20, moderatedScore: 81 }, empty] },
+  ];
+  expect(calculateGpa(years)).toBeCloseTo((4.0 * 20 + 2.7 * 20) / 40);
+  expect(calculateGpa(years, 'ukHonours')).toBeNull();
+  expect(calculateGpa([])).toBeNull();
+  expect(buildReport(years, 'usGpa').degree.gpa).toBeCloseTo(calculateGpa(years));
+});
+
+test('target grades describe what the remaining work needs', () => {
+  expect(calculateTargetGrade(maths, 60)).toBe('45.00%');
+  expect(calculateTargetGrade(maths, 90)).toBe('>100%');
+  expect(calculateTargetGrade(maths, 40)).toBe('Achieved');
+  expect(calculateTargetGrade({ ...maths, assessments: [{ id: 2, title: 'Exam', weight: 100, grade: 50 }] }, 70)).toBe('Done');
+  expect(calculateTargetGrade(physics, 70)).toBe('N/A');
+  expect(getSchemeTargets('ukHonours')).toEqual([{ label: '1st', grade: 70 }, { label: '2:1', grade: 60 }]);
+});
+
+test('reports list every module, year and the degree with bands and targets', () => {
+  const report = buildReport([{ name: 'Year 1', weighting: 100, modules: [maths, physics] }], 'ukHonours');
+  expect(report.degree).toEqual({ average: expect.closeTo(60), band: '2:1' });
+  expect(report.years[0].modules.map(m => [m.name, m.band, m.targets])).toEqual([
+    ['Maths', '1st', { '1st': '70.00%', '2:1': '45.00%' }],
+    ['Physics', '2:2', { '1st': 'N/A', '2:1': 'N/A' }],
+  ]);
+});
+
+const analyticsYears = [
+  { id: 10, name: 'Year 1', weighting: 25, modules: [
+    { id: 11, name: 'Intro', ects: 10, moderatedScore: null, assessments: [{ id: 12, title: 'Exam', weight: 100, grade: 80, dueDate: '2024-05-01' }] },
+  ] },
+  { id: 20, name: 'Year 2', weighting: 75, modules: [
+    { id: 21, name: 'Algebra', ects: 20, moderatedScore: null, assessments: [
+      { id: 22, title: 'Coursework', weight: 50, grade: 60, dueDate: '2025-01-15' },
+      { id: 23, title: 'Exam', weight: 50, grade: null, dueDate: '2025-05-20' },
+    ] },
+    { id: 24, name: 'Project', ects: 20, moderatedScore: null, assessments: [{ id: 25, title: 'Report', weight: 100, grade: null, dueDate: '' }] },
+  ] },
+];
+
+test('analytics chart grades over time, module mark spread and degree shares', () => {
+  expect(getGradeTimeline(analyticsYears).map(p => [p.date, p.moduleName, p.grade])).toEqual([
+    ['2024-05-01', 'Intro', 80], ['2025-01-15', 'Algebra', 60],
+  ]);
+  expect(getModuleDistribution(analyticsYears).map(y => [y.yearName, y.scores, y.bins[6], y.bins[8]])).toEqual([
+    ['Year 1', [80], 0, 1], ['Year 2', [60], 1, 0],
+  ]);
+  expect(getDegreeContributions(analyticsYears).map(c => [c.moduleName, c.share, c.points])).toEqual([
+    ['Intro', 0.25, 20], ['Algebra', 0.375, 22.5], ['Project', 0.375, 0],
+  ]);
+});
+
+test('sensitivity ranks open assessments by their pull on the degree average', () => {
+  const ranked = getSensitivity(analyticsYears, { baseline: 50 });
+  expect(ranked.map(r => [r.moduleName, r.assessment.title])).toEqual([['Project', 'Report'], ['Algebra', 'Exam']]);
+  expect(ranked[0].impact).toBeCloseTo(3.75);
+  expect(ranked[1].impact).toBeCloseTo(1.875);
+});
+
+test('unversioned saves are migrated to the current schema', () => {
+  const legacy = [{ id: 1, name: 'Year 1', weighting: 7.5, collapsed: false, modules: [] }];
+  expect(migrateDocument(legacy)).toEqual({ schemaVersion: SCHEMA_VERSION, years: legacy, scenarios: [] });
+  expect(() => migrateDocument({ schemaVersion: SCHEMA_VERSION + 1, years: [] })).toThrow(/newer version/);
+  expect(() => migrateDocument({ schemaVersion: SCHEMA_VERSION, years: [{ modules: 'oops' }], scenarios: [] })).toThrow('years[0].modules is not a list.');
+  expect(() => migrateDocument({ schemaVersion: SCHEMA_VERSION, years: [], scenarios: [{ name: 'Optimistic' }] })).toThrow('scenarios[0].years is not a list.');
+});
+
+
+test('each schema version is upgraded in turn, converting numeric strings in v2 data', () => {
+  const v0 = [{ id: 1, name: 'Year 1', weighting: '40', modules: [
+    { id: 2, name: 'Maths', ects: '10', moderatedScore: '', assessments: [
+      { id: 3, title: 'Coursework', weight: '40', grade: null, dueDate: '', components: [
+        { id: 4, title: 'Lab', weight: '100', grade: '65.5', dueDate: '' },
+      ] },
+      { id: 5, title: 'Exam', weight: '60', grade: '30', passMark: '40', dueDate: '', attempts: [
+        { id: 6, type: 'resit', date: '', grade: '72', cap: '40' },
+      ] },
+    ] },
+  ] }];
+  const doc = migrateDocument(v0);
+  const [coursework, exam] = doc.years[0].modules[0].assessments;
+  expect(doc).toMatchObject({ schemaVersion: 3, scenarios: [], years: [{ weighting: 40, modules: [{ ects: 10, moderatedScore: null }] }] });
+  expect(coursework.components[0]).toMatchObject({ weight: 100, grade: 65.5 });
+  expect(exam).toMatchObject({ weight: 60, grade: 30, passMark: 40, attempts: [{ grade: 72, cap: 40 }] });
+
+  expect(migrateDocument({ schemaVersion: 1, years: [] })).toEqual({ schemaVersion: 3, years: [], scenarios: [] });
+  const scenarios = [{ id: 7, name: 'Optimistic', years: [{ id: 8, name: 'Year 1', weighting: '100', modules: [] }] }];
+  expect(migrateDocument({ schemaVersion: 2, years: [], scenarios }).scenarios[0].years[0].weighting).toBe(100);
+  const current = { schemaVersion: SCHEMA_VERSION, years: [{ id: 1, name: 'Year 1', weighting: '40', modules: [] }], scenarios: [] };
+  expect(migrateDocument(current)).toBe(current);
+});
+
+test('unusable documents are rejected with the path to the problem', () => {
+  const withYears = (years, scenarios = []) => ({ schemaVersion: SCHEMA_VERSION, years, scenarios });
+  const withModule = (module) => withYears([{ modules: [module] }]);
+  expect(() => migrateDocument({ years: [] })).toThrow('Unrecognised data format: missing schemaVersion.');
+  expect(() => migrateDocument(null)).toThrow('Unrecognised data format: missing schemaVersion.');
+  expect(() => migrateDocument({ schemaVersion: '3', years: [] })).toThrow('Unrecognised data format: missing schemaVersion.');
+  expect(() => migrateDocument(withYears({}))).toThrow('years is not a list.');
+  expect(() => migrateDocument(withYears([null]))).toThrow('years[0] is not an object.');
+  expect(() => migrateDocument(withModule('Maths'))).toThrow('years[0].modules[0] is not an object.');
+  expect(() => migrateDocument(withModule({ name: 'Maths' }))).toThrow('years[0].modules[0].assessments is not a list.');
+  expect(() => migrateDocument(withModule({ assessments: [{}, 4] }))).toThrow('years[0].modules[0].assessments[1] is not an object.');
+  expect(() => migrateDocument(withModule({ assessments: [{ components: {} }] }))).toThrow('years[0].modules[0].assessments[0].components is not a list.');
+  expect(() => migrateDocument({ schemaVersion: SCHEMA_VERSION, years: [] })).toThrow('scenarios is not a list.');
+  expect(() => migrateDocument({ schemaVersion: 2, years: [], scenarios: 'none' })).toThrow('scenarios is not a list.');
+  expect(() => migrateDocument(withYears([], [{ years: [{ modules: null }] }]))).toThrow('scenarios[0].years[0].modules is not a list.');
+});
@@ -2,14 +2,24 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { openStorage } from './storage';
 import reportWebVitals from './reportWebVitals';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
+// Saved documents are read synchronously while rendering, so they are loaded before the first render.
+openStorage().then(() => root.render(
   <React.StrictMode>
     <App />
   </React.StrictMode>
-);
+));
+
+// The service worker caches the build for offline use, so it is only registered for production builds.
+if ('serviceWorker' in navigator && process.env.NODE_ENV === 'production') {
+  window.addEventListener('load', () => {
+    // Without it the app still works; it just is not available offline.
+    navigator.serviceWorker.register(`${process.env.PUBLIC_URL}/service-worker.js`).catch(error => console.warn('Service worker registration failed:', error));
+  });
+}
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
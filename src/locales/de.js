@@ -0,0 +1,425 @@
+// German messages, keyed by the English text they replace. Missing entries fall back to English.
+const de = {
+    // Number input errors from the engine
+    'Required.': 'Pflichtfeld.',
+    'Enter a number.': 'Bitte eine Zahl eingeben.',
+    'Must be between 0 and 100.': 'Muss zwischen 0 und 100 liegen.',
+    'Must be greater than 0.': 'Muss größer als 0 sein.',
+    'Use YYYY-MM-DD.': 'Format JJJJ-MM-TT verwenden.',
+
+    // Target grades
+    'Need': 'Benötigt',
+    'Achieved': 'Erreicht',
+    'Done': 'Abgeschlossen',
+    'N/A': 'k. A.',
+    'Target Grade Calculator': 'Zielnotenrechner',
+
+    // Settings
+    'Language': 'Sprache',
+    'Language:': 'Sprache:',
+    'Week starts on:': 'Woche beginnt am:',
+    'First day of the week': 'Erster Tag der Woche',
+    'Dates:': 'Datumsformat:',
+    'Date format': 'Datumsformat',
+    'Language default': 'Wie Sprache',
+    'YYYY-MM-DD': 'JJJJ-MM-TT',
+    'DD/MM/YYYY': 'TT/MM/JJJJ',
+    'MM/DD/YYYY': 'MM/TT/JJJJ',
+    'Sunday': 'Sonntag',
+    'Monday': 'Montag',
+    'Saturday': 'Samstag',
+    'Grading Scheme:': 'Notensystem:',
+    'Default Resit Cap (%):': 'Standarddeckelung Wiederholung (%):',
+    'Default cap applied to newly recorded resits; leave blank for uncapped': 'Standarddeckelung für neu erfasste Wiederholungsprüfungen; leer lassen für keine Deckelung',
+    '{year} Wt (%):': '{year} Gew. (%):',
+
+    // Degree structure
+    'Degree Structure:': 'Studienaufbau:',
+    'Degree structure': 'Studienaufbau',
+    'Apply to Years': 'Auf Jahre anwenden',
+    'Apply': 'Anwenden',
+    'Save as Template': 'Als Vorlage speichern',
+    'Template name': 'Name der Vorlage',
+    'Save Template': 'Vorlage speichern',
+    'Delete Template': 'Vorlage löschen',
+    'Custom structure': 'Eigener Aufbau',
+    '{profile} structure': 'Aufbau von {profile}',
+    'Apply "{template}"? Year names, weightings and counting rules will be replaced; modules and grades are kept.': '„{template}“ anwenden? Namen, Gewichtungen und Zählregeln der Jahre werden ersetzt; Module und Noten bleiben erhalten.',
+    'Delete the degree template "{template}"? Your years are not affected.': 'Die Vorlage „{template}“ löschen? Deine Jahre bleiben unverändert.',
+    'Four-year integrated (7.5 / 20 / 36.5 / 36.5)': 'Vierjährig integriert (7,5 / 20 / 36,5 / 36,5)',
+    "Three-year bachelor's (0 / 40 / 60)": 'Dreijähriger Bachelor (0 / 40 / 60)',
+    'Three-year, best 50 of 60 ECTS (0 / 33 / 67)': 'Dreijährig, beste 50 von 60 ECTS (0 / 33 / 67)',
+    'Sandwich with placement year (0 / 40 / 0 / 60)': 'Mit Praxisjahr (0 / 40 / 0 / 60)',
+    'Scottish honours (0 / 0 / 50 / 50)': 'Schottischer Honours (0 / 0 / 50 / 50)',
+    "One-year master's (100)": 'Einjähriger Master (100)',
+
+    // Main actions
+    '+ New Theme': '+ Neues Design',
+    'Edit Theme': 'Design bearbeiten',
+    'Export Theme': 'Design exportieren',
+    'Import Theme': 'Design importieren',
+    'Undo': 'Rückgängig',
+    'Redo': 'Wiederholen',
+    'Undo (Ctrl+Z)': 'Rückgängig (Strg+Z)',
+    'Redo (Ctrl+Shift+Z)': 'Wiederholen (Strg+Umschalt+Z)',
+    'Add Academic Year': 'Studienjahr hinzufügen',
+    'Grid Entry': 'Tabelleneingabe',
+    'View Calendar': 'Kalender anzeigen',
+    'View Analytics': 'Auswertung anzeigen',
+    'Generate Report': 'Bericht erstellen',
+    'Export to CSV': 'Als CSV exportieren',
+    'Import CSV': 'CSV importieren',
+    'Download Backup': 'Sicherung herunterladen',
+    'Restore Backup': 'Sicherung wiederherstellen',
+    'Share': 'Teilen',
+    'Cancel': 'Abbrechen',
+    'Close': 'Schließen',
+    'Delete': 'Löschen',
+
+    // Deleting and syncing
+    'year': 'Jahr',
+    'module': 'Modul',
+    'assessment': 'Prüfungsleistung',
+    'attempt': 'Versuch',
+    'scenario': 'Szenario',
+    'Are you sure you want to delete this {type}?': 'Möchtest du dieses Element ({type}) wirklich löschen?',
+    '{type} deleted.': '{type} gelöscht.',
+    '"{profile}" was changed in another tab while you were editing it here.': '„{profile}“ wurde in einem anderen Tab geändert, während du es hier bearbeitet hast.',
+    "Load Other Tab's Version": 'Version des anderen Tabs laden',
+    'Keep My Version': 'Meine Version behalten',
+
+    // Years
+    'Counting Rule:': 'Zählregel:',
+    '{year} counting rule': 'Zählregel für {year}',
+    'Count all modules': 'Alle Module zählen',
+    'Drop lowest module(s)': 'Schwächste(s) Modul(e) streichen',
+    'Best N credits': 'Beste N Leistungspunkte',
+    'Modules to drop': 'Zu streichende Module',
+    'Credits to count': 'Zu zählende Leistungspunkte',
+    'of {ects} ECTS': 'von {ects} ECTS',
+    'Module Performance Summary': 'Übersicht der Modulergebnisse',
+    'No modules added yet.': 'Noch keine Module hinzugefügt.',
+    '(Failed component)': '(Teilleistung nicht bestanden)',
+    'Dropped': 'Gestrichen',
+    '{counted} of {ects} ECTS count': '{counted} von {ects} ECTS zählen',
+    'Add Module': 'Modul hinzufügen',
+    'New Module': 'Neues Modul',
+
+    // Modules
+    'Module Name': 'Modulname',
+    'ECTS:': 'ECTS:',
+    'Pass/fail': 'Bestanden/Nicht bestanden',
+    'Pass/fail modules carry credits but their mark never counts towards the year average': 'Unbenotete Module bringen Leistungspunkte, ihre Note zählt aber nie zum Jahresdurchschnitt',
+    '(Pass/fail: credits only)': '(Unbenotet: nur Leistungspunkte)',
+    '(Moderated)': '(Festgesetzt)',
+    '(Reassessed: raw {grade}%, first sit {average}%)': '(Wiederholt: roh {grade} %, Erstversuch {average} %)',
+    '({weight}% weighted)': '({weight} % gewichtet)',
+    'Failed on {components}': 'Nicht bestanden: {components}',
+    'Final Score:': 'Endnote:',
+    'Final %': 'Ende %',
+    'Enter your official moderated score here to override the calculated average for this module.': 'Trage hier deine offizielle Endnote ein, um den berechneten Durchschnitt dieses Moduls zu ersetzen.',
+    'Add Module Resit': 'Modulwiederholung hinzufügen',
+    'Module Reassessments': 'Modulwiederholungen',
+    'Add Assessment': 'Prüfungsleistung hinzufügen',
+    'New Assessment': 'Neue Prüfungsleistung',
+
+    // Assessments and attempts
+    'Assessment Title': 'Titel der Prüfungsleistung',
+    'W:': 'G:',
+    'G:': 'N:',
+    'Pass:': 'Min.:',
+    'Calculated from its components': 'Aus den Teilleistungen berechnet',
+    'First sitting, superseded by a later attempt': 'Erstversuch, durch einen späteren Versuch ersetzt',
+    'Minimum mark needed on this component to pass the module, whatever the average.': 'Mindestnote in dieser Teilleistung, um das Modul unabhängig vom Durchschnitt zu bestehen.',
+    'Add resit': 'Wiederholung hinzufügen',
+    'Record a resit or deferred attempt': 'Wiederholungs- oder Nachholversuch erfassen',
+    'Add component': 'Teilleistung hinzufügen',
+    'Split into weighted sub-assessments': 'In gewichtete Teilleistungen aufteilen',
+    'Delete assessment': 'Prüfungsleistung löschen',
+    'New Part': 'Neuer Teil',
+    'Resit': 'Wiederholung',
+    'Deferral (uncapped)': 'Nachholtermin (ungedeckelt)',
+    'Cap:': 'Deckel:',
+    'none': 'keine',
+    'Raw {grade}%': 'Roh {grade} %',
+    'counts {mark}%': 'zählt {mark} %',
+    'Delete attempt': 'Versuch löschen',
+
+    // Deadlines and calendar
+    'Upcoming Deadlines': 'Anstehende Abgaben',
+    'Next': 'Nächste',
+    '{days} days': '{days} Tage',
+    'Nothing due in the next {days} days.': 'In den nächsten {days} Tagen ist nichts fällig.',
+    'Overdue': 'Überfällig',
+    '(overdue, not graded)': '(überfällig, unbenotet)',
+    'Agenda': 'Terminliste',
+    'Month': 'Monat',
+    'Week': 'Woche',
+    'Week of {date}': 'Woche vom {date}',
+    'Today': 'Heute',
+    'No dated assessments yet.': 'Noch keine Prüfungsleistungen mit Datum.',
+    'All deadlines': 'Alle Abgaben',
+    'All of {year}': 'Ganzes {year}',
+    'Export .ics': '.ics exportieren',
+    'Import .ics': '.ics importieren',
+    'Import Calendar': 'Kalender importieren',
+    'Could not read {file}: {error}': '{file} konnte nicht gelesen werden: {error}',
+    '{file}: dated events {count}': '{file}: Termine mit Datum {count}',
+    'Add new events to:': 'Neue Termine hinzufügen zu:',
+    'Only modules named in the event': 'Nur im Termin genannte Module',
+    'Existing assessments to reschedule:': 'Zu verschiebende Prüfungsleistungen:',
+    'New assessments to create:': 'Neu anzulegende Prüfungsleistungen:',
+    'Events to skip:': 'Übersprungene Termine:',
+    'Import': 'Importieren',
+
+    // Profiles
+    'Profile:': 'Profil:',
+    'Active profile': 'Aktives Profil',
+    'Profile name': 'Profilname',
+    '+ New Profile': '+ Neues Profil',
+    'Duplicate': 'Duplizieren',
+    'Export': 'Exportieren',
+    'Delete Profile': 'Profil löschen',
+    'Could not export "{profile}": {error}': '„{profile}“ konnte nicht exportiert werden: {error}',
+    'Delete the profile "{profile}" and all of its grades? This cannot be undone.': 'Das Profil „{profile}“ mit allen Noten löschen? Das kann nicht rückgängig gemacht werden.',
+
+    // Recovery and data check
+    'Your saved data could not be loaded': 'Deine gespeicherten Daten konnten nicht geladen werden',
+    'The data stored in this browser is damaged or in a format this version does not understand. Nothing has been deleted yet.': 'Die in diesem Browser gespeicherten Daten sind beschädigt oder in einem Format, das diese Version nicht versteht. Es wurde noch nichts gelöscht.',
+    'Download Damaged Data': 'Beschädigte Daten herunterladen',
+    'Restore from Backup': 'Aus Sicherung wiederherstellen',
+    'Start Fresh': 'Neu beginnen',
+    'Data Check': 'Datenprüfung',
+    '1 problem': '1 Problem',
+    '{count} problems': '{count} Probleme',
+    'No problems found.': 'Keine Probleme gefunden.',
+    'Error': 'Fehler',
+    'Warning': 'Warnung',
+
+    // CSV import
+    '{file}: {rows} valid, {errors} with errors': '{file}: {rows} gültig, {errors} fehlerhaft',
+    '{ects} ECTS, assessments: {count}': '{ects} ECTS, Prüfungsleistungen: {count}',
+    'Preview': 'Vorschau',
+    'Rows that disagree with earlier rows': 'Zeilen, die früheren Zeilen widersprechen',
+    'Row {line}:': 'Zeile {line}:',
+    'Rows that will be skipped': 'Zeilen, die übersprungen werden',
+    'Merge': 'Zusammenführen',
+    'Replace': 'Ersetzen',
+
+    // Goals and scenarios
+    'What Do I Need?': 'Was brauche ich?',
+    'Goal for:': 'Ziel für:',
+    'Overall degree': 'Gesamtabschluss',
+    'Target (%):': 'Ziel (%):',
+    '{year} average': 'Durchschnitt von {year}',
+    'degree average': 'Abschlussdurchschnitt',
+    'To reach a {scope} of {goal}%, you need an average of {required}% on everything still open.': 'Für einen {scope} von {goal} % brauchst du im Schnitt {required} % in allem, was noch offen ist.',
+    'A {scope} of {goal}% is already secured, even if you score 0 on everything still open.': 'Ein {scope} von {goal} % ist bereits sicher, selbst mit 0 in allem, was noch offen ist.',
+    'A {scope} of {goal}% is no longer achievable: it would need more than 100% on everything still open.': 'Ein {scope} von {goal} % ist nicht mehr erreichbar: Dafür bräuchte es mehr als 100 % in allem, was noch offen ist.',
+    'A {scope} of {goal}% is no longer achievable.': 'Ein {scope} von {goal} % ist nicht mehr erreichbar.',
+    'Counting rules are applied as if everything still open scored that same mark, so the modules that count may change as real marks come in.': 'Zählregeln werden so angewendet, als ob alles noch Offene dieselbe Note bekäme; welche Module zählen, kann sich mit den echten Noten noch ändern.',
+    'Still open: ungraded assessments {assessments}, modules {modules}. Achievable range: {worst}% – {best}%.': 'Noch offen: unbenotete Prüfungsleistungen {assessments}, Module {modules}. Erreichbarer Bereich: {worst} % – {best} %.',
+    'What-If Scenarios:': 'Was-wäre-wenn-Szenarien:',
+    'Real Record': 'Tatsächliche Noten',
+    '+ New Scenario': '+ Neues Szenario',
+    'Compare Scenarios': 'Szenarien vergleichen',
+    'Editing scenario': 'Szenario wird bearbeitet',
+    "— changes here don't affect your real grades.": '– Änderungen hier wirken sich nicht auf deine tatsächlichen Noten aus.',
+    'Delete Scenario': 'Szenario löschen',
+    'Scenario Comparison': 'Szenarienvergleich',
+    'Degree Average': 'Abschlussdurchschnitt',
+
+    // Sharing
+    'Share Read-Only Link': 'Schreibgeschützten Link teilen',
+    'Everything is packed into the link itself; nothing is uploaded. Anyone with the link can see what it contains.': 'Alles steckt im Link selbst; nichts wird hochgeladen. Jeder mit dem Link kann sehen, was er enthält.',
+    'Hide module and assessment names': 'Modul- und Prüfungsnamen ausblenden',
+    'Hide assessment marks (share module averages only)': 'Noten der Prüfungsleistungen ausblenden (nur Moduldurchschnitte teilen)',
+    'Include my theme': 'Mein Design mitsenden',
+    'Share link': 'Link zum Teilen',
+    '{count} characters': '{count} Zeichen',
+    'Copied!': 'Kopiert!',
+    'Copy Link': 'Link kopieren',
+    "Couldn't copy automatically. Select the link above and copy it yourself.": 'Automatisches Kopieren fehlgeschlagen. Markiere den Link oben und kopiere ihn selbst.',
+    'Opening shared grades...': 'Geteilte Noten werden geöffnet …',
+    'This share link could not be opened: {error}': 'Dieser Link konnte nicht geöffnet werden: {error}',
+    'Open My Tracker': 'Meine Notenübersicht öffnen',
+    "You are viewing a read-only copy of someone's grades. Nothing is saved unless you import it.": 'Du siehst eine schreibgeschützte Kopie fremder Noten. Nichts wird gespeichert, solange du sie nicht importierst.',
+    'Import as New Profile': 'Als neues Profil importieren',
+    'GPA {gpa}': 'GPA {gpa}',
+    '({weight}% of degree)': '({weight} % des Abschlusses)',
+
+    // Analytics
+    'Analytics': 'Auswertung',
+    'Grades Over Time': 'Noten im Verlauf',
+    'Module Marks': 'Modulnoten',
+    'Degree Contribution': 'Anteil am Abschluss',
+    'Sensitivity': 'Empfindlichkeit',
+    'Graded assessments with a due date will be plotted here.': 'Benotete Prüfungsleistungen mit Datum werden hier dargestellt.',
+    'Grades over time': 'Noten im Verlauf',
+    'running mean': 'gleitender Durchschnitt',
+    'Module marks will be charted here once modules have a score.': 'Modulnoten werden hier dargestellt, sobald Module eine Note haben.',
+    'modules: {count}': 'Module: {count}',
+    '{year} module mark distribution': 'Verteilung der Modulnoten in {year}',
+    'Add modules with ECTS to years with a weighting to see what each is worth.': 'Füge gewichteten Jahren Module mit ECTS hinzu, um zu sehen, wie viel jedes wert ist.',
+    "Each module's share of the degree is its ECTS share of the year × the year's weighting. Points are what its current score adds to the degree average.": 'Der Anteil eines Moduls am Abschluss ist sein ECTS-Anteil am Jahr × die Gewichtung des Jahres. Punkte sind, was seine aktuelle Note zum Abschlussdurchschnitt beiträgt.',
+    '{share}% of degree': '{share} % des Abschlusses',
+    '{points} pts': '{points} Pkt.',
+    'Everything is graded — there is nothing left to move the degree average.': 'Alles ist benotet – nichts kann den Abschlussdurchschnitt noch verändern.',
+    'How far 10 more (or fewer) marks on each ungraded assessment would move your degree average, assuming the rest of your open work lands near your current average.': 'Wie stark 10 Punkte mehr (oder weniger) in jeder unbenoteten Prüfungsleistung deinen Abschlussdurchschnitt verschieben würden, wenn der Rest deiner offenen Arbeit etwa bei deinem aktuellen Durchschnitt landet.',
+
+    // Grid entry
+    'Years shown': 'Angezeigte Jahre',
+    'All years': 'Alle Jahre',
+    'Module filter': 'Modulfilter',
+    'All modules': 'Alle Module',
+    'Graded filter': 'Benotungsfilter',
+    'Graded and ungraded': 'Benotet und unbenotet',
+    'Graded only': 'Nur benotet',
+    'Ungraded only': 'Nur unbenotet',
+    'Due date filter': 'Fälligkeitsfilter',
+    'Any due date': 'Beliebiges Datum',
+    'Due today or later': 'Heute oder später fällig',
+    'Due in the past': 'In der Vergangenheit fällig',
+    'No due date': 'Ohne Datum',
+    'Sort:': 'Sortierung:',
+    'Sort rows': 'Zeilen sortieren',
+    'Module order': 'Modulreihenfolge',
+    'Due date': 'Fälligkeitsdatum',
+    'Ungraded first': 'Unbenotete zuerst',
+    'Copy the selected cell into every row below it': 'Die gewählte Zelle in alle Zeilen darunter kopieren',
+    'Fill Down': 'Nach unten füllen',
+    '+ Add Assessment': '+ Prüfungsleistung hinzufügen',
+    'Arrow keys, Tab and Enter move between cells; Ctrl+D copies the cell above. Paste a block copied from a spreadsheet to fill several cells at once.': 'Pfeiltasten, Tab und Eingabe wechseln zwischen Zellen; Strg+D kopiert die Zelle darüber. Füge einen aus einer Tabellenkalkulation kopierten Block ein, um mehrere Zellen auf einmal zu füllen.',
+    'Year': 'Jahr',
+    'Module': 'Modul',
+    'Assessment': 'Prüfungsleistung',
+    'Weight (%)': 'Gewicht (%)',
+    'Grade (%)': 'Note (%)',
+    'Due Date': 'Fällig am',
+    'No assessments match these filters.': 'Keine Prüfungsleistungen entsprechen diesen Filtern.',
+    'Untitled': 'Ohne Titel',
+    'Pasted 1 cell': '1 Zelle eingefügt',
+    'Pasted {count} cells': '{count} Zellen eingefügt',
+    '; {count} skipped (invalid or outside the grid)': '; {count} übersprungen (ungültig oder außerhalb der Tabelle)',
+
+    // Transcript
+    'Transcript': 'Notenauszug',
+    'Academic Transcript': 'Notenauszug',
+    'Degree Average:': 'Abschlussdurchschnitt:',
+    'Year Average:': 'Jahresdurchschnitt:',
+    'Score': 'Note',
+    'Include assessment detail': 'Prüfungsleistungen einzeln aufführen',
+    'Use theme labels': 'Bezeichnungen des Designs verwenden',
+    'Print / Save as PDF': 'Drucken / Als PDF speichern',
+    'Generated {date}': 'Erstellt am {date}',
+    'weighting {weight}%': 'Gewichtung {weight} %',
+    'Band': 'Stufe',
+    'Notes': 'Hinweise',
+    'Not counted': 'Zählt nicht',
+    '{ects} ECTS counted': '{ects} ECTS gezählt',
+    'Moderated': 'Festgesetzt',
+    'Reassessed': 'Wiederholt',
+    'Superseded': 'Ersetzt',
+    'Capped at {cap}% (raw {grade}%)': 'Gedeckelt auf {cap} % (roh {grade} %)',
+    'First sit {grade}%': 'Erstversuch {grade} %',
+    'Deferral': 'Nachholtermin',
+    'Module Resit': 'Modulwiederholung',
+    'Module Deferral': 'Modul-Nachholtermin',
+    'Outstanding Target Grades': 'Offene Zielnoten',
+    "Average needed on each module's remaining assessments.": 'Benötigter Durchschnitt in den verbleibenden Prüfungsleistungen jedes Moduls.',
+
+    // Theme editor
+    'New Theme': 'Neues Design',
+    'Theme name': 'Name des Designs',
+    'Title': 'Titel',
+    'Subtitle': 'Untertitel',
+    'Overall card title': 'Titel der Gesamtkarte',
+    'Degree average label': 'Bezeichnung Abschlussdurchschnitt',
+    'Year average label': 'Bezeichnung Jahresdurchschnitt',
+    'Module score label': 'Bezeichnung Modulnote',
+    'Target label ({label}, {grade}, {name})': 'Zielbezeichnung ({label}, {grade}, {name})',
+    'Grade colours': 'Notenfarben',
+    'Best': 'Beste',
+    'Good': 'Gut',
+    'Borderline': 'Grenzwertig',
+    'Failing': 'Nicht bestanden',
+    '{tier} colour': 'Farbe: {tier}',
+    'Feedback messages': 'Rückmeldungen',
+    'From': 'Ab',
+    'Minimum grade': 'Mindestnote',
+    'Message': 'Nachricht',
+    'Remove message': 'Nachricht entfernen',
+    '+ Add Message': '+ Nachricht hinzufügen',
+    'Theme preview': 'Designvorschau',
+    'Own colour thresholds': 'Eigene Farbschwellen',
+    '{tier} from': '{tier} ab',
+    '{tier} from (%)': '{tier} ab (%)',
+    'Targets': 'Ziele',
+    "Following the grading scheme's targets.": 'Folgt den Zielen des Notensystems.',
+    'Target label': 'Zielkürzel',
+    'Target grade (%)': 'Zielnote (%)',
+    'Target name': 'Zielname',
+    'Remove target': 'Ziel entfernen',
+    '+ Add Target': '+ Ziel hinzufügen',
+    "Use the Scheme's Targets": 'Ziele des Notensystems verwenden',
+    'Customise Targets': 'Ziele anpassen',
+    'Delete Theme': 'Design löschen',
+    'Save Theme': 'Design speichern',
+    '{theme} (custom)': '{theme} (eigenes)',
+
+    // Default names
+    'My Grades': 'Meine Noten',
+    'Profile {number}': 'Profil {number}',
+    '{profile} (copy)': '{profile} (Kopie)',
+    'Shared grades': 'Geteilte Noten',
+    'Scenario {number}': 'Szenario {number}',
+
+    // Files and links
+    'Could not restore {file}: {error}': '{file} konnte nicht wiederhergestellt werden: {error}',
+    'Could not import {file}: {error}': '{file} konnte nicht importiert werden: {error}',
+    'Restoring this backup will replace all of the data and settings in "{profile}". Continue?': 'Diese Sicherung ersetzt alle Daten und Einstellungen in „{profile}“. Fortfahren?',
+    'Restore': 'Wiederherstellen',
+    'The file is not valid JSON.': 'Die Datei ist kein gültiges JSON.',
+    'This is not a Grades Tracker theme file.': 'Dies ist keine Design-Datei von Grades Tracker.',
+    'This is not a Grades Tracker share link.': 'Dies ist kein Grades-Tracker-Link zum Teilen.',
+    'This browser cannot open compressed share links.': 'Dieser Browser kann komprimierte Links nicht öffnen.',
+    'The link is incomplete or damaged.': 'Der Link ist unvollständig oder beschädigt.',
+
+    // Data check
+    '{label} has the same ID ({id}) as {other}.': '{label} hat dieselbe ID ({id}) wie {other}.',
+    '{label} {field}: {error}': '{label} {field}: {error}',
+    '{label} attempt {number}': '{label} Versuch {number}',
+    'weighting': 'Gewichtung',
+    'final score': 'Endnote',
+    'weight': 'Gewicht',
+    'grade': 'Note',
+    'pass mark': 'Mindestnote',
+    'cap': 'Deckelung',
+    'Year weightings sum to {total}%, not 100%.': 'Die Gewichtungen der Jahre ergeben {total} %, nicht 100 %.',
+    '{label}: weights sum to {total}%, not 100%.': '{label}: Die Gewichte ergeben {total} %, nicht 100 %.',
+    '{label} was due on {date} but still has no grade.': '{label} war am {date} fällig, hat aber noch keine Note.',
+
+    // CSV import errors; quoted words are what the file itself must contain
+    'The file is empty.': 'Die Datei ist leer.',
+    'Unexpected header. Expected: {columns}': 'Unerwartete Kopfzeile. Erwartet: {columns}',
+    'Expected {expected} columns but found {found}.': '{expected} Spalten erwartet, aber {found} gefunden.',
+    'Year is missing.': 'Das Jahr fehlt.',
+    'Module is missing.': 'Das Modul fehlt.',
+    'ECTS "{value}" is not a valid number.': 'ECTS „{value}“ ist keine gültige Zahl.',
+    'Counting rule "{value}" must be "all", "drop lowest N" or "best N ECTS".': 'Zählregel „{value}“ muss "all", "drop lowest N" oder "best N ECTS" sein.',
+    'Pass/fail "{value}" must be "yes", "no" or blank.': 'Bestanden/Nicht bestanden „{value}“ muss "yes", "no" oder leer sein.',
+    'Moderated score "{value}" must be a number between 0 and 100.': 'Endnote „{value}“ muss eine Zahl zwischen 0 und 100 sein.',
+    'Module attempts "{value}" must be entries like resit|2025-08-10|55|40, separated by semicolons.': 'Modulversuche „{value}“ müssen Einträge wie resit|2025-08-10|55|40 sein, getrennt durch Semikolons.',
+    'Weight "{value}" must be a number between 0 and 100.': 'Gewicht „{value}“ muss eine Zahl zwischen 0 und 100 sein.',
+    'Grade "{value}" must be a number between 0 and 100.': 'Note „{value}“ muss eine Zahl zwischen 0 und 100 sein.',
+    'Pass mark "{value}" must be a number between 0 and 100.': 'Mindestnote „{value}“ muss eine Zahl zwischen 0 und 100 sein.',
+    'Attempts "{value}" must be entries like resit|2025-08-10|55|40, separated by semicolons.': 'Versuche „{value}“ müssen Einträge wie resit|2025-08-10|55|40 sein, getrennt durch Semikolons.',
+    'Due date "{value}" must be in YYYY-MM-DD format.': 'Fälligkeitsdatum „{value}“ muss im Format JJJJ-MM-TT sein.',
+    'Parent "{value}" has no row above it in this module.': 'Übergeordnete Zeile „{value}“ fehlt weiter oben in diesem Modul.',
+    'Counting rule "{value}" differs from "{earlier}" on an earlier row for {name}; the earlier value is used.': 'Zählregel „{value}“ weicht von „{earlier}“ in einer früheren Zeile für {name} ab; der frühere Wert wird verwendet.',
+    '{label} "{value}" differs from "{earlier}" on an earlier row for {name}; the earlier value is used.': '{label} „{value}“ weicht von „{earlier}“ in einer früheren Zeile für {name} ab; der frühere Wert wird verwendet.',
+    'ECTS': 'ECTS',
+    'Moderated score': 'Endnote',
+};
+
+export default de;
@@ -0,0 +1,51 @@
+/* eslint-disable no-restricted-globals */
+// Makes the app work offline. The build step (Workbox's InjectManifest in react-scripts) lists every
+// hashed build file in self.__WB_MANIFEST; they are all cached on install, and files dropped from a
+// later build are deleted when that build's worker activates. Pages are fetched from the network so
+// a new deploy shows up straight away, falling back to the cached index.html.
+import { clientsClaim } from 'workbox-core';
+import { precacheAndRoute, cleanupOutdatedCaches, matchPrecache } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, StaleWhileRevalidate } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+
+const INDEX_URL = `${process.env.PUBLIC_URL}/index.html`;
+const TAILWIND_URL = 'https://cdn.tailwindcss.com';
+const CDN_CACHE = 'grades-tracker-cdn';
+const PUBLIC_CACHE = 'grades-tracker-public';
+
+self.skipWaiting();
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// The Tailwind script is loaded by index.html before this worker exists, so fetch it on install
+// rather than waiting for a second online visit. Script tags fetch it without CORS, hence no-cors.
+// A failure only leaves the styles to the runtime route below; it must not fail the install.
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CDN_CACHE)
+        .then(cache => fetch(new Request(TAILWIND_URL, { mode: 'no-cors' })).then(response => cache.put(TAILWIND_URL, response)))
+        .catch(error => console.warn('Could not cache the Tailwind script:', error)));
+});
+
+registerRoute(
+    ({ request }) => request.mode === 'navigate',
+    ({ request }) => fetch(request).catch(() => matchPrecache(INDEX_URL)),
+);
+
+// Cross-origin scripts come back opaque (status 0), so their status cannot be checked.
+registerRoute(
+    ({ url }) => url.host === 'cdn.tailwindcss.com',
+    new CacheFirst({
+        cacheName: CDN_CACHE,
+        plugins: [new CacheableResponsePlugin({ statuses: [0, 200] }), new ExpirationPlugin({ maxEntries: 10 })],
+    }),
+);
+
+// The manifest and icons in public/ are not part of the webpack build, so they are cached as they are used.
+registerRoute(
+    ({ url }) => url.origin === self.location.origin && /\.(?:json|ico|png)$/.test(url.pathname),
+    new StaleWhileRevalidate({ cacheName: PUBLIC_CACHE, plugins: [new ExpirationPlugin({ maxEntries: 20 })] }),
+);
@@ -0,0 +1,208 @@
+// Profile documents live in IndexedDB once openStorage() has run, or in localStorage where it is
+// unavailable (and in tests). Every record is loaded up front, so reads stay synchronous.
+
+export const STORAGE_KEY = 'gradeTrackerData';
+const PENDING_WRITES_KEY = 'gradeTrackerPendingWrites';
+const DATABASE_NAME = 'grades-tracker';
+const DOCUMENT_STORE = 'documents';
+const WRITE_DELAY_MS = 500;
+
+let storageOpened = false;
+let database = null;
+let syncChannel = null;
+const documents = new Map(); // key -> { text, savedText, revision, conflict }; text !== savedText while a write is pending
+const writeTimers = new Map();
+const documentListeners = new Set();
+
+const isDocumentKey = (key) => key === STORAGE_KEY || Boolean(key?.startsWith(`${STORAGE_KEY}:`));
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const notifyDocument = (key, change) => documentListeners.forEach(listener => {
+    if (listener.key === key) listener.callback(change);
+});
+
+const readSavedRecord = (key) => requestResult(database.transaction(DOCUMENT_STORE).objectStore(DOCUMENT_STORE).get(key));
+
+const readPendingWrites = () => {
+    try {
+        return JSON.parse(localStorage.getItem(PENDING_WRITES_KEY)) ?? {};
+    } catch {
+        return {};
+    }
+};
+
+const forgetPendingWrite = (key) => {
+    if (localStorage.getItem(PENDING_WRITES_KEY) === null) return;
+    const { [key]: written, ...rest } = readPendingWrites();
+    if (Object.keys(rest).length > 0) localStorage.setItem(PENDING_WRITES_KEY, JSON.stringify(rest));
+    else localStorage.removeItem(PENDING_WRITES_KEY);
+};
+
+// Moves documents out of localStorage and applies edits mirrored there by a page that closed mid-write.
+const loadDocuments = () => new Promise((resolve, reject) => {
+    const legacyKeys = Object.keys(localStorage).filter(isDocumentKey);
+    const pendingWrites = readPendingWrites();
+    const transaction = database.transaction(DOCUMENT_STORE, 'readwrite');
+    const store = transaction.objectStore(DOCUMENT_STORE);
+    store.getAll().onsuccess = (e) => {
+        e.target.result.forEach(record => documents.set(record.key, { text: record.text, savedText: record.text, revision: record.revision }));
+        legacyKeys.filter(key => !documents.has(key)).forEach(key => {
+            const text = localStorage.getItem(key);
+            store.put({ key, text, revision: 1 });
+            documents.set(key, { text, savedText: text, revision: 1 });
+        });
+        Object.entries(pendingWrites).forEach(([key, { text, revision }]) => {
+            if ((documents.get(key)?.revision ?? 0) !== revision) return;
+            store.put({ key, text, revision: revision + 1 });
+            documents.set(key, { text, savedText: text, revision: revision + 1 });
+        });
+    };
+    transaction.oncomplete = () => {
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+        localStorage.removeItem(PENDING_WRITES_KEY);
+        resolve();
+    };
+    transaction.onerror = () => reject(transaction.error);
+});
+
+// A write made against an older revision than the saved one becomes a conflict instead.
+const flushDocument = (key) => new Promise(resolve => {
+    clearTimeout(writeTimers.get(key));
+    writeTimers.delete(key);
+    const record = documents.get(key);
+    if (!record || record.conflict || record.text === record.savedText) return resolve();
+    const { text, revision } = record;
+    let conflict = null;
+    const transaction = database.transaction(DOCUMENT_STORE, 'readwrite');
+    const store = transaction.objectStore(DOCUMENT_STORE);
+    store.get(key).onsuccess = (e) => {
+        const saved = e.target.result;
+        if (saved && saved.revision !== revision) conflict = saved;
+        else store.put({ key, text, revision: revision + 1 });
+    };
+    transaction.oncomplete = () => {
+        if (conflict) {
+            record.conflict = true;
+            notifyDocument(key, { text: conflict.text, conflict: true });
+        } else {
+            Object.assign(record, { savedText: text, revision: revision + 1 });
+            forgetPendingWrite(key);
+            syncChannel?.postMessage({ key });
+        }
+        resolve();
+    };
+    transaction.onerror = () => resolve();
+});
+
+const flushAllDocuments = () => Promise.all([...writeTimers.keys()].map(flushDocument));
+
+// Pending edits are mirrored to localStorage in case the page closes before the transaction ends.
+const saveBeforeLeaving = () => {
+    const pending = [...documents].filter(([, record]) => record.text !== record.savedText && !record.conflict);
+    if (pending.length === 0) return;
+    localStorage.setItem(PENDING_WRITES_KEY, JSON.stringify({
+        ...readPendingWrites(),
+        ...Object.fromEntries(pending.map(([key, { text, revision }]) => [key, { text, revision }])),
+    }));
+    flushAllDocuments();
+};
+
+const handleStorageEvent = (e) => {
+    if (!database && isDocumentKey(e.key) && e.newValue !== null) notifyDocument(e.key, { text: e.newValue, conflict: false });
+};
+
+const handleVisibilityChange = () => {
+    if (document.visibilityState === 'hidden') saveBeforeLeaving();
+};
+
+// Another tab saved `key`. Take its version unless this tab has an edit still waiting to be written.
+const handleRemoteSave = async (key) => {
+    const saved = await readSavedRecord(key);
+    const record = documents.get(key);
+    if (!saved || saved.revision === record?.revision) return;
+    if (record && record.text !== record.savedText) {
+        clearTimeout(writeTimers.get(key));
+        writeTimers.delete(key);
+        record.conflict = true;
+        notifyDocument(key, { text: saved.text, conflict: true });
+        return;
+    }
+    documents.set(key, { text: saved.text, savedText: saved.text, revision: saved.revision });
+    notifyDocument(key, { text: saved.text, conflict: false });
+};
+
+export const openStorage = async () => {
+    if (storageOpened) return;
+    storageOpened = true;
+    window.addEventListener('storage', handleStorageEvent);
+    if (typeof indexedDB === 'undefined') return;
+    try {
+        const request = indexedDB.open(DATABASE_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(DOCUMENT_STORE, { keyPath: 'key' });
+        database = await requestResult(request);
+        await loadDocuments();
+    } catch {
+        // Private browsing modes can refuse IndexedDB; localStorage still works there.
+        database = null;
+        documents.clear();
+        return;
+    }
+    if (typeof BroadcastChannel !== 'undefined') {
+        syncChannel = new BroadcastChannel(DATABASE_NAME);
+        syncChannel.onmessage = (e) => handleRemoteSave(e.data.key);
+    }
+    window.addEventListener('pagehide', saveBeforeLeaving);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+};
+
+export const readDocument = (key) => database ? documents.get(key)?.text ?? null : localStorage.getItem(key);
+
+export const writeDocument = (key, text) => {
+    if (!database) {
+        localStorage.setItem(key, text);
+        return;
+    }
+    const record = documents.get(key) ?? { text: null, savedText: null, revision: 0 };
+    if (record.text === text) return;
+    documents.set(key, { ...record, text });
+    if (record.conflict) return;
+    clearTimeout(writeTimers.get(key));
+    writeTimers.set(key, setTimeout(() => flushDocument(key), WRITE_DELAY_MS));
+};
+
+export const removeDocument = (key) => {
+    if (!database) {
+        localStorage.removeItem(key);
+        return;
+    }
+    clearTimeout(writeTimers.get(key));
+    writeTimers.delete(key);
+    documents.delete(key);
+    database.transaction(DOCUMENT_STORE, 'readwrite').objectStore(DOCUMENT_STORE).delete(key);
+};
+
+// Calls `callback({ text, conflict })` when another tab saves the document under `key`.
+export const subscribeToDocument = (key, callback) => {
+    const listener = { key, callback };
+    documentListeners.add(listener);
+    return () => documentListeners.delete(listener);
+};
+
+// Settles a conflict by writing this tab's version over the other tab's, or by taking theirs.
+export const resolveDocumentConflict = async (key, keepMine) => {
+    const saved = await readSavedRecord(key);
+    const record = documents.get(key);
+    if (keepMine || !saved) {
+        Object.assign(record, { revision: saved?.revision ?? 0, savedText: null, conflict: false });
+        await flushDocument(key);
+        return;
+    }
+    clearTimeout(writeTimers.get(key));
+    writeTimers.delete(key);
+    documents.set(key, { text: saved.text, savedText: saved.text, revision: saved.revision });
+    notifyDocument(key, { text: saved.text, conflict: false });
+};
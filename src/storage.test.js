@@ -0,0 +1,143 @@
+import { fireEvent, waitFor } from '@testing-library/react';
+
+// Each tab is a fresh copy of the storage module with its own in-memory state, sharing one database
+// and one BroadcastChannel bus, as two browser tabs would.
+const useFakeDatabase = () => {
+  const { IDBFactory } = require('fake-indexeddb');
+  const v8 = require('v8');
+  const channels = new Set();
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+  global.indexedDB = new IDBFactory();
+  global.BroadcastChannel = class {
+    constructor(name) {
+      this.name = name;
+      channels.add(this);
+    }
+
+    postMessage(data) {
+      channels.forEach(channel => channel !== this && channel.name === this.name && setTimeout(() => channel.onmessage?.({ data })));
+    }
+  };
+  const openTab = async () => {
+    let tab;
+    jest.isolateModules(() => { tab = require('./storage'); });
+    await tab.openStorage();
+    return tab;
+  };
+  const readSaved = (key) => new Promise(resolve => {
+    const request = indexedDB.open('grades-tracker', 1);
+    request.onsuccess = () => {
+      const get = request.result.transaction('documents').objectStore('documents').get(key);
+      get.onsuccess = () => {
+        request.result.close();
+        resolve(get.result);
+      };
+    };
+  });
+  const cleanup = () => {
+    delete global.indexedDB;
+    delete global.BroadcastChannel;
+    delete global.structuredClone;
+    localStorage.clear();
+  };
+  return { openTab, readSaved, cleanup };
+};
+
+test('documents move from localStorage into IndexedDB and edits are saved after a pause', async () => {
+  localStorage.clear();
+  const { openTab, readSaved, cleanup } = useFakeDatabase();
+  localStorage.setItem('gradeTrackerData', 'legacy');
+  const tab = await openTab();
+  expect(localStorage.getItem('gradeTrackerData')).toBeNull();
+  expect(tab.readDocument('gradeTrackerData')).toBe('legacy');
+  expect(await readSaved('gradeTrackerData')).toEqual({ key: 'gradeTrackerData', text: 'legacy', revision: 1 });
+
+  tab.writeDocument('gradeTrackerData', 'first');
+  tab.writeDocument('gradeTrackerData', 'second');
+  expect(tab.readDocument('gradeTrackerData')).toBe('second');
+  expect((await readSaved('gradeTrackerData')).text).toBe('legacy');
+  await waitFor(async () => expect(await readSaved('gradeTrackerData')).toEqual({ key: 'gradeTrackerData', text: 'second', revision: 2 }));
+  cleanup();
+});
+
+test('a save in one tab reaches the others through the broadcast channel', async () => {
+  localStorage.clear();
+  const { openTab, cleanup } = useFakeDatabase();
+  const first = await openTab();
+  const second = await openTab();
+  const changes = [];
+  second.subscribeToDocument('gradeTrackerData', change => changes.push(change));
+
+  first.writeDocument('gradeTrackerData', 'from the first tab');
+  await waitFor(() => expect(changes).toEqual([{ text: 'from the first tab', conflict: false }]));
+  expect(second.readDocument('gradeTrackerData')).toBe('from the first tab');
+  cleanup();
+});
+
+test('conflicting edits are held until the conflict is resolved', async () => {
+  localStorage.clear();
+  const { openTab, readSaved, cleanup } = useFakeDatabase();
+  const first = await openTab();
+  const second = await openTab();
+  const conflicts = [];
+  second.subscribeToDocument('gradeTrackerData', change => change.conflict && conflicts.push(change.text));
+
+  first.writeDocument('gradeTrackerData', 'theirs');
+  second.writeDocument('gradeTrackerData', 'mine');
+  await waitFor(() => expect(conflicts.length).toBeGreaterThan(0));
+  expect(conflicts.every(text => text === 'theirs')).toBe(true);
+
+  const notified = conflicts.length;
+  second.writeDocument('gradeTrackerData', 'mine, edited again');
+  await new Promise(resolve => setTimeout(resolve, 700));
+  expect(conflicts).toHaveLength(notified);
+  expect((await readSaved('gradeTrackerData')).text).toBe('theirs');
+
+  const firstChanges = [];
+  first.subscribeToDocument('gradeTrackerData', change => firstChanges.push(change));
+  await second.resolveDocumentConflict('gradeTrackerData', true);
+  expect((await readSaved('gradeTrackerData')).text).toBe('mine, edited again');
+  await waitFor(() => expect(first.readDocument('gradeTrackerData')).toBe('mine, edited again'));
+  expect(firstChanges).toEqual([{ text: 'mine, edited again', conflict: false }]);
+
+  second.writeDocument('gradeTrackerData', 'after resolving');
+  await waitFor(async () => expect((await readSaved('gradeTrackerData')).text).toBe('after resolving'));
+  cleanup();
+});
+
+test("taking the other tab's version drops the local edit", async () => {
+  localStorage.clear();
+  const { openTab, readSaved, cleanup } = useFakeDatabase();
+  const first = await openTab();
+  const second = await openTab();
+  const changes = [];
+  second.subscribeToDocument('gradeTrackerData', change => changes.push(change));
+
+  first.writeDocument('gradeTrackerData', 'theirs');
+  second.writeDocument('gradeTrackerData', 'mine');
+  await waitFor(() => expect(changes.some(change => change.conflict)).toBe(true));
+  await second.resolveDocumentConflict('gradeTrackerData', false);
+  expect(second.readDocument('gradeTrackerData')).toBe('theirs');
+  expect(changes[changes.length - 1]).toEqual({ text: 'theirs', conflict: false });
+  expect((await readSaved('gradeTrackerData')).text).toBe('theirs');
+  cleanup();
+});
+
+test('edits still waiting when the page is hidden are mirrored to localStorage and applied on the next load', async () => {
+  localStorage.clear();
+  const { openTab, readSaved, cleanup } = useFakeDatabase();
+  const tab = await openTab();
+  tab.writeDocument('gradeTrackerData', 'unsaved');
+  fireEvent(window, new Event('pagehide'));
+  expect(JSON.parse(localStorage.getItem('gradeTrackerPendingWrites'))).toEqual({ gradeTrackerData: { text: 'unsaved', revision: 0 } });
+  await waitFor(() => expect(localStorage.getItem('gradeTrackerPendingWrites')).toBeNull());
+  expect(await readSaved('gradeTrackerData')).toEqual({ key: 'gradeTrackerData', text: 'unsaved', revision: 1 });
+
+  // A page closed before its write finished leaves only the mirror behind.
+  localStorage.setItem('gradeTrackerPendingWrites', JSON.stringify({ gradeTrackerData: { text: 'closed mid-write', revision: 1 } }));
+  const reloaded = await openTab();
+  expect(reloaded.readDocument('gradeTrackerData')).toBe('closed mid-write');
+  expect(await readSaved('gradeTrackerData')).toEqual({ key: 'gradeTrackerData', text: 'closed mid-write', revision: 2 });
+  expect(localStorage.getItem('gradeTrackerPendingWrites')).toBeNull();
+  cleanup();
+});